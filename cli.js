@@ -0,0 +1,1766 @@
+#!/usr/bin/env node
+
+import { Command, Option } from 'commander';
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import os from 'os';
+import { rmSync } from 'fs';
+import {
+  B64icError,
+  NoImagesFoundError,
+  InvalidOptionError,
+  INPUT_FORMATS,
+  normalizeInputData,
+  decodeImage,
+  ON_CONFLICT_MODES,
+  validateNameTemplate,
+  renderNameTemplate,
+  writeImage,
+  inspectImage,
+  inspectImageMetadata,
+  TRANSCODE_FORMATS,
+  normalizeTranscodeOptions,
+  transcodeImage,
+  sanitizeSvgImage,
+  describeImageLocation,
+  detectInputFormat,
+  scanContentForImages,
+  scanFile,
+  detectArchiveType,
+  fetchUrlImages,
+  crawlSite,
+  expandInputPaths,
+  watchFiles,
+  encodeImageFile,
+  parseSize,
+  inlineLocalImages,
+  extractAndRewriteDocument,
+  extractMimeDocument,
+  manifestFormat,
+  writeManifest,
+  writeGallery,
+  outputArchiveFormat,
+  createOutputArchive,
+  verifyManifest,
+  auditEmbeddedImages,
+  streamExtractImages,
+  LOOPBACK_HOSTS,
+  createService
+} from './index.js';
+
+// Colors follow chalk's terminal detection (TTY, FORCE_COLOR); NO_COLOR turns them off
+if (process.env.NO_COLOR) {
+  chalk.level = 0;
+}
+
+// Exit codes: 0 on success, 1 on fatal errors, 2 when no images were found, 3 when only some images converted
+// and 4 when `audit` finds images over the inline budget
+const EXIT_FATAL = 1;
+const EXIT_NO_IMAGES = 2;
+const EXIT_PARTIAL_FAILURE = 3;
+const EXIT_OVER_BUDGET = 4;
+
+// How results are reported: human readable text, a JSON array (`json`) or one JSON object per line (`ndjson`)
+// --manifest collects one row per image and writes them when the run finishes;
+// --gallery and --archive build on the same rows
+const outputSettings = {
+  mode: 'text',
+  quiet: false,
+  records: [],
+  manifest: null,
+  manifestRows: [],
+  gallery: null,
+  archive: null,
+  staging: null,
+  onConflict: 'rename'
+};
+
+/**
+ * Select the output mode from command options
+ * @param {Object} options - Command options
+ * @param {boolean} options.json - Print all records as one JSON array
+ * @param {boolean} options.ndjson - Print one JSON record per line as images are processed
+ * @param {boolean} options.quiet - Suppress progress and status messages
+ * @param {string} options.manifest - Write a `.json` or `.csv` manifest of the images to this path
+ * @param {string} options.archive - Package the images in this `.zip` or `.tar` file
+ */
+function configureOutput({ json = false, ndjson = false, quiet = false, manifest = null, archive = null } = {}) {
+  if (json && ndjson) {
+    throw new InvalidOptionError('--json and --ndjson cannot be combined');
+  }
+  if (manifest) {
+    manifestFormat(manifest);
+  }
+  if (archive) {
+    outputArchiveFormat(archive);
+  }
+  outputSettings.mode = ndjson ? 'ndjson' : json ? 'json' : 'text';
+  outputSettings.quiet = quiet;
+  outputSettings.records = [];
+  outputSettings.manifest = manifest;
+  outputSettings.manifestRows = [];
+  outputSettings.gallery = null;
+  outputSettings.archive = archive;
+  outputSettings.staging = null;
+}
+
+/**
+ * Set up --gallery and --archive for a run
+ * With --archive the images are written to a temporary directory that finishConversion packages and removes
+ * @param {Object} options - Command options (`gallery`, `archive`, `outputdir`, `onConflict`); `outputdir`
+ *   is replaced by the temporary directory
+ * @param {boolean} outputdirGiven - Whether --outputdir was given on the command line
+ * @returns {Promise<void>}
+ * @throws {InvalidOptionError} - If --archive is combined with --outputdir
+ */
+async function configureGallery(options, outputdirGiven) {
+  if (options.archive) {
+    if (outputdirGiven) {
+      throw new InvalidOptionError('--archive cannot be combined with --outputdir, the images are written into the archive');
+    }
+    outputSettings.staging = await fs.mkdtemp(path.join(os.tmpdir(), 'b64ic-archive-'));
+    options.outputdir = outputSettings.staging;
+  }
+  // The archive always carries a gallery of its images
+  if (options.gallery || options.archive) {
+    outputSettings.gallery = options.outputdir || process.cwd();
+    outputSettings.onConflict = options.onConflict;
+  }
+}
+
+/**
+ * Path of an output file as shown to the user: files staged for --archive are shown as `<archive>!/<name>`
+ * @param {string|null} outputPath - The path written
+ * @returns {string|null} - The path to show
+ */
+function displayPath(outputPath) {
+  if (!outputSettings.staging || !outputPath) {
+    return outputPath;
+  }
+  const relative = path.relative(outputSettings.staging, path.resolve(outputPath));
+  return relative.startsWith('..') ? outputPath : `${outputSettings.archive}!/${relative.split(path.sep).join('/')}`;
+}
+
+/**
+ * Print a status message in text mode unless --quiet is set;
+ * machine-readable modes keep stdout for records only
+ * @param {string} message - The message to print
+ */
+function log(message) {
+  if (outputSettings.mode === 'text' && !outputSettings.quiet) {
+    console.log(message);
+  }
+}
+
+/**
+ * Report a result record: streamed as NDJSON, collected for --json, ignored in text mode
+ * @param {Object} record - The record, e.g. `{source, index, mimeType, size, output, sha256, error}`
+ */
+function emitRecord(record) {
+  if (outputSettings.mode === 'ndjson') {
+    process.stdout.write(JSON.stringify(record) + '\n');
+  } else if (outputSettings.mode === 'json') {
+    outputSettings.records.push(record);
+  }
+}
+
+/**
+ * Add a row to the --manifest and --gallery of the run
+ * @param {string} source - Where the image came from
+ * @param {number|null} index - 1-based position of the image in its source
+ * @param {string|null} location - Where the image was found, if scanned from a document
+ * @param {Object} image - The image writer or stream result, or `{error}` for a failed image
+ */
+function addManifestRow(source, index, location, image) {
+  if (!outputSettings.manifest && !outputSettings.gallery) {
+    return;
+  }
+  outputSettings.manifestRows.push({
+    source,
+    index,
+    location,
+    declaredType: image.declaredType ?? null,
+    detectedType: image.detectedType ?? null,
+    mimeType: image.mimeType ?? null,
+    size: image.size ?? null,
+    width: image.width ?? null,
+    height: image.height ?? null,
+    sha256: image.sha256 ?? null,
+    output: image.duplicateOf || image.outputPath || null,
+    duplicate: Boolean(image.duplicateOf),
+    skipped: Boolean(image.skipped),
+    error: image.error ?? null
+  });
+}
+
+/**
+ * Print the records collected in --json mode
+ */
+function flushRecords() {
+  if (outputSettings.mode === 'json') {
+    console.log(JSON.stringify(outputSettings.records, null, 2));
+    outputSettings.records = [];
+  }
+}
+
+/**
+ * Print an error to stderr and exit, flushing any collected records first
+ * @param {Error} error - The error to report
+ */
+function exitWithError(error) {
+  flushRecords();
+  if (outputSettings.staging) {
+    rmSync(outputSettings.staging, { recursive: true, force: true });
+  }
+  console.error(chalk.red(`❌ Error: ${error.message}`));
+  process.exit(error instanceof NoImagesFoundError ? EXIT_NO_IMAGES : EXIT_FATAL);
+}
+
+const program = new Command();
+
+/**
+ * Collect the values of a repeatable option
+ * @param {string} value - The value given
+ * @param {string[]} previous - The values given before
+ * @returns {string[]} - All values
+ */
+function collectOption(value, previous) {
+  return previous.concat(value);
+}
+
+/**
+ * Build the --on-conflict option shared by the commands that write files, checked with checkOnConflict
+ * @param {string} [existing] - What may already exist, for the help text
+ * @returns {Option} - The option, defaulting to `rename`
+ */
+function onConflictOption(existing = 'an output file') {
+  return new Option('--on-conflict <mode>', `What to do when ${existing} exists: ${ON_CONFLICT_MODES.join(', ')}`).default('rename');
+}
+
+/**
+ * Check the --on-conflict mode of a command
+ * @param {Object} options - Command options
+ * @throws {InvalidOptionError} - If the mode is not one of ON_CONFLICT_MODES
+ */
+function checkOnConflict(options) {
+  if (!ON_CONFLICT_MODES.includes(options.onConflict)) {
+    throw new InvalidOptionError(`Unknown --on-conflict mode "${options.onConflict}", expected one of ${ON_CONFLICT_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Build the fetchUrlImages options from the --header, --cookie, --user-agent, --timeout, --max-bytes,
+ * --retries, --retry-delay, --max-redirects and --follow-assets options
+ * @param {Object} options - Command options
+ * @returns {Object} - Fetch options that report retries and fetched assets
+ * @throws {InvalidOptionError} - If a header or the timeout is invalid
+ */
+function fetchOptionsFrom(options) {
+  const headers = {};
+  for (const header of options.header) {
+    const match = header.match(/^([^:\s]+)\s*:\s*(.*)$/);
+    if (!match) {
+      throw new InvalidOptionError(`Invalid --header "${header}", expected "Name: value"`);
+    }
+    headers[match[1]] = match[2];
+  }
+  if (options.cookie.length > 0) {
+    headers.Cookie = options.cookie.join('; ');
+  }
+  if (options.userAgent) {
+    headers['User-Agent'] = options.userAgent;
+  }
+  const timeout = Number(options.timeout);
+  if (!(timeout > 0)) {
+    throw new InvalidOptionError(`Invalid --timeout value "${options.timeout}", expected a positive number of seconds`);
+  }
+  
+  return {
+    headers,
+    timeout: timeout * 1000,
+    maxBytes: options.maxBytes ?? null,
+    retries: options.retries,
+    retryDelay: options.retryDelay,
+    maxRedirects: options.maxRedirects,
+    followAssets: options.followAssets,
+    onRetry: ({ attempt, retries, delay, reason }) => log(chalk.yellow(`⏳ ${reason}, retry ${attempt} of ${retries} in ${delay} ms`)),
+    onAsset: asset => asset.error
+      ? console.error(chalk.red(`❌ Linked asset ${asset.url}: ${asset.error}`))
+      : log(chalk.blue(`🔗 Linked asset ${asset.url}: ${asset.images} image(s)`))
+  };
+}
+
+/**
+ * Fetch a URL and scan it for base64 images, reporting progress
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - Fetch options (see fetchOptionsFrom)
+ * @returns {Promise<Object[]>} - The images `{input, location, context}` found
+ */
+async function scanUrl(url, options) {
+  log(chalk.blue(`🌐 Fetching content from: ${url}`));
+  const { url: finalUrl, images } = await fetchUrlImages(url, options);
+  if (finalUrl !== url) {
+    log(chalk.blue(`↪️  Redirected to: ${finalUrl}`));
+  }
+  log(chalk.green(`🔍 Found ${images.length} base64 image(s) in the URL`));
+  return images;
+}
+
+/**
+ * Short name of an image source for the `{source}` placeholder of --name
+ * @param {string} source - File path, URL, `argument`, `DATA` or `-` for stdin
+ * @returns {string} - The file name without extension, the host name of a URL, or the source itself
+ */
+function sourceName(source) {
+  if (/^https?:\/\//i.test(source)) {
+    return new URL(source).hostname;
+  }
+  return source === '-' ? 'stdin' : path.parse(source).name;
+}
+
+/**
+ * Create the image writer of a convert run
+ * The writer transcodes images with --to, --quality, --max-width/--max-height and --strip-metadata,
+ * sanitizes SVG images with --sanitize-svg, names files with the --name template, resolves existing files with --on-conflict and, unless
+ * --no-dedupe is given, writes every distinct image (by SHA-256 of the decoded data) only once across all inputs
+ * @param {Object} options - Convert options (`name`, `onConflict`, `dedupe`, `manifest`, `sanitizeSvg` and the transcoding options)
+ * @returns {function(Object, Object): Promise<Object>} - Writes an image `{input, context}` to a target
+ *   `{source, index, outputPath, outputDir}`; resolves to the writeImage result plus `width` and `height`
+ *   (with --manifest, --gallery, --archive or transcoding), or for an image already written in this run to the metadata of
+ *   that file with `duplicateOf`
+ */
+function createImageWriter(options) {
+  const transcode = normalizeTranscodeOptions(options);
+  // SHA-256 → result of the first copy, registered before writing so concurrent inputs see it
+  const written = new Map();
+  
+  return async ({ input, context = null }, { source, index, outputPath, outputDir }) => {
+    const decoded = decodeImage(input);
+    if (options.dedupe && written.has(decoded.sha256)) {
+      const first = await written.get(decoded.sha256);
+      if (first) {
+        const { outputPath: firstPath, skipped, ...metadata } = first;
+        return { ...metadata, declaredType: decoded.declaredType, detectedType: decoded.detectedType, mismatch: decoded.mismatch, duplicateOf: firstPath };
+      }
+    }
+    
+    const pending = (async () => {
+      const transcoded = await transcodeImage(decoded, transcode);
+      const image = options.sanitizeSvg ? sanitizeSvgImage(transcoded) : transcoded;
+      const target = options.name
+        ? path.join(outputDir, renderNameTemplate(options.name, image, { index, source: sourceName(source), context }))
+        : outputPath;
+      // Dimensions are only read from the header when a manifest or gallery will list them
+      const listed = options.manifest || options.gallery || options.archive;
+      const { width = null, height = null } = 'width' in image ? image : listed ? inspectImageMetadata(image.buffer, image.mimeType) : {};
+      return { ...await writeImage(image, target, { onConflict: options.onConflict }), width, height };
+    })();
+    if (options.dedupe) {
+      written.set(decoded.sha256, pending.catch(() => null));
+    }
+    return pending;
+  };
+}
+
+/**
+ * Build the output record of a converted image
+ * @param {string} source - Where the image came from
+ * @param {number} index - 1-based position of the image in its source
+ * @param {string|null} location - Where the image was found, if scanned from a document
+ * @param {Object} image - The image writer result
+ * @returns {Object} - The record; `output` is the file written, or kept with `skipped`, and
+ *   `duplicateOf` replaces it for an image already written in this run; transcoded images add
+ *   `originalMimeType` and `originalSize`, and sanitized SVG images list what was removed in `sanitized`
+ */
+function imageRecord(source, index, location, image) {
+  const record = { source, index, location, mimeType: image.mimeType, size: image.size };
+  if (image.originalMimeType) {
+    record.originalMimeType = image.originalMimeType;
+    record.originalSize = image.originalSize;
+  }
+  if (image.sanitized) {
+    record.sanitized = image.sanitized;
+  }
+  if (image.duplicateOf) {
+    record.duplicateOf = displayPath(image.duplicateOf);
+  } else {
+    record.output = displayPath(image.outputPath);
+    if (image.skipped) {
+      record.skipped = true;
+    }
+  }
+  record.sha256 = image.sha256;
+  return record;
+}
+
+/**
+ * Describe what transcoding did to an image: type, size before and after, and dimensions
+ * @param {Object} image - A transcodeImage result
+ * @returns {string} - e.g. `image/bmp → image/png, 768.05 KB → 12.40 KB, 256x192`
+ */
+function describeTranscoding(image) {
+  const kilobytes = size => `${(size / 1024).toFixed(2)} KB`;
+  const types = image.originalMimeType === image.mimeType ? image.mimeType : `${image.originalMimeType} → ${image.mimeType}`;
+  const dimensions = image.width && image.height ? `, ${image.width}x${image.height}` : '';
+  return `${image.transcoded ? 'Transcoded' : 'Stripped metadata from'} ${types}, ${kilobytes(image.originalSize)} → ${kilobytes(image.size)}${dimensions}`;
+}
+
+/**
+ * Report what --sanitize-svg removed from an SVG image
+ * @param {Object} image - The written image, with `sanitized` for sanitized SVG images
+ * @param {function(string)} print - Prints a message line
+ */
+function reportSanitizedSvg(image, print) {
+  if (!image.sanitized) {
+    return;
+  }
+  if (image.sanitized.length === 0) {
+    print(chalk.blue('🧼 SVG sanitized: nothing to remove'));
+    return;
+  }
+  print(chalk.yellow(`🧼 SVG sanitized, removed ${image.sanitized.length} item(s):`));
+  image.sanitized.forEach(item => print(chalk.yellow(`   - ${item}`)));
+}
+
+/**
+ * Convert base64 image to file
+ * @param {Object} entry - The image `{input, context}`
+ * @param {Object} target - Where to write it (see createImageWriter)
+ * @param {function} write - The image writer of the run
+ * @returns {Promise<Object>} - The image writer result
+ */
+async function convertBase64ToImage(entry, target, write) {
+  const image = await write(entry, target);
+  if (image.duplicateOf) {
+    log(chalk.gray(`♻️  Duplicate of ${displayPath(image.duplicateOf)}, not written again`));
+    return image;
+  }
+  
+  // A mislabelled data URL is saved with the extension of its actual content
+  if (image.mismatch) {
+    log(chalk.yellow(`⚠️  Declared type ${image.declaredType} does not match the data (${image.detectedType}), using ${image.detectedType}`));
+  }
+  if (image.originalMimeType) {
+    log(chalk.blue(`🔄 ${describeTranscoding(image)}`));
+  }
+  reportSanitizedSvg(image, log);
+  if (image.skipped) {
+    log(chalk.yellow(`⏭️  Skipped, file already exists: ${image.outputPath}`));
+    return image;
+  }
+  log(chalk.green(`✅ Successfully converted base64 image to: ${displayPath(image.outputPath)}`));
+  log(chalk.blue(`📊 File size: ${(image.size / 1024).toFixed(2)} KB`));
+  log(chalk.magenta(`🖼️  Image type: ${image.mimeType}`));
+  
+  return image;
+}
+
+/**
+ * Convert a list of images, reporting each one as a record and continuing past failures
+ * @param {Array<{input: string, location: string|null, context: string|null}>} images - Images to convert
+ * @param {Object} options - Conversion options
+ * @param {string} options.source - Where the images came from (argument, file path, URL, DATA or stdin)
+ * @param {function(number): string|null} options.outputFor - Output path for the image at a 0-based index
+ * @param {string} options.outputDir - Directory for names rendered from --name
+ * @param {function} options.write - The image writer of the run (see createImageWriter)
+ * @returns {Promise<{converted: number, failed: number}>} - Conversion counts
+ */
+async function convertImages(images, { source, outputFor, outputDir, write }) {
+  let converted = 0;
+  let failed = 0;
+  
+  for (let i = 0; i < images.length; i++) {
+    const { location } = images[i];
+    if (location) {
+      log(chalk.cyan(`📍 ${location}`));
+    }
+    try {
+      const image = await convertBase64ToImage(images[i], { source, index: i + 1, outputPath: outputFor(i), outputDir }, write);
+      emitRecord(imageRecord(source, i + 1, location, image));
+      addManifestRow(source, i + 1, location, image);
+      converted++;
+    } catch (error) {
+      const message = `Failed to convert base64 image: ${error.message}`;
+      console.error(chalk.red(`❌ Error: ${message}`));
+      emitRecord({ source, index: i + 1, location, error: message });
+      addManifestRow(source, i + 1, location, { error: message });
+      failed++;
+    }
+  }
+  
+  return { converted, failed };
+}
+
+/**
+ * Finish a conversion run: print collected records, write the --manifest, --gallery and --archive and set the exit code
+ * @param {{converted: number, failed: number}} counts - Result of convertImages
+ * @returns {Promise<void>}
+ */
+async function finishConversion({ converted, failed }) {
+  flushRecords();
+  if (outputSettings.gallery) {
+    const gallery = await writeGallery(path.join(outputSettings.gallery, 'index.html'), outputSettings.manifestRows, { onConflict: outputSettings.onConflict });
+    if (gallery.skipped) {
+      log(chalk.yellow(`⏭️  Gallery not written, file already exists: ${gallery.outputPath}`));
+    } else {
+      log(chalk.blue(`🖼️  Gallery written to: ${displayPath(gallery.outputPath)}`));
+    }
+  }
+  if (outputSettings.manifest) {
+    const rows = outputSettings.manifestRows.map(row => ({ ...row, output: displayPath(row.output) }));
+    await writeManifest(outputSettings.manifest, rows);
+    log(chalk.blue(`🧾 Manifest with ${rows.length} row(s) written to: ${outputSettings.manifest}`));
+  }
+  if (outputSettings.archive) {
+    const entries = await createOutputArchive(outputSettings.archive, outputSettings.staging);
+    await fs.rm(outputSettings.staging, { recursive: true, force: true });
+    outputSettings.staging = null;
+    log(chalk.blue(`📦 Archive with ${entries.length} file(s) written to: ${outputSettings.archive}`));
+  }
+  if (failed > 0) {
+    process.exitCode = converted > 0 ? EXIT_PARTIAL_FAILURE : EXIT_FATAL;
+  }
+}
+
+/**
+ * Decode and inspect one image for the detect command
+ * @param {string} input - The data URL or raw base64 data
+ * @param {number} index - 1-based position of the image in its source
+ * @param {string|null} location - Where the image was found, if scanned from a document
+ * @returns {Object} - The inspection record (type, size, metadata), or one with an `error` field
+ */
+function inspectImageData(input, index, location) {
+  try {
+    return { index, location, ...inspectImage(input) };
+  } catch (error) {
+    return { index, location, error: error.message };
+  }
+}
+
+/**
+ * Format pixel dimensions of an inspection record
+ * @param {Object} record - The inspection record
+ * @returns {string} - e.g. `640x480`, or `?` when unknown
+ */
+function formatDimensions(record) {
+  return record.width != null && record.height != null ? `${record.width}x${record.height}` : '?';
+}
+
+/**
+ * Print a single inspection record as labelled lines
+ * @param {Object} record - The inspection record
+ */
+function printInspection(record) {
+  const { mimeType, declaredType, detectedType, mismatch } = record;
+  if (!mimeType) {
+    console.log(chalk.yellow('❓ Could not detect image type from the provided data'));
+    return;
+  }
+  
+  console.log(chalk.green(`🔍 Detected ${mimeType.startsWith('image/') ? 'image ' : ''}type: ${mimeType}`));
+  if (declaredType && !mismatch && detectedType && detectedType !== declaredType) {
+    console.log(chalk.blue(`🏷️  Declared type: ${declaredType}`));
+  }
+  if (mismatch) {
+    console.log(chalk.yellow(`⚠️  MIME type mismatch: data URL declares ${declaredType} but the data is ${detectedType}`));
+  } else if (declaredType && !detectedType) {
+    console.log(chalk.yellow(`❓ Declared type ${declaredType} could not be confirmed from the data`));
+  }
+  if (!mimeType.startsWith('image/')) {
+    console.log(chalk.yellow(`⚠️  The data is not an image`));
+  }
+  console.log(chalk.blue(`📄 File extension: ${record.extension || 'unknown'}`));
+  console.log(chalk.blue(`📊 Estimated file size: ${(record.size / 1024).toFixed(2)} KB`));
+  
+  if (record.width != null) {
+    console.log(chalk.magenta(`📐 Dimensions: ${record.width} x ${record.height ?? '?'} px`));
+  }
+  const color = [record.colorType, record.bitDepth != null ? `${record.bitDepth}-bit` : null].filter(Boolean).join(', ');
+  if (color) {
+    console.log(chalk.magenta(`🎨 Color: ${color}${record.hasAlpha != null ? `, alpha: ${record.hasAlpha ? 'yes' : 'no'}` : ''}`));
+  }
+  if (record.frames > 1) {
+    console.log(chalk.magenta(`🎞️  Frames: ${record.frames}`));
+  }
+  if (record.dpi) {
+    console.log(chalk.magenta(`🖨️  DPI: ${record.dpi.x} x ${record.dpi.y}`));
+  }
+  if (record.exif) {
+    const exif = Object.entries(record.exif).map(([key, value]) => `${key}=${value}`).join(', ');
+    console.log(chalk.magenta(`📷 EXIF: ${exif}`));
+  }
+  record.issues.forEach(issue => console.log(chalk.red(`⚠️  Integrity: ${issue}`)));
+}
+
+/**
+ * Print several inspection records as a table
+ * @param {Object[]} records - The inspection records
+ */
+function printInspectionTable(records) {
+  const headers = ['#', 'Type', 'Size', 'Dimensions', 'Depth', 'Color', 'Alpha', 'Frames', 'DPI', 'Location', 'Issues'];
+  const rows = records.map(record => record.error ? [
+    String(record.index), 'error', '', '', '', '', '', '', '', record.location || '', record.error
+  ] : [
+    String(record.index),
+    (record.mimeType || 'unknown') + (record.mismatch ? ` (declared ${record.declaredType})` : ''),
+    `${(record.size / 1024).toFixed(2)} KB`,
+    formatDimensions(record),
+    record.bitDepth != null ? String(record.bitDepth) : '',
+    record.colorType || '',
+    record.hasAlpha == null ? '' : record.hasAlpha ? 'yes' : 'no',
+    record.frames != null ? String(record.frames) : '',
+    record.dpi ? `${record.dpi.x}x${record.dpi.y}` : '',
+    record.location || '',
+    record.issues.join('; ')
+  ]);
+  
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  console.log(chalk.bold(formatRow(headers)));
+  console.log(widths.map(width => '─'.repeat(width)).join('  '));
+  rows.forEach((row, i) => {
+    const line = formatRow(row);
+    const record = records[i];
+    console.log(record.error || record.issues.length ? chalk.red(line) : record.mismatch ? chalk.yellow(line) : line);
+  });
+}
+
+/**
+ * Format a byte count as kilobytes
+ * @param {number} size - Size in bytes
+ * @returns {string} - e.g. `1.25 KB`
+ */
+function formatKilobytes(size) {
+  return `${(size / 1024).toFixed(2)} KB`;
+}
+
+/**
+ * Print the embedded images found by an audit as a table
+ * Images over the inline budget are highlighted in red, duplicates in yellow
+ * @param {Object[]} images - The audit entries (see auditEmbeddedImages)
+ */
+function printAuditTable(images) {
+  const headers = ['File', 'Line', 'Type', 'Size', 'Inline', 'Overhead', 'Copies', 'Location'];
+  const rows = images.map(image => image.error ? [
+    image.file, String(image.line), 'error', '', formatKilobytes(image.encodedSize), '', '', image.error
+  ] : [
+    image.file,
+    String(image.line),
+    image.mimeType || 'unknown',
+    formatKilobytes(image.size),
+    formatKilobytes(image.encodedSize),
+    formatKilobytes(image.overhead),
+    String(image.occurrences),
+    image.location
+  ]);
+  
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  console.log(chalk.bold(formatRow(headers)));
+  console.log(widths.map(width => '─'.repeat(width)).join('  '));
+  rows.forEach((row, i) => {
+    const line = formatRow(row);
+    const image = images[i];
+    console.log(image.error || image.overBudget ? chalk.red(line) : image.duplicate ? chalk.yellow(line) : line);
+  });
+}
+
+// Files larger than this are streamed instead of read into memory
+const STREAM_FILE_THRESHOLD = 64 * 1024 * 1024;
+
+/**
+ * Check the signature of a file for a ZIP, gzip or tar archive
+ * @param {string} filePath - The file
+ * @returns {Promise<boolean>} - Whether the file is an archive
+ */
+async function isArchiveFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(512), 0, 512, 0);
+    return Boolean(detectArchiveType(buffer.subarray(0, bytesRead)));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Decide whether convert input should go through the streaming extractor:
+ * stdin (`-`) always does, and files larger than STREAM_FILE_THRESHOLD do unless they are archives
+ * @param {string|null} data - Positional data argument
+ * @param {string|null} filePath - Value of the --file option
+ * @returns {Promise<string|null>} Stream source or null to use the buffered path
+ */
+async function resolveStreamSource(data, filePath) {
+  if (data === '-' || filePath === '-') {
+    return '-';
+  }
+  if (!data && filePath) {
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (stats && stats.size > STREAM_FILE_THRESHOLD && !await isArchiveFile(filePath)) {
+      log(chalk.yellow(`📦 Large file (${(stats.size / 1024 / 1024).toFixed(1)} MB), switching to streaming mode...`));
+      return filePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the streaming extractor for the CLI and fail when nothing was found
+ * @param {string} source - File path, http(s) URL or `-` for stdin
+ * @param {Object} options - Command options (the fetch options of fetchOptionsFrom for a URL)
+ * @param {string} options.outputdir - Output directory
+ * @param {string|null} options.output - Base name for output files
+ * @param {string} options.onConflict - One of ON_CONFLICT_MODES, for an existing file
+ * @param {boolean} options.progress - Report progress on stderr (default true)
+ * @returns {Promise<void>}
+ */
+async function runStreamExtraction(source, options) {
+  const { outputdir: outputDir, output, onConflict, progress = true } = options;
+  const sourceName = source === '-' ? 'stdin' : source;
+  // A URL is fetched with the -H, --cookie, --timeout, --max-bytes, --retries ... options
+  const fetchOptions = /^https?:\/\//i.test(source) ? fetchOptionsFrom(options) : {};
+  log(chalk.blue(`🌊 Streaming base64 data from: ${sourceName}`));
+  const baseName = output ? path.parse(output).name : `image_${Date.now()}`;
+  const showProgress = progress && !outputSettings.quiet;
+  
+  const onImage = result => {
+    if (showProgress && process.stderr.isTTY) {
+      process.stderr.write('\r\x1b[K');
+    }
+    if (result.error) {
+      console.error(chalk.red(`❌ Error: ${result.error}`));
+      emitRecord({ source: sourceName, index: result.index, error: result.error });
+      addManifestRow(sourceName, result.index, null, result);
+      return;
+    }
+    if (result.mismatch) {
+      log(chalk.yellow(`⚠️  Declared type ${result.declaredType} does not match the data, using ${result.mimeType}`));
+    }
+    if (result.skipped) {
+      log(chalk.yellow(`⏭️  Skipped, file already exists: ${result.outputPath}`));
+      emitRecord({ source: sourceName, index: result.index, mimeType: result.mimeType, size: result.size, output: displayPath(result.outputPath), skipped: true, sha256: result.sha256 });
+      addManifestRow(sourceName, result.index, null, result);
+      return;
+    }
+    log(chalk.green(`✅ Successfully converted base64 image to: ${displayPath(result.outputPath)}`));
+    log(chalk.blue(`📊 File size: ${(result.size / 1024).toFixed(2)} KB`));
+    log(chalk.magenta(`🖼️  Image type: ${result.mimeType || 'unknown'}`));
+    emitRecord({ source: sourceName, index: result.index, mimeType: result.mimeType, size: result.size, output: displayPath(result.outputPath), sha256: result.sha256 });
+    addManifestRow(sourceName, result.index, null, result);
+  };
+  
+  let lastReport = Date.now();
+  const onProgress = ({ bytesRead, totalBytes, images, done }) => {
+    const now = Date.now();
+    // Redraw in place on a terminal, otherwise log a line every few seconds
+    const interval = process.stderr.isTTY ? 200 : 5000;
+    if (!showProgress || (!done && now - lastReport < interval)) {
+      return;
+    }
+    lastReport = now;
+    const megabytes = value => (value / 1024 / 1024).toFixed(1);
+    const total = totalBytes ? ` / ${megabytes(totalBytes)} MB (${Math.min(100, Math.round(bytesRead / totalBytes * 100))}%)` : ' MB';
+    const line = `⏳ ${megabytes(bytesRead)}${total} read, ${images} image(s) extracted`;
+    if (process.stderr.isTTY) {
+      process.stderr.write(`\r\x1b[K${chalk.gray(line)}${done ? '\n' : ''}`);
+    } else {
+      console.error(chalk.gray(line));
+    }
+  };
+  
+  const { images, failed } = await streamExtractImages(source, { outputDir: outputDir || '.', baseName, onConflict, onImage, onProgress, fetch: fetchOptions });
+  if (images === 0 && failed === 0) {
+    throw new NoImagesFoundError('No base64 image data found in the stream');
+  }
+  log(chalk.green(`📸 Extracted ${images} image(s)${failed ? `, ${failed} malformed` : ''}`));
+  await finishConversion({ converted: images, failed });
+}
+
+/**
+ * Gather the images to convert from the data argument, --url, --file or the DATA file
+ * Files are scanned with the scanner for their format; plain text is taken as raw base64
+ * @param {string|undefined} data - Positional data argument
+ * @param {Object} options - Convert options (`url`, `file`, `format`)
+ * @returns {Promise<{source: string, images: Array<{input: string, location: string|null}>}>} - Where the images came from and the images
+ */
+async function collectImages(data, options) {
+  if (data) {
+    return { source: 'argument', images: [{ input: requireData(data), location: null }] };
+  }
+  
+  if (options.url) {
+    return { source: options.url, images: await scanUrl(options.url, fetchOptionsFrom(options)) };
+  }
+  
+  // Pick a scanner from --format, the file extension or the content
+  const filePath = options.file || 'DATA';
+  let scanned;
+  try {
+    scanned = await scanFile(filePath, { format: options.format, maxArchiveDepth: options.maxArchiveDepth, maxArchiveSize: options.maxArchiveSize });
+  } catch (error) {
+    if (error instanceof B64icError) {
+      throw error;
+    }
+    if (!options.file) {
+      throw new Error('No base64 data provided, no URL/file path given, and no DATA file found in current directory.');
+    }
+    throw new Error(`Error reading file: ${error.message}`);
+  }
+  log(chalk.blue(`📁 Reading base64 data from: ${filePath}`));
+  if (scanned.format === 'html') {
+    log(chalk.yellow('📄 Detected HTML content, performing enhanced scan...'));
+  } else if (scanned.format === 'archive') {
+    log(chalk.yellow(`📦 Scanned ${scanned.entries} text file(s) in the archive`));
+    scanned.skipped.forEach(entry => log(chalk.yellow(`⚠️  Skipped ${entry.path}: ${entry.reason}`)));
+  } else if (scanned.format !== 'text') {
+    log(chalk.yellow(`📄 Scanning as ${scanned.format.toUpperCase()} content...`));
+  }
+  return { source: filePath, images: scanned.images };
+}
+
+/**
+ * Normalize data given as argument or file content, rejecting empty input
+ * @param {string} data - The base64 data or data URL
+ * @returns {string} - The normalized data
+ */
+function requireData(data) {
+  const normalized = normalizeInputData(data);
+  if (!normalized) {
+    throw new Error('Empty base64 data provided');
+  }
+  return normalized;
+}
+
+/**
+ * Output path for one of the converted images
+ * A single image is saved as `--output` (or `image_<timestamp>`), several get a `_<n>` suffix;
+ * `--outputdir` keeps only the file name of `--output`. The extension is added from the detected type.
+ * @param {Object} options - Convert options (`output`, `outputdir`)
+ * @param {number} index - 0-based index of the image
+ * @param {number} count - Number of images being converted
+ * @param {number} timestamp - Timestamp for default file names
+ * @returns {string} - The output path
+ */
+function outputPathFor(options, index, count, timestamp) {
+  let name = options.output || `image_${timestamp}`;
+  if (count > 1) {
+    name = `${options.output ? name.replace(/\.[^/.]+$/, '') : name}_${index + 1}`;
+  }
+  if (options.outputdir) {
+    return path.join(options.outputdir, path.basename(name));
+  }
+  return options.output ? name : path.join(process.cwd(), name);
+}
+
+// Files picked up by --recursive besides the structured formats: text that may hold base64 data
+const BATCH_EXTENSIONS = ['html', 'htm', 'xhtml', 'css', 'json', 'geojson', 'har', 'ipynb', 'yaml', 'yml',
+  'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'vue', 'svelte', 'eml', 'mbox', 'txt', 'b64', 'base64', 'log', 'md', 'xml', 'svg', 'csv'];
+
+/**
+ * Expand --recursive or a glob --file into the list of batch inputs
+ * @param {Object} options - Convert options (`file`, `recursive`)
+ * @returns {Promise<string[]|null>} - Input files, or null when this is not a batch run
+ */
+async function resolveBatchInputs(options) {
+  if (options.recursive) {
+    const stats = await fs.stat(options.recursive).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Not a directory: ${options.recursive}`);
+    }
+    return expandInputPaths(path.join(options.recursive, `**/*.{${BATCH_EXTENSIONS.join(',')}}`));
+  }
+  if (options.file && /[*?{]/.test(options.file)) {
+    const stats = await fs.stat(options.file).catch(() => null);
+    if (!stats) {
+      return expandInputPaths(options.file);
+    }
+  }
+  return null;
+}
+
+/**
+ * Deepest directory containing all the given files
+ * @param {string[]} files - File paths
+ * @returns {string} - The common directory
+ */
+function commonDirectory(files) {
+  const split = files.map(file => path.dirname(path.resolve(file)).split(path.sep));
+  const common = split[0].slice();
+  for (const segments of split.slice(1)) {
+    let i = 0;
+    while (i < common.length && common[i] === segments[i]) {
+      i++;
+    }
+    common.length = i;
+  }
+  return common.join(path.sep) || path.sep;
+}
+
+/**
+ * Run an async worker over items with at most `jobs` running at once
+ * @param {Array} items - Items to process
+ * @param {number} jobs - Maximum number of concurrent workers
+ * @param {function(*, number): Promise} worker - Called with each item and its index
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, jobs, worker) {
+  let next = 0;
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(jobs, items.length) }, runWorker));
+}
+
+/**
+ * Convert the images of one batch input into its own output subdirectory
+ * `<outputdir>/<path relative to the batch root>/<name>_<ext>/`
+ * @param {string} file - The input file
+ * @param {string} root - Common directory of all batch inputs
+ * @param {Object} options - Convert options (`output`, `outputdir`, `format`)
+ * @param {function} write - The image writer of the run (see createImageWriter)
+ * @param {Object} [turn] - Ordering in a batch: `previous` settles once the inputs before this one have handed their
+ *   images to the writer, and `done` is called once this one has, so the first input holding an image writes it
+ *   whatever order the scans finish in
+ * @returns {Promise<Object>} - Summary row: source, output directory, converted, duplicate and failed counts, error
+ */
+async function convertBatchInput(file, root, options, write, turn = {}) {
+  const relative = path.parse(path.relative(root, path.resolve(file)));
+  const outputDir = path.join(options.outputdir || '.', relative.dir, `${relative.name}_${relative.ext.slice(1) || 'file'}`);
+  const summary = { source: file, outputDir, converted: 0, duplicates: 0, failed: 0, error: null };
+  
+  let images;
+  try {
+    ({ images } = await scanFile(file, { format: options.format, maxArchiveDepth: options.maxArchiveDepth, maxArchiveSize: options.maxArchiveSize }));
+  } catch (error) {
+    summary.error = error instanceof NoImagesFoundError ? null : error.message;
+    if (summary.error) {
+      emitRecord({ source: file, error: summary.error });
+      addManifestRow(file, null, null, { error: summary.error });
+    }
+    return summary;
+  }
+  // A text file is only taken whole when it decodes to an image, so prose and logs count as inputs without images
+  if (images.length === 1 && !images[0].location) {
+    const image = (() => {
+      try {
+        return inspectImage(images[0].input);
+      } catch {
+        return null;
+      }
+    })();
+    if (!image || !image.mimeType) {
+      return summary;
+    }
+  }
+  
+  const outputOptions = { output: options.output || 'image', outputdir: outputDir };
+  await turn.previous;
+  // The writer registers each image when it is called, before any of the writes finish
+  const writes = images.map((entry, i) => {
+    const target = { source: file, index: i + 1, outputPath: outputPathFor(outputOptions, i, images.length), outputDir };
+    const pending = write(entry, target);
+    pending.catch(() => {});
+    return pending;
+  });
+  if (turn.done) {
+    turn.done();
+  }
+  for (let i = 0; i < images.length; i++) {
+    const { location } = images[i];
+    try {
+      const image = await writes[i];
+      emitRecord(imageRecord(file, i + 1, location, image));
+      addManifestRow(file, i + 1, location, image);
+      summary[image.duplicateOf ? 'duplicates' : 'converted']++;
+    } catch (error) {
+      const message = `Failed to convert base64 image: ${error.message}`;
+      emitRecord({ source: file, index: i + 1, location, error: message });
+      addManifestRow(file, i + 1, location, { error: message });
+      summary.failed++;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Convert many inputs concurrently and print a summary per source
+ * A failing input is reported without stopping the others. Inputs hand their images to the writer in the
+ * order of `files`, so an image shared by several inputs is written by the first of them and the others
+ * list it with `duplicateOf`
+ * @param {string[]} files - Input files
+ * @param {Object} options - Convert options (`jobs`, `output`, `outputdir`, `format`)
+ * @param {function} write - The image writer of the run (see createImageWriter)
+ * @returns {Promise<void>}
+ */
+async function convertBatch(files, options, write) {
+  if (files.length === 0) {
+    throw new NoImagesFoundError('No input files matched');
+  }
+  const jobs = options.jobs === undefined ? os.cpus().length : Number(options.jobs);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new InvalidOptionError(`Invalid --jobs value "${options.jobs}"`);
+  }
+  
+  log(chalk.blue(`📦 Processing ${files.length} input(s) with ${Math.min(jobs, files.length)} worker(s)...`));
+  const root = commonDirectory(files);
+  const summaries = new Array(files.length);
+  const imageCount = summary => summary.converted + summary.duplicates + summary.failed;
+  // An input without images, or whose scan failed, is done when it returns
+  const done = [];
+  const handedOver = files.map((file, index) => new Promise(resolve => {
+    done[index] = resolve;
+  }));
+  const turns = [];
+  files.forEach((file, index) => {
+    turns[index] = index === 0 ? Promise.resolve() : handedOver[index - 1].then(() => turns[index - 1]);
+  });
+  await runWithConcurrency(files, jobs, async (file, index) => {
+    let summary;
+    try {
+      summary = await convertBatchInput(file, root, options, write, { previous: turns[index], done: done[index] });
+    } finally {
+      done[index]();
+    }
+    summaries[index] = summary;
+    if (summary.error) {
+      console.error(chalk.red(`❌ ${file}: ${summary.error}`));
+    } else if (imageCount(summary) === 0) {
+      log(chalk.gray(`⏭️  ${file}: no images`));
+    } else {
+      const duplicates = summary.duplicates ? chalk.gray(`, ${summary.duplicates} duplicate(s)`) : '';
+      const failed = summary.failed ? chalk.red(`, ${summary.failed} failed`) : '';
+      log(`${summary.failed ? '⚠️ ' : '✅'} ${file}: ${summary.converted} image(s)${duplicates}${failed} → ${displayPath(summary.outputDir)}`);
+    }
+  });
+  
+  const total = field => summaries.reduce((sum, summary) => sum + summary[field], 0);
+  const converted = total('converted');
+  const duplicates = total('duplicates');
+  const failed = total('failed') + summaries.filter(summary => summary.error).length;
+  const empty = summaries.filter(summary => !summary.error && imageCount(summary) === 0).length;
+  
+  if (summaries.some(summary => imageCount(summary) > 0)) {
+    const width = Math.max(...summaries.map(summary => summary.source.length), 'Source'.length);
+    log(chalk.bold(`\n${'Source'.padEnd(width)}  Images  Duplicates  Failed`));
+    summaries
+      .filter(summary => imageCount(summary) > 0 || summary.error)
+      .forEach(summary => log(`${summary.source.padEnd(width)}  ${String(summary.converted).padStart(6)}  ${String(summary.duplicates).padStart(10)}  ${String(summary.failed + (summary.error ? 1 : 0)).padStart(6)}`));
+  }
+  log(chalk.green(`\n📊 ${files.length} input(s): ${converted} image(s) converted, ${duplicates} duplicate(s), ${failed} failure(s), ${empty} input(s) without images`));
+  
+  if (converted + duplicates === 0 && failed === 0) {
+    throw new NoImagesFoundError('No base64 image data found in any input');
+  }
+  await finishConversion({ converted: converted + duplicates, failed });
+}
+
+/**
+ * Crawl a site and write every distinct image once, listing the pages that use it
+ * @param {string} url - The start page
+ * @param {Object} options - Crawl command options
+ * @returns {Promise<void>}
+ */
+async function runCrawl(url, options) {
+  const write = createImageWriter({ ...options, dedupe: true });
+  let failed = 0;
+  log(chalk.blue(`🕸️  Crawling ${url} (depth ${options.depth}, up to ${options.maxPages} pages)`));
+  
+  const { pages, images, skipped } = await crawlSite(url, {
+    ...fetchOptionsFrom(options),
+    depth: options.depth,
+    maxPages: options.maxPages,
+    include: options.include,
+    exclude: options.exclude,
+    concurrency: options.concurrency,
+    delay: options.delay,
+    robots: options.robots,
+    onPage: page => {
+      if (page.error) {
+        failed++;
+        console.error(chalk.red(`❌ ${page.url}: ${page.error}`));
+        emitRecord({ source: page.url, error: page.error });
+        addManifestRow(page.url, null, null, { error: page.error });
+        return;
+      }
+      log(`📄 [${page.depth}] ${page.url}: ${page.images} image(s), ${page.links} link(s)`);
+      page.failed.forEach(({ location, error }) => {
+        failed++;
+        const message = `Failed to convert base64 image: ${error}`;
+        console.error(chalk.red(`❌ ${page.url} (${location}): ${message}`));
+        emitRecord({ source: page.url, location, error: message });
+        addManifestRow(page.url, null, location, { error: message });
+      });
+    }
+  });
+  
+  skipped.filter(link => link.reason === 'robots').forEach(link => log(chalk.gray(`🤖 Disallowed by robots.txt: ${link.url}`)));
+  const reasons = {};
+  skipped.forEach(link => {
+    reasons[link.reason] = (reasons[link.reason] || 0) + 1;
+  });
+  if (skipped.length > 0) {
+    log(chalk.gray(`⏭️  Not crawled: ${Object.entries(reasons).map(([reason, count]) => `${count} ${reason}`).join(', ')}`));
+  }
+  
+  let converted = 0;
+  for (let i = 0; i < images.length; i++) {
+    const image = images[i];
+    const [first] = image.pages;
+    try {
+      const written = await write(image, { source: first.url, index: i + 1, outputPath: path.join(options.outputdir, `image_${i + 1}`), outputDir: options.outputdir });
+      const status = written.skipped ? chalk.yellow('⏭️  Kept existing') : chalk.green('✅');
+      log(`${status} ${displayPath(written.outputPath)} (${written.mimeType}, ${(written.size / 1024).toFixed(2)} KB), used on ${image.pages.length} page(s)`);
+      emitRecord({ ...imageRecord(first.url, i + 1, first.location, written), pages: image.pages });
+      // One manifest row per page that embeds the image; the rows after the first point to the same file
+      image.pages.forEach((page, n) => addManifestRow(page.url, i + 1, page.location, n === 0 ? written : { ...written, duplicateOf: written.outputPath }));
+      converted++;
+    } catch (error) {
+      failed++;
+      const message = `Failed to convert base64 image: ${error.message}`;
+      console.error(chalk.red(`❌ Error: ${message}`));
+      emitRecord({ source: first.url, index: i + 1, location: first.location, error: message, pages: image.pages });
+      image.pages.forEach(page => addManifestRow(page.url, i + 1, page.location, { error: message }));
+    }
+  }
+  
+  const occurrences = images.reduce((sum, image) => sum + image.pages.length, 0);
+  log(chalk.green(`\n📊 Crawled ${pages.length} page(s): ${converted} distinct image(s) written from ${occurrences} embedded occurrence(s), ${failed} failure(s)`));
+  if (converted === 0 && failed === 0) {
+    throw new NoImagesFoundError('No base64 image data found on the crawled pages');
+  }
+  await finishConversion({ converted, failed });
+}
+
+// CLI setup
+program
+  .name('base64-image-converter')
+  .description('Convert base64 encoded images to actual image files')
+  .version('1.0.0');
+
+program
+  .command('convert', { isDefault: true })
+  .description('Convert base64 image data to file (default command: `b64ic [data]` is the same as `b64ic convert [data]`)')
+  .argument('[data]', 'Base64 encoded image data or data URL, or - for stdin')
+  .option('-f, --file <path>', 'Read base64 data from file (HTML, JSON, ... files are scanned for every image; - for stdin; a glob pattern runs a batch)')
+  .option('-u, --url <url>', 'Fetch and scan URL for base64 data')
+  .option('-H, --header <header>', 'Request header for --url, "Name: value" (repeatable)', collectOption, [])
+  .option('--cookie <cookie>', 'Cookie for --url, "name=value" (repeatable)', collectOption, [])
+  .option('--user-agent <agent>', 'User-Agent header for --url')
+  .option('--timeout <seconds>', 'Time allowed for each --url request', '30')
+  .option('--max-bytes <size>', 'Largest accepted --url response (e.g. 500k, 10MB)')
+  .option('--retries <n>', 'Retries of --url requests after network errors, timeouts and HTTP 408, 425, 429 and 5xx', '2')
+  .option('--retry-delay <ms>', 'Delay before the first retry, doubled for each further retry', '500')
+  .option('--max-redirects <n>', 'Redirects followed by --url requests', '20')
+  .option('--follow-assets', 'Also scan the same-origin stylesheets and scripts linked by the --url page')
+  .option('-o, --output <path>', 'Output file path')
+  .option('-d, --outputdir <dir>', 'Output directory')
+  .option('-r, --recursive <dir>', 'Convert every HTML, CSS, JSON, YAML, code and text file below a directory')
+  .option('-j, --jobs <n>', 'Number of inputs processed concurrently in batch mode (default: number of CPUs)')
+  .option('-n, --name <template>', 'Output file name template: {hash}, {hash:8}, {index}, {source}, {mime}, {ext}, {width}, {height}, {context}')
+  .addOption(onConflictOption())
+  .option('--no-dedupe', 'Write images with the same content again instead of once per run')
+  .option('--format <format>', `Input format of --file: ${INPUT_FORMATS.join(', ')} (default: detected)`)
+  .option('--max-archive-depth <n>', 'Archives opened inside each other when --file is a ZIP, EPUB, DOCX, tar or gzip archive', '3')
+  .option('--max-archive-size <size>', 'Stop when an archive decompresses to more than this (e.g. 64MB)', '256MB')
+  .option('--to <format>', `Transcode images to ${TRANSCODE_FORMATS.join(', ')}`)
+  .option('--quality <n>', 'Quality of JPEG and WebP output, 1-100 (default: 85)')
+  .option('--max-width <px>', 'Scale images down to at most this width')
+  .option('--max-height <px>', 'Scale images down to at most this height')
+  .option('--strip-metadata', 'Remove EXIF, XMP, IPTC and text metadata')
+  .option('--sanitize-svg', 'Remove scripts, event handlers, javascript: URLs and external references from SVG images')
+  .option('--manifest <path>', 'Write one row per image to a .json or .csv manifest')
+  .option('--gallery', 'Write an index.html contact sheet of the images next to them')
+  .option('--archive <path>', 'Package the images and their gallery in a .zip or .tar file instead of writing loose files')
+  .option('--json', 'Print a JSON array with one record per image')
+  .option('--ndjson', 'Print one JSON record per line as images are converted')
+  .option('-q, --quiet', 'Suppress status messages')
+  .action(async (data, options) => {
+    try {
+      configureOutput(options);
+      if (options.format && !INPUT_FORMATS.includes(options.format)) {
+        throw new InvalidOptionError(`Unknown format "${options.format}", expected one of ${INPUT_FORMATS.join(', ')}`);
+      }
+      checkOnConflict(options);
+      if (options.name) {
+        if (options.output) {
+          throw new InvalidOptionError('--name cannot be combined with --output');
+        }
+        validateNameTemplate(options.name);
+      }
+      await configureGallery(options, Boolean(options.outputdir));
+      if (options.outputdir) {
+        await fs.mkdir(options.outputdir, { recursive: true });
+      }
+      const write = createImageWriter(options);
+      
+      const batchFiles = await resolveBatchInputs(options);
+      if (batchFiles) {
+        if (data) {
+          throw new InvalidOptionError('Base64 data cannot be combined with a batch --file pattern or --recursive');
+        }
+        await convertBatch(batchFiles, options, write);
+        return;
+      }
+      
+      const streamSource = await resolveStreamSource(data, options.file);
+      if (streamSource) {
+        if (options.name) {
+          log(chalk.yellow('⚠️  --name does not apply to streamed input, files are named <output>_<n>'));
+        }
+        if (normalizeTranscodeOptions(options) || options.sanitizeSvg) {
+          log(chalk.yellow('⚠️  Streamed images are written as decoded, without transcoding or SVG sanitization'));
+        }
+        await runStreamExtraction(streamSource, options);
+        return;
+      }
+      
+      const { source, images } = await collectImages(data, options);
+      if (images.length > 1) {
+        log(chalk.yellow(`📸 Processing ${images.length} images from ${source}...`));
+      }
+      const timestamp = Date.now();
+      const counts = await convertImages(images, {
+        source,
+        outputFor: index => outputPathFor(options, index, images.length, timestamp),
+        outputDir: options.outputdir || process.cwd(),
+        write
+      });
+      await finishConversion(counts);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program
+  .command('detect')
+  .description('Detect image type and inspect image metadata without converting')
+  .argument('[data]', 'Base64 encoded image data or data URL')
+  .option('-f, --file <path>', 'Read base64 data from file (HTML, JSON, ... files are scanned for every image)')
+  .option('--json', 'Print the inspection results as JSON')
+  .option('--ndjson', 'Print one JSON inspection record per line')
+  .option('-q, --quiet', 'Suppress status messages')
+  .action(async (data, options) => {
+    try {
+      configureOutput(options);
+      let base64Data = data;
+      // Images to inspect, with their location when they were scanned from a document
+      let images;
+      
+      if (!base64Data) {
+        if (!options.file) {
+          throw new InvalidOptionError('Please provide base64 data as argument or use --file option');
+        }
+        
+        try {
+          base64Data = await fs.readFile(options.file, 'utf8');
+          log(chalk.blue(`📁 Reading base64 data from: ${options.file}`));
+        } catch (error) {
+          throw new Error(`Error reading file: ${error.message}`);
+        }
+        
+        if (await isArchiveFile(options.file)) {
+          ({ images } = await scanFile(options.file, { format: 'archive' }));
+        } else {
+          const locations = new Map();
+          scanContentForImages(base64Data, detectInputFormat(options.file, base64Data)).forEach(hit => {
+            if (!locations.has(hit.dataUrl)) {
+              locations.set(hit.dataUrl, hit);
+            }
+          });
+          if (locations.size > 0) {
+            images = [...locations.values()].map(hit => ({ input: hit.dataUrl, location: describeImageLocation(hit) }));
+          }
+        }
+      }
+      
+      if (!images) {
+        images = [{ input: requireData(base64Data), location: null }];
+      }
+      
+      const source = options.file || 'argument';
+      const records = images.map((image, index) => ({ source, ...inspectImageData(image.input, index + 1, image.location) }));
+      const failed = records.filter(record => record.error).length;
+      
+      if (outputSettings.mode !== 'text') {
+        records.forEach(emitRecord);
+        flushRecords();
+      } else if (records.length > 1) {
+        printInspectionTable(records);
+      } else if (records[0].error) {
+        throw new Error(records[0].error);
+      } else {
+        printInspection(records[0]);
+      }
+      if (failed > 0) {
+        process.exitCode = failed < records.length ? EXIT_PARTIAL_FAILURE : EXIT_FATAL;
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program
+  .command('encode')
+  .description('Encode image files to base64, data URLs, CSS or <img> snippets')
+  .argument('<inputs...>', 'Image files, directories or glob patterns')
+  .option('-t, --format <format>', 'Output format: base64, dataurl, css or img', 'dataurl')
+  .option('-w, --wrap <n>', 'Wrap base64 output at n characters (0 disables)', '0')
+  .option('-o, --output <path>', 'Write encoded output to a file instead of stdout')
+  .action(async (inputs, options) => {
+    try {
+      if (!['base64', 'dataurl', 'css', 'img'].includes(options.format)) {
+        console.error(chalk.red(`❌ Error: Unknown format "${options.format}", expected base64, dataurl, css or img`));
+        process.exit(1);
+      }
+      const wrap = parseInt(options.wrap, 10);
+      if (Number.isNaN(wrap) || wrap < 0) {
+        console.error(chalk.red(`❌ Error: Invalid --wrap value "${options.wrap}"`));
+        process.exit(1);
+      }
+      
+      const files = [];
+      for (const input of inputs) {
+        files.push(...await expandInputPaths(input));
+      }
+      if (files.length === 0) {
+        console.error(chalk.red('❌ Error: No image files matched the given inputs'));
+        process.exit(1);
+      }
+      
+      // Status messages go to stderr so stdout stays pipeable
+      const results = [];
+      let failures = 0;
+      for (const file of files) {
+        try {
+          const { output, mimeType, size } = await encodeImageFile(file, { format: options.format, wrap });
+          results.push(output);
+          console.error(chalk.green(`✅ Encoded ${file} (${mimeType}, ${(size / 1024).toFixed(2)} KB)`));
+        } catch (error) {
+          failures++;
+          console.error(chalk.red(`❌ Error: ${error.message}`));
+        }
+      }
+      
+      if (options.output) {
+        await fs.writeFile(options.output, results.join('\n') + '\n');
+        console.error(chalk.blue(`📁 Wrote encoded output to: ${options.output}`));
+      } else if (results.length > 0) {
+        process.stdout.write(results.join('\n') + '\n');
+      }
+      
+      if (failures > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('inline')
+  .description('Embed linked local images of an HTML or CSS file as data URLs')
+  .argument('<file>', 'HTML or CSS file to inline')
+  .option('-o, --output <path>', 'Output file path (default: <name>.inlined.<ext>)')
+  .option('-m, --max-size <size>', 'Leave images larger than this linked (e.g. 500, 64k, 1.5MB)')
+  .option('-r, --root <dir>', 'Directory for root-relative references (default: the file\'s directory)')
+  .action(async (file, options) => {
+    try {
+      const maxSize = options.maxSize !== undefined ? parseSize(options.maxSize) : Infinity;
+      
+      console.log(chalk.blue(`📁 Reading document from: ${file}`));
+      const result = await inlineLocalImages(file, { maxSize, root: options.root });
+      
+      const parsedPath = path.parse(file);
+      const outputPath = options.output || path.join(parsedPath.dir, `${parsedPath.name}.inlined${parsedPath.ext}`);
+      await fs.writeFile(outputPath, result.content);
+      
+      result.skipped.forEach(reference => console.log(chalk.yellow(`⏭️  Left linked (over size limit): ${reference}`)));
+      result.missing.forEach(reference => console.log(chalk.yellow(`❓ Could not inline: ${reference}`)));
+      console.log(chalk.green(`✅ Inlined ${result.inlined.length} image(s) into: ${outputPath}`));
+    } catch (error) {
+      console.error(chalk.red(`❌ Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('extract')
+  .description('Extract embedded images of an HTML, CSS or email (.eml, .mbox) file into an assets directory')
+  .argument('<file>', 'HTML, CSS or email file to extract images from')
+  .option('-d, --outputdir <dir>', 'Assets directory (default: <name>_assets next to the file)')
+  .option('--rewrite', 'Also write a copy of the document with data URLs (and cid: references of emails) replaced by relative paths')
+  .option('-o, --output <path>', 'Rewritten document path (default: <name>.extracted.<ext>, or .html for the HTML body of an email)')
+  .addOption(onConflictOption('an image file in the assets directory'))
+  .option('--to <format>', `Transcode images to ${TRANSCODE_FORMATS.join(', ')}`)
+  .option('--quality <n>', 'Quality of JPEG and WebP output, 1-100 (default: 85)')
+  .option('--max-width <px>', 'Scale images down to at most this width')
+  .option('--max-height <px>', 'Scale images down to at most this height')
+  .option('--strip-metadata', 'Remove EXIF, XMP, IPTC and text metadata')
+  .option('--sanitize-svg', 'Remove scripts, event handlers, javascript: URLs and external references from SVG images')
+  .action(async (file, options) => {
+    try {
+      checkOnConflict(options);
+      const transcode = normalizeTranscodeOptions(options);
+      const content = await fs.readFile(file, 'utf8');
+      console.log(chalk.blue(`📁 Reading document from: ${file}`));
+      
+      const parsedPath = path.parse(file);
+      const format = detectInputFormat(file, content);
+      const isMime = format === 'eml' || format === 'mbox';
+      const assetsDir = options.outputdir || path.join(parsedPath.dir, `${parsedPath.name}_assets`);
+      const outputPath = options.output || path.join(parsedPath.dir, `${parsedPath.name}.extracted${isMime ? '.html' : parsedPath.ext}`);
+      
+      const documentDir = path.dirname(path.resolve(outputPath));
+      const result = isMime
+        ? await extractMimeDocument(content, assetsDir, documentDir, { format, onConflict: options.onConflict, transcode, sanitizeSvg: options.sanitizeSvg })
+        : await extractAndRewriteDocument(content, assetsDir, documentDir, { onConflict: options.onConflict, transcode, sanitizeSvg: options.sanitizeSvg });
+      if (result.extracted.length === 0 && result.failed.length === 0) {
+        throw new NoImagesFoundError('No base64 image data found in the document');
+      }
+      result.extracted.forEach(image => {
+        console.log(chalk.cyan(`📍 ${image.location}`));
+        if (image.originalMimeType) {
+          console.log(chalk.blue(`🔄 ${describeTranscoding(image)}`));
+        }
+        reportSanitizedSvg(image, console.log);
+        if (image.skipped) {
+          console.log(chalk.yellow(`⏭️  Kept existing file: ${image.outputPath}`));
+          return;
+        }
+        console.log(chalk.green(`✅ Successfully converted base64 image to: ${image.outputPath}`));
+        console.log(chalk.blue(`📊 File size: ${(image.size / 1024).toFixed(2)} KB`));
+        console.log(chalk.magenta(`🖼️  Image type: ${image.mimeType}`));
+      });
+      result.failed.forEach(image => {
+        console.error(chalk.cyan(`📍 ${image.location}`));
+        console.error(chalk.red(`❌ Error: Failed to convert base64 image: ${image.error}`));
+      });
+      
+      if (options.rewrite && isMime) {
+        // A mailbox gets one HTML file per message: <output>_<message>.html
+        const { dir, name, ext } = path.parse(outputPath);
+        for (const document of result.documents) {
+          const documentPath = format === 'mbox' ? path.join(dir, `${name}_${document.message}${ext}`) : outputPath;
+          await fs.writeFile(documentPath, document.content);
+          console.log(chalk.green(`✅ Wrote rewritten HTML body to: ${documentPath}`));
+        }
+        if (result.documents.length === 0) {
+          console.log(chalk.yellow('⚠️  No HTML body to rewrite'));
+        }
+      } else if (options.rewrite) {
+        await fs.writeFile(outputPath, result.content);
+        console.log(chalk.green(`✅ Wrote rewritten document to: ${outputPath}`));
+      }
+      console.log(chalk.green(`📸 Extracted ${result.extracted.length} image(s) to: ${assetsDir}`));
+      
+      if (result.failed.length > 0) {
+        process.exit(EXIT_FATAL);
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program
+  .command('stream')
+  .description('Extract images from large files, URLs or stdin with bounded memory')
+  .argument('[source]', 'File path, http(s) URL or - for stdin', '-')
+  .option('-d, --outputdir <dir>', 'Output directory', '.')
+  .option('-o, --output <name>', 'Base name for output files (default: image_<timestamp>)')
+  .addOption(onConflictOption())
+  .option('-H, --header <header>', 'Request header for a URL source, "Name: value" (repeatable)', collectOption, [])
+  .option('--cookie <cookie>', 'Cookie for a URL source, "name=value" (repeatable)', collectOption, [])
+  .option('--user-agent <agent>', 'User-Agent header for a URL source')
+  .option('--timeout <seconds>', 'Time allowed for the response headers, and for each wait for data after them', '30')
+  .option('--max-bytes <size>', 'Largest accepted URL response (e.g. 500MB, 2GB)')
+  .option('--retries <n>', 'Retries of the request after network errors, timeouts and HTTP 408, 425, 429 and 5xx', '2')
+  .option('--retry-delay <ms>', 'Delay before the first retry, doubled for each further retry', '500')
+  .option('--max-redirects <n>', 'Redirects followed by the request', '20')
+  .option('--no-progress', 'Do not report progress on stderr')
+  .option('--manifest <path>', 'Write one row per image to a .json or .csv manifest')
+  .option('--json', 'Print a JSON array with one record per image')
+  .option('--ndjson', 'Print one JSON record per line as images are extracted')
+  .option('-q, --quiet', 'Suppress status and progress messages')
+  .action(async (source, options) => {
+    try {
+      configureOutput(options);
+      checkOnConflict(options);
+      await runStreamExtraction(source, options);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program
+  .command('verify')
+  .description('Check that the files listed in a manifest still match their recorded SHA-256')
+  .argument('<manifest>', 'Manifest written by --manifest (.json or .csv)')
+  .option('--json', 'Print a JSON array with one record per file')
+  .option('--ndjson', 'Print one JSON record per line as files are checked')
+  .option('-q, --quiet', 'Only report files that do not match')
+  .action(async (manifest, options) => {
+    try {
+      configureOutput(options);
+      log(chalk.blue(`🧾 Verifying files listed in: ${manifest}`));
+      const results = await verifyManifest(manifest);
+      if (results.length === 0) {
+        throw new NoImagesFoundError('The manifest lists no output files');
+      }
+      
+      for (const result of results) {
+        emitRecord(result);
+        if (result.status === 'ok') {
+          log(chalk.green(`✅ ${result.output}`));
+        } else if (result.status === 'missing') {
+          console.error(chalk.red(`❌ ${result.output}: missing`));
+        } else {
+          console.error(chalk.red(`❌ ${result.output}: modified (expected ${result.expectedSha256.slice(0, 12)}…, ${result.expectedSize} bytes; found ${result.actualSha256.slice(0, 12)}…, ${result.actualSize} bytes)`));
+        }
+      }
+      
+      const count = status => results.filter(result => result.status === status).length;
+      const ok = count('ok');
+      log(chalk.green(`\n📊 ${results.length} file(s) checked: ${ok} ok, ${count('missing')} missing, ${count('modified')} modified`));
+      flushRecords();
+      if (ok < results.length) {
+        process.exitCode = ok > 0 ? EXIT_PARTIAL_FAILURE : EXIT_FATAL;
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program
+  .command('crawl')
+  .description('Follow same-origin links from a page and extract the images embedded in every page')
+  .argument('<url>', 'Start page')
+  .option('-d, --outputdir <dir>', 'Output directory', '.')
+  .option('--depth <n>', 'Links followed from the start page', '2')
+  .option('--max-pages <n>', 'Pages fetched at most', '100')
+  .option('--include <pattern>', 'Only follow links whose path matches this glob, e.g. "/wiki/**" (repeatable)', collectOption, [])
+  .option('--exclude <pattern>', 'Never follow links whose path matches this glob (repeatable)', collectOption, [])
+  .option('--concurrency <n>', 'Pages fetched at once', '2')
+  .option('--delay <ms>', 'Pause between the starts of two requests to the site, shared by all workers (a longer robots.txt Crawl-delay wins)', '250')
+  .option('--no-robots', 'Ignore robots.txt')
+  .option('-n, --name <template>', 'Output file name template: {hash}, {hash:8}, {index}, {source}, {mime}, {ext}, {width}, {height}, {context}')
+  .addOption(onConflictOption())
+  .option('-H, --header <header>', 'Request header, "Name: value" (repeatable)', collectOption, [])
+  .option('--cookie <cookie>', 'Cookie, "name=value" (repeatable)', collectOption, [])
+  .option('--user-agent <agent>', 'User-Agent header, also matched against robots.txt')
+  .option('--timeout <seconds>', 'Time allowed for each request', '30')
+  .option('--max-bytes <size>', 'Largest accepted page (e.g. 500k, 10MB)')
+  .option('--retries <n>', 'Retries after network errors, timeouts and HTTP 408, 425, 429 and 5xx', '2')
+  .option('--retry-delay <ms>', 'Delay before the first retry, doubled for each further retry', '500')
+  .option('--max-redirects <n>', 'Redirects followed per request', '20')
+  .option('--manifest <path>', 'Write one row per page and image to a .json or .csv manifest')
+  .option('--gallery', 'Write an index.html contact sheet of the images to the output directory')
+  .option('--archive <path>', 'Package the images and their gallery in a .zip or .tar file instead of writing loose files')
+  .option('--json', 'Print a JSON array with one record per distinct image')
+  .option('--ndjson', 'Print one JSON record per line for each distinct image')
+  .option('-q, --quiet', 'Suppress status messages')
+  .action(async (url, options, command) => {
+    try {
+      configureOutput(options);
+      checkOnConflict(options);
+      if (options.name) {
+        validateNameTemplate(options.name);
+      }
+      await configureGallery(options, command.getOptionValueSource('outputdir') === 'cli');
+      await runCrawl(url, options);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program
+  .command('audit')
+  .description('Report the images embedded in the HTML, CSS, JavaScript and JSON files of a project')
+  .argument('<dir>', 'Project directory or file to audit')
+  .option('-m, --max-inline-size <size>', 'Flag images larger than this and exit with code 4 (e.g. 2k, 10KB)')
+  .option('--json', 'Print a JSON array with one record per embedded image')
+  .option('--ndjson', 'Print one JSON record per line for each embedded image')
+  .option('-q, --quiet', 'Only print the images over budget and the summary')
+  .action(async (dir, options) => {
+    try {
+      configureOutput(options);
+      const maxInlineSize = options.maxInlineSize !== undefined ? parseSize(options.maxInlineSize) : Infinity;
+      log(chalk.blue(`🔎 Auditing embedded images in: ${dir}`));
+      const { files, images, duplicates } = await auditEmbeddedImages(dir, { maxInlineSize });
+      
+      images.forEach(emitRecord);
+      flushRecords();
+      
+      const decoded = images.filter(image => !image.error);
+      const overBudget = decoded.filter(image => image.overBudget);
+      const total = field => decoded.reduce((sum, image) => sum + image[field], 0);
+      if (outputSettings.mode === 'text') {
+        if (images.length > 0 && !outputSettings.quiet) {
+          printAuditTable(images);
+        }
+        if (!outputSettings.quiet) {
+          duplicates.forEach(duplicate => {
+            const places = duplicate.occurrences.map(({ file, line }) => `${file}:${line}`).join(', ');
+            console.log(chalk.yellow(`\n♻️  ${duplicate.mimeType} (${formatKilobytes(duplicate.size)}, ${duplicate.sha256.slice(0, 12)}…) is embedded ${duplicate.occurrences.length} times, ${formatKilobytes(duplicate.wastedSize)} inline could be saved: ${places}`));
+          });
+        }
+        overBudget.forEach(image => {
+          console.error(chalk.red(`❌ ${image.file}:${image.line}: ${image.mimeType} of ${formatKilobytes(image.size)} exceeds the inline budget of ${formatKilobytes(maxInlineSize)}`));
+        });
+        console.log(chalk.green(`\n📊 ${files.length} file(s) scanned: ${images.length} embedded image(s), ${formatKilobytes(total('size'))} decoded, ` +
+          `${formatKilobytes(total('encodedSize'))} inline (${formatKilobytes(total('overhead'))} base64 overhead), ` +
+          `${duplicates.length} duplicated image(s), ${overBudget.length} over budget`));
+      }
+      
+      if (overBudget.length > 0) {
+        process.exitCode = EXIT_OVER_BUDGET;
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program
+  .command('watch')
+  .description('Watch a directory and extract images from files as they appear or change')
+  .argument('<dir>', 'Directory to watch')
+  .option('-d, --outputdir <dir>', 'Output directory (required; never scanned, even inside the watched directory)')
+  .option('--include <pattern>', 'Only scan files whose path below the directory matches this glob, e.g. "**/*.html" (repeatable; default: the --recursive file types)', collectOption, [])
+  .option('--exclude <pattern>', 'Never scan files whose path below the directory matches this glob (repeatable)', collectOption, [])
+  .option('--debounce <ms>', 'Scan a file once it has not changed for this long', '1000')
+  .option('--interval <ms>', 'Time between two checks of the directory', '500')
+  .option('--ignore-initial', 'Do not scan the files already in the directory at start')
+  .option('--format <format>', `Input format of the files: ${INPUT_FORMATS.join(', ')} (default: detected)`)
+  .option('-n, --name <template>', 'Output file name template: {hash}, {hash:8}, {index}, {source}, {mime}, {ext}, {width}, {height}, {context}')
+  .addOption(onConflictOption())
+  .option('--ndjson', 'Print one JSON record per line as images are extracted')
+  .option('-q, --quiet', 'Suppress status messages')
+  .action(async (dir, options) => {
+    try {
+      configureOutput(options);
+      if (!options.outputdir) {
+        throw new InvalidOptionError('--outputdir is required');
+      }
+      if (path.resolve(options.outputdir) === path.resolve(dir)) {
+        throw new InvalidOptionError('--outputdir must not be the watched directory');
+      }
+      if (options.format && !INPUT_FORMATS.includes(options.format)) {
+        throw new InvalidOptionError(`Unknown format "${options.format}", expected one of ${INPUT_FORMATS.join(', ')}`);
+      }
+      checkOnConflict(options);
+      if (options.name) {
+        validateNameTemplate(options.name);
+      }
+      const debounce = Number(options.debounce);
+      const interval = Number(options.interval);
+      if (!(debounce >= 0) || !(interval > 0)) {
+        throw new InvalidOptionError('--debounce and --interval must be numbers of milliseconds (--interval above 0)');
+      }
+      const stats = await fs.stat(dir).catch(() => null);
+      if (!stats || !stats.isDirectory()) {
+        throw new Error(`Not a directory: ${dir}`);
+      }
+      await fs.mkdir(options.outputdir, { recursive: true });
+      
+      // Images are tracked by content hash for the whole session, so a rescanned file only adds its new images
+      const write = createImageWriter({ ...options, dedupe: true });
+      const totals = { files: 0, converted: 0, duplicates: 0, failed: 0 };
+      const controller = new AbortController();
+      process.once('SIGINT', () => controller.abort());
+      process.once('SIGTERM', () => controller.abort());
+      
+      log(chalk.blue(`👀 Watching ${dir}, writing new images to ${options.outputdir} (Ctrl+C to stop)`));
+      await watchFiles(dir, {
+        include: options.include.length > 0 ? options.include : [`**/*.{${BATCH_EXTENSIONS.join(',')}}`],
+        exclude: options.exclude,
+        ignoreDirectories: [options.outputdir],
+        interval,
+        debounce,
+        ignoreInitial: options.ignoreInitial,
+        signal: controller.signal,
+        onFile: async file => {
+          const summary = await convertBatchInput(file, dir, options, write);
+          const time = chalk.gray(`[${new Date().toTimeString().slice(0, 8)}]`);
+          totals.files++;
+          if (summary.error) {
+            const removed = !await fs.stat(file).catch(() => null);
+            console.error(`${time} ${chalk.red(removed ? `🗑️  ${file} was removed before it could be scanned` : `❌ ${file}: ${summary.error}`)}`);
+            return;
+          }
+          totals.converted += summary.converted;
+          totals.duplicates += summary.duplicates;
+          totals.failed += summary.failed;
+          if (summary.converted + summary.duplicates + summary.failed === 0) {
+            log(`${time} ${chalk.gray(`⚪ ${file}: no images`)}`);
+            return;
+          }
+          const known = summary.duplicates ? chalk.gray(`, ${summary.duplicates} already extracted`) : '';
+          const failed = summary.failed ? chalk.red(`, ${summary.failed} failed`) : '';
+          log(`${time} ${summary.failed ? '⚠️ ' : '✅'} ${file}: ${summary.converted} new image(s)${known}${failed}${summary.converted ? ` → ${summary.outputDir}` : ''}`);
+        }
+      });
+      
+      log(chalk.green(`\n📊 Scanned ${totals.files} file(s): ${totals.converted} new image(s) written, ${totals.duplicates} already extracted, ${totals.failed} failure(s)`));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program
+  .command('serve')
+  .description('Run a local HTTP service with JSON decode, detect, scan and encode endpoints')
+  .option('-p, --port <n>', 'Port to listen on (0 picks a free one)', '8080')
+  .option('--host <host>', `Loopback address to listen on: ${LOOPBACK_HOSTS.join(', ')}`, '127.0.0.1')
+  .option('--max-body <size>', 'Largest accepted request body (e.g. 500k, 50MB)', '10MB')
+  .option('-q, --quiet', 'Do not log requests')
+  .action(async (options) => {
+    try {
+      configureOutput(options);
+      const port = Number(options.port);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new InvalidOptionError(`Invalid --port value "${options.port}", expected 0-65535`);
+      }
+      if (!LOOPBACK_HOSTS.includes(options.host)) {
+        throw new InvalidOptionError(`--host must be a loopback address (${LOOPBACK_HOSTS.join(', ')}), the service is not meant to be reachable from the network`);
+      }
+      
+      const server = createService({
+        maxBodySize: options.maxBody,
+        onRequest: ({ method, path: requestPath, status, duration }) => {
+          const line = `📨 ${method} ${requestPath} ${status} (${duration} ms)`;
+          log(status >= 400 ? chalk.yellow(line) : line);
+        }
+      });
+      // Open connections are tracked here, server.closeAllConnections() only exists from Node 18.2
+      const sockets = new Set();
+      server.on('connection', socket => {
+        sockets.add(socket);
+        socket.once('close', () => sockets.delete(socket));
+      });
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, options.host, resolve);
+      });
+      const address = server.address();
+      const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+      // Printed even with --quiet: callers started with --port 0 read the port from it
+      console.log(chalk.green(`🚀 b64ic service listening on http://${host}:${address.port}`));
+      log(chalk.gray('   GET /health, POST /decode, /detect, /scan, /encode. Press Ctrl+C to stop.'));
+      
+      const stop = () => {
+        log(chalk.blue('👋 Stopping the service'));
+        server.close(() => process.exit(0));
+        sockets.forEach(socket => socket.destroy());
+      };
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program.parse();
@@ -1,555 +1,5668 @@
-#!/usr/bin/env node
+/**
+ * b64ic library API
+ *
+ * Decodes, detects, inspects, scans and encodes base64 images in-process. Nothing here
+ * prints or exits: functions return buffers and metadata and throw the error classes
+ * below. The command-line tool in cli.js is a thin wrapper around these exports.
+ */
 
-import { Command } from 'commander';
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { Readable } from 'stream';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
-import chalk from 'chalk';
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import zlib from 'zlib';
+import http from 'http';
+
+/**
+ * Base class of every error thrown by the library
+ * `code` identifies the kind of failure, e.g. `ERR_MALFORMED_DATA`
+ */
+class B64icError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {string} code - Machine-readable error code
+   */
+  constructor(message, code = 'ERR_B64IC') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Base64 payload or data URL that cannot be decoded
+ */
+class MalformedDataError extends B64icError {
+  constructor(message) {
+    super(message, 'ERR_MALFORMED_DATA');
+  }
+}
+
+/**
+ * Decoded data whose image type is unknown or has no file extension
+ */
+class UnsupportedImageError extends B64icError {
+  constructor(message) {
+    super(message, 'ERR_UNSUPPORTED_IMAGE');
+  }
+}
+
+/**
+ * Input that was scanned without finding any base64 image
+ */
+class NoImagesFoundError extends B64icError {
+  constructor(message) {
+    super(message, 'ERR_NO_IMAGES');
+  }
+}
 
-// Configure chalk for better terminal compatibility
-chalk.level = 3; // Enable all colors
+/**
+ * URL that could not be fetched; `status` is the HTTP status when there was a response
+ */
+class FetchError extends B64icError {
+  /**
+   * @param {string} message - The error message
+   * @param {number|null} status - HTTP status code
+   */
+  constructor(message, status = null) {
+    super(message, 'ERR_FETCH');
+    this.status = status;
+  }
+}
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/**
+ * Invalid option value passed to a library function
+ */
+class InvalidOptionError extends B64icError {
+  constructor(message) {
+    super(message, 'ERR_INVALID_OPTION');
+  }
+}
 
-const program = new Command();
+/**
+ * Archive that decompresses to more data than allowed, e.g. a zip bomb
+ */
+class ArchiveLimitError extends B64icError {
+  constructor(message) {
+    super(message, 'ERR_ARCHIVE_LIMIT');
+  }
+}
 
 // MIME type to file extension mapping
 const mimeToExtension = {
   'image/jpeg': 'jpg',
   'image/jpg': 'jpg',
   'image/png': 'png',
+  'image/apng': 'png',
   'image/gif': 'gif',
   'image/webp': 'webp',
   'image/bmp': 'bmp',
   'image/tiff': 'tiff',
   'image/svg+xml': 'svg',
-  'image/ico': 'ico'
+  'image/avif': 'avif',
+  'image/heic': 'heic',
+  'image/heif': 'heif',
+  'image/jxl': 'jxl',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+  'image/ico': 'ico',
+  'image/x-win-bitmap': 'cur',
+  'image/vnd.adobe.photoshop': 'psd',
+  'image/qoi': 'qoi',
+  'application/pdf': 'pdf',
+  'font/woff': 'woff',
+  'font/woff2': 'woff2',
+  'font/otf': 'otf',
+  'font/ttf': 'ttf',
+  'application/zip': 'zip',
+  'application/gzip': 'gz',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/flac': 'flac',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm'
 };
 
+// Characters of a base64 payload: standard and URL-safe alphabets, JSON-escaped
+// slashes and percent-encoded '+' and '/'
+const BASE64_CHARS = '(?:[A-Za-z0-9+/_-]|\\\\\\/|%2[BbFf])';
+
+// Padding ends a base64 payload, so `-` and `_` after it (e.g. `...==-->`) are not taken as URL-safe base64
+const BASE64_PADDING = '(?:=|%3[Dd])*';
+
+// Data URL pattern (RFC 2397) for base64, percent-encoded and plain SVG payloads.
+// Base64 payloads may be wrapped across lines or with escaped JSON newlines.
+const DATA_URL_PATTERN = new RegExp(
+  'data:image(?:\\\\)?\\/[\\w.+-]+' +
+  '(?:;(?!base64[,;])[\\w.+-]+(?:=(?:[\\w.+-]+|"[^"]*"))?)*' +
+  '(?:' +
+    ';base64,' + BASE64_CHARS + '+' +
+    '(?:(?:\\\\r)?\\\\n(?:\\\\t|[ \\t])*' + BASE64_CHARS + '+' +
+    '|\\r?\\n[ \\t]*' + BASE64_CHARS + '+(?=' + BASE64_PADDING + '[ \\t]*(?:[\\r\\n"\'),;<]|$)))*' +
+    BASE64_PADDING +
+  '|' +
+    ',(?:(?:<|%3[Cc])(?:svg|\\?xml|%3[Ff]xml)[\\s\\S]*?(?:<|%3[Cc])(?:\\/|%2[Ff])svg(?:>|%3[Ee])' +
+    '|[^\\s"\'()<>]+)' +
+  ')',
+  'g'
+);
+
+/**
+ * Decode a base64 payload, accepting URL-safe, wrapped, percent-encoded and JSON-escaped forms
+ * @param {string} payload - The base64 text
+ * @returns {Buffer} - The decoded bytes
+ * @throws {MalformedDataError} - If the payload has characters outside the alphabet or invalid padding
+ */
+function decodeBase64Payload(payload) {
+  const normalized = payload
+    .replace(/\\r|\\n|\\t/g, '')
+    .replace(/\\\//g, '/')
+    .replace(/%2[Bb]/g, '+')
+    .replace(/%2[Ff]/g, '/')
+    .replace(/%3[Dd]/g, '=')
+    .replace(/\s/g, '')
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  
+  if (!normalized) {
+    throw new MalformedDataError('Malformed base64 payload: empty data');
+  }
+  const invalid = normalized.search(/[^A-Za-z0-9+/=]/);
+  if (invalid !== -1) {
+    throw new MalformedDataError(`Malformed base64 payload: invalid character "${normalized[invalid]}" at position ${invalid}`);
+  }
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(normalized)) {
+    throw new MalformedDataError('Malformed base64 payload: padding in the middle of the data');
+  }
+  const unpadded = normalized.replace(/=+$/, '');
+  if (unpadded.length % 4 === 1 || (normalized.includes('=') && normalized.length % 4 !== 0)) {
+    throw new MalformedDataError('Malformed base64 payload: invalid length or padding (data may be truncated)');
+  }
+  
+  return Buffer.from(unpadded, 'base64');
+}
+
+/**
+ * Decode a percent-encoded (or plain) data URL payload to bytes
+ * @param {string} payload - The payload text
+ * @returns {Buffer} - The decoded bytes
+ */
+function decodePercentPayload(payload) {
+  const parts = payload.split(/(%[0-9A-Fa-f]{2})/);
+  return Buffer.concat(parts.map(part => /^%[0-9A-Fa-f]{2}$/.test(part)
+    ? Buffer.from([parseInt(part.slice(1), 16)])
+    : Buffer.from(part, 'utf8')));
+}
+
+/**
+ * Parse an RFC 2397 data URL
+ * @param {string} dataUrl - The data URL
+ * @returns {{mimeType: string, parameters: Object, isBase64: boolean, buffer: Buffer}} - The parsed data URL
+ * @throws {MalformedDataError} - If the data URL or its payload is malformed
+ */
+function parseDataUrl(dataUrl) {
+  const match = dataUrl.replace(/^(data:[^,]*?)\\\//i, '$1/').match(/^data:([^,]*),([\s\S]*)$/i);
+  if (!match) {
+    throw new MalformedDataError('Malformed data URL: missing "," before the payload');
+  }
+  
+  const [mediaType, ...rawParameters] = match[1].split(';').map(part => part.trim());
+  const isBase64 = rawParameters.length > 0 && rawParameters[rawParameters.length - 1].toLowerCase() === 'base64';
+  if (isBase64) {
+    rawParameters.pop();
+  }
+  
+  const parameters = {};
+  for (const parameter of rawParameters) {
+    const [name, ...value] = parameter.split('=');
+    parameters[name.toLowerCase()] = value.length ? value.join('=').replace(/^"|"$/g, '') : true;
+  }
+  
+  const buffer = isBase64 ? decodeBase64Payload(match[2]) : decodePercentPayload(match[2]);
+  return {
+    mimeType: (mediaType || 'text/plain').toLowerCase(),
+    parameters,
+    isBase64,
+    buffer
+  };
+}
+
+/**
+ * Check whether text is SVG markup rather than base64
+ * @param {string} text - The input text
+ * @returns {boolean} - True for SVG markup
+ */
+function isSvgMarkup(text) {
+  return /^\s*</.test(text) && isSvgText(Buffer.from(text, 'utf8'));
+}
+
+/**
+ * Decode a data URL, raw base64 or raw SVG markup input
+ * @param {string} input - The data URL, raw base64 data or SVG markup
+ * @returns {{buffer: Buffer, mimeType: string|null}} - The bytes and the declared MIME type, if any
+ * @throws {Error} - If the input is malformed
+ */
+function decodeImageData(input) {
+  if (/^data:/i.test(input)) {
+    const { buffer, mimeType } = parseDataUrl(input);
+    return { buffer, mimeType };
+  }
+  if (isSvgMarkup(input)) {
+    return { buffer: Buffer.from(input, 'utf8'), mimeType: null };
+  }
+  return { buffer: decodeBase64Payload(input), mimeType: null };
+}
+
+/**
+ * Normalize CLI or file input before decoding
+ * Whitespace is stripped from base64, but kept in plain (e.g. SVG) data URL payloads and raw SVG markup
+ * @param {string} input - The input text
+ * @returns {string} - The normalized input
+ */
+function normalizeInputData(input) {
+  const trimmed = input.trim();
+  const header = trimmed.match(/^data:[^,]*,/i);
+  if ((header && !/;base64,$/i.test(header[0])) || (!header && isSvgMarkup(trimmed))) {
+    return trimmed;
+  }
+  return trimmed.replace(/\s/g, '');
+}
+
 /**
  * Scan content for base64 data URLs
  * @param {string} content - The content to scan
  * @returns {string[]} - Array of found base64 data URLs
  */
 function scanForBase64Data(content) {
-  const base64Pattern = /data:image\/[^;]+;base64,[A-Za-z0-9+/=]+/g;
-  const matches = content.match(base64Pattern);
+  const matches = content.match(DATA_URL_PATTERN);
   return matches || [];
 }
 
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp'];
+
+// Elements that never have content or an end tag
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+// Named character references that can appear in encoded data URLs
+const NAMED_ENTITIES = {
+  amp: '&', quot: '"', apos: "'", lt: '<', gt: '>', nbsp: ' ',
+  colon: ':', semi: ';', comma: ',', sol: '/', plus: '+', equals: '=',
+  period: '.', lpar: '(', rpar: ')', NewLine: '\n', Tab: '\t'
+};
+
+// A character reference; numeric ones may have any number of digits, e.g. zero-padded `&#0000000106;`
+const CHARACTER_REFERENCE_PATTERN = /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z]+));?/y;
+
 /**
- * Enhanced scan for HTML content with base64 data
- * @param {string} htmlContent - The HTML content to scan
- * @returns {string[]} - Array of found base64 data URLs
+ * Decode HTML character references, keeping a map back to source offsets
+ * @param {string} source - The full document
+ * @param {number} start - Start offset of the segment
+ * @param {number} end - End offset of the segment
+ * @returns {{text: string, offsets: number[]}} - Decoded text and the source offset of every character (plus the end)
  */
-function scanHtmlForBase64Data(htmlContent) {
-  const base64Data = [];
-  
-  // Pattern for data URLs in various contexts
-  const patterns = [
-    // Standard data URLs
-    /data:image\/[^;]+;base64,[A-Za-z0-9+/=]+/g,
-    // In img src attributes
-    /src\s*=\s*["'](data:image\/[^;]+;base64,[A-Za-z0-9+/=]+)["']/gi,
-    // In background-image CSS
-    /background-image\s*:\s*url\(["']?(data:image\/[^;]+;base64,[A-Za-z0-9+/=]+)["']?\)/gi,
-    // In style attributes
-    /style\s*=\s*["'][^"']*url\(["']?(data:image\/[^;]+;base64,[A-Za-z0-9+/=]+)["']?\)[^"']*["']/gi,
-    // In CSS content
-    /content\s*:\s*url\(["']?(data:image\/[^;]+;base64,[A-Za-z0-9+/=]+)["']?\)/gi
-  ];
-  
-  patterns.forEach(pattern => {
-    const matches = htmlContent.match(pattern);
-    if (matches) {
-      matches.forEach(match => {
-        // Extract just the data URL part from matches that include HTML attributes
-        let dataUrl = match;
-        if (match.includes('src=') || match.includes('background-image') || match.includes('style=') || match.includes('content=')) {
-          const dataUrlMatch = match.match(/data:image\/[^;]+;base64,[A-Za-z0-9+/=]+/);
-          if (dataUrlMatch) {
-            dataUrl = dataUrlMatch[0];
-          }
+function decodeHtmlSegment(source, start, end) {
+  let text = '';
+  const offsets = [];
+  let i = start;
+  while (i < end) {
+    if (source[i] === '&') {
+      CHARACTER_REFERENCE_PATTERN.lastIndex = i;
+      let match = CHARACTER_REFERENCE_PATTERN.exec(source);
+      // A reference running past the segment is matched again within it
+      if (match && i + match[0].length > end) {
+        CHARACTER_REFERENCE_PATTERN.lastIndex = 0;
+        match = CHARACTER_REFERENCE_PATTERN.exec(source.slice(i, end));
+      }
+      let decoded = null;
+      if (match) {
+        if (match[1] || match[2]) {
+          const codePoint = match[1] ? parseInt(match[1], 10) : parseInt(match[2], 16);
+          decoded = codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : null;
+        } else if (match[0].endsWith(';') && Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, match[3])) {
+          decoded = NAMED_ENTITIES[match[3]];
         }
-        
-        // Only add if it's a valid data URL and not already in the array
-        if (dataUrl.startsWith('data:image/') && !base64Data.includes(dataUrl)) {
-          base64Data.push(dataUrl);
+      }
+      if (decoded !== null) {
+        text += decoded;
+        for (let k = 0; k < decoded.length; k++) {
+          offsets.push(i);
         }
-      });
+        i += match[0].length;
+        continue;
+      }
     }
-  });
-  
-  return base64Data;
+    text += source[i];
+    offsets.push(i);
+    i++;
+  }
+  offsets.push(end);
+  return { text, offsets };
 }
 
 /**
- * Fetch content from URL and scan for base64 data
- * @param {string} url - The URL to fetch
- * @returns {Promise<string[]>} - Array of found base64 data URLs
+ * Create a raw (undecoded) segment of the document
+ * @param {string} source - The full document
+ * @param {number} start - Start offset of the segment
+ * @param {number} end - End offset of the segment
+ * @returns {{text: string, offsets: number[]}} - The segment text and its source offsets
  */
-async function fetchAndScanUrl(url) {
-  try {
-    console.log(chalk.blue(`🌐 Fetching content from: ${url}`));
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const contentType = response.headers.get('content-type') || '';
-    const content = await response.text();
-    
-    let base64Data = [];
-    
-    // Check if it's HTML content
-    if (contentType.includes('text/html') || content.trim().toLowerCase().startsWith('<!doctype') || content.includes('<html')) {
-      console.log(chalk.yellow('📄 Detected HTML content, performing enhanced scan...'));
-      base64Data = scanHtmlForBase64Data(content);
+function rawSegment(source, start, end) {
+  const offsets = new Array(end - start + 1);
+  for (let k = 0; k <= end - start; k++) {
+    offsets[k] = start + k;
+  }
+  return { text: source.slice(start, end), offsets };
+}
+
+/**
+ * Convert a source offset to a 1-based line and column
+ * @param {number[]} lineStarts - Offsets at which each line starts
+ * @param {number} offset - The source offset
+ * @returns {{line: number, column: number}} - The position
+ */
+function offsetToPosition(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) {
+      low = mid;
     } else {
-      console.log(chalk.yellow('📄 Performing standard content scan...'));
-      base64Data = scanForBase64Data(content);
+      high = mid - 1;
     }
-    
-    if (base64Data.length === 0) {
-      throw new Error('No base64 image data found in the URL content');
-    }
-    
-    console.log(chalk.green(`🔍 Found ${base64Data.length} base64 image(s) in the URL`));
-    return base64Data;
-  } catch (error) {
-    throw new Error(`Failed to fetch or scan URL: ${error.message}`);
   }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
 }
 
 /**
- * Detect image type from base64 data by checking the data URL prefix
- * @param {string} base64Data - The base64 encoded image data
- * @returns {string|null} - The detected MIME type or null if not found
+ * Walk a CSS segment (with comments already blanked out) and report its declarations
+ * @param {string} css - The CSS text
+ * @param {Function} onValue - Called with (start, end, selector, property) for every declaration value
  */
-function detectImageType(base64Data) {
-  // Check if it's a data URL
-  const dataUrlMatch = base64Data.match(/^data:([^;]+);base64,/);
-  if (dataUrlMatch) {
-    return dataUrlMatch[1];
-  }
-  
-  // Check for common image signatures in raw base64
-  const buffer = Buffer.from(base64Data, 'base64');
+function walkCss(css, onValue) {
+  const selectors = [];
+  let statementStart = 0;
   
-  // JPEG: starts with FF D8 FF
-  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
-    return 'image/jpeg';
-  }
+  const flushDeclaration = end => {
+    const statement = css.slice(statementStart, end);
+    const colon = statement.indexOf(':');
+    if (colon !== -1 && !statement.trimStart().startsWith('@')) {
+      const property = statement.slice(0, colon).trim().toLowerCase();
+      onValue(statementStart + colon + 1, end, selectors[selectors.length - 1] || null, property);
+    } else if (statement.includes('data:')) {
+      onValue(statementStart, end, selectors[selectors.length - 1] || null, null);
+    }
+  };
   
-  // PNG: starts with 89 50 4E 47 0D 0A 1A 0A
-  if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47 &&
-      buffer[4] === 0x0D && buffer[5] === 0x0A && buffer[6] === 0x1A && buffer[7] === 0x0A) {
-    return 'image/png';
+  let i = 0;
+  while (i < css.length) {
+    const char = css[i];
+    if (char === '"' || char === "'") {
+      // Skip strings so their semicolons and braces do not split declarations
+      let k = i + 1;
+      while (k < css.length && css[k] !== char && css[k] !== '\n') {
+        k += css[k] === '\\' ? 2 : 1;
+      }
+      i = k + 1;
+      continue;
+    }
+    if ((char === 'u' || char === 'U') && /^url\(/i.test(css.slice(i, i + 4))) {
+      // Unquoted url() values may contain semicolons, e.g. data:image/png;base64,...
+      let k = i + 4;
+      while (k < css.length && css[k] !== ')') {
+        if (css[k] === '"' || css[k] === "'") {
+          const quote = css[k];
+          k++;
+          while (k < css.length && css[k] !== quote) {
+            k += css[k] === '\\' ? 2 : 1;
+          }
+        }
+        k++;
+      }
+      i = k + 1;
+      continue;
+    }
+    if (char === '{') {
+      selectors.push(css.slice(statementStart, i).replace(/\s+/g, ' ').trim());
+      statementStart = i + 1;
+    } else if (char === '}') {
+      flushDeclaration(i);
+      selectors.pop();
+      statementStart = i + 1;
+    } else if (char === ';') {
+      flushDeclaration(i);
+      statementStart = i + 1;
+    }
+    i++;
   }
+  flushDeclaration(css.length);
+}
+
+/**
+ * Scan HTML content for embedded base64 images with their location
+ *
+ * The document is tokenized into elements, attributes, text, comments and
+ * CSS declarations. Character references are decoded before matching, so
+ * entity-encoded data URLs are found as well.
+ * @param {string} htmlContent - The HTML (or CSS) content to scan
+ * @returns {Object[]} - Hits in document order: dataUrl, start/end source offsets,
+ *   line, column, element, attribute, selector, property, alt (the alt text of the element)
+ *   and source (`attribute`, `style`, `text`, `script` or `comment`)
+ */
+function scanHtmlForImages(htmlContent) {
+  const hits = [];
+  const lineStarts = computeLineStarts(htmlContent);
   
-  // GIF: starts with 47 49 46 38 (GIF8)
-  if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x38) {
-    return 'image/gif';
-  }
+  const emitMatches = (segment, from, to, context) => {
+    const text = segment.text.slice(from, to);
+    for (const match of text.matchAll(DATA_URL_PATTERN)) {
+      const start = segment.offsets[from + match.index];
+      const end = segment.offsets[from + match.index + match[0].length];
+      hits.push(createHit(match[0], {
+        start,
+        end,
+        ...offsetToPosition(lineStarts, start),
+        ...context
+      }));
+    }
+  };
   
-  // WebP: starts with 52 49 46 46 (RIFF) followed by 57 45 42 50 (WEBP)
-  if (buffer[0] === 0x52 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x46 &&
-      buffer[8] === 0x57 && buffer[9] === 0x45 && buffer[10] === 0x42 && buffer[11] === 0x50) {
-    return 'image/webp';
-  }
+  const scanCssSegment = (segment, context) => {
+    // Comments are reported on their own and blanked out before walking the rules
+    let css = segment.text;
+    for (const comment of segment.text.matchAll(/\/\*[\s\S]*?(?:\*\/|$)/g)) {
+      emitMatches(segment, comment.index, comment.index + comment[0].length, { ...context, source: 'comment' });
+      css = css.slice(0, comment.index) + ' '.repeat(comment[0].length) + css.slice(comment.index + comment[0].length);
+    }
+    const blanked = { text: css, offsets: segment.offsets };
+    walkCss(css, (start, end, selector, property) => emitMatches(blanked, start, end, { ...context, selector, property }));
+  };
   
-  // BMP: starts with 42 4D (BM)
-  if (buffer[0] === 0x42 && buffer[1] === 0x4D) {
-    return 'image/bmp';
-  }
+  const openElements = [];
+  const currentElement = () => openElements[openElements.length - 1] || null;
+  const length = htmlContent.length;
+  let i = 0;
   
-  // TIFF: starts with 49 49 2A 00 (little-endian) or 4D 4D 00 2A (big-endian)
-  if ((buffer[0] === 0x49 && buffer[1] === 0x49 && buffer[2] === 0x2A && buffer[3] === 0x00) ||
-      (buffer[0] === 0x4D && buffer[1] === 0x4D && buffer[2] === 0x00 && buffer[3] === 0x2A)) {
-    return 'image/tiff';
+  // Plain CSS files have no markup to tokenize
+  if (!/<[a-zA-Z!]/.test(htmlContent) && /\{[^}]*:/.test(htmlContent)) {
+    scanCssSegment(rawSegment(htmlContent, 0, length), { source: 'style' });
+    return hits.sort((a, b) => a.start - b.start);
   }
   
-  return null;
-}
-
-/**
- * Extract base64 data from a data URL or return as-is if it's already raw base64
- * @param {string} input - The input string (data URL or raw base64)
- * @returns {string} - The raw base64 data
- */
-function extractBase64Data(input) {
-  const dataUrlMatch = input.match(/^data:[^;]+;base64,(.+)$/);
-  return dataUrlMatch ? dataUrlMatch[1] : input;
-}
-
-/**
- * Convert base64 image to file
- * @param {string} base64Data - The base64 encoded image data
- * @param {string} outputPath - The output file path (optional)
- * @returns {Promise<string>} - The path of the created file
- */
-async function convertBase64ToImage(base64Data, outputPath = null) {
-  try {
-    // Extract base64 data if it's a data URL
-    const rawBase64 = extractBase64Data(base64Data);
+  while (i < length) {
+    const lt = htmlContent.indexOf('<', i);
+    const textEnd = lt === -1 ? length : lt;
+    if (textEnd > i) {
+      const segment = decodeHtmlSegment(htmlContent, i, textEnd);
+      emitMatches(segment, 0, segment.text.length, { source: 'text', element: currentElement() });
+    }
+    if (lt === -1) {
+      break;
+    }
     
-    // Detect image type
-    const mimeType = detectImageType(base64Data);
-    if (!mimeType) {
-      throw new Error('Could not detect image type from base64 data');
+    // Comments: data URLs in commented-out markup are still reported
+    if (htmlContent.startsWith('<!--', lt)) {
+      const close = htmlContent.indexOf('-->', lt + 4);
+      const end = close === -1 ? length : close;
+      const segment = decodeHtmlSegment(htmlContent, lt + 4, end);
+      emitMatches(segment, 0, segment.text.length, { source: 'comment', element: currentElement() });
+      i = close === -1 ? length : close + 3;
+      continue;
     }
     
-    // Get file extension
-    const extension = mimeToExtension[mimeType];
-    if (!extension) {
-      throw new Error(`Unsupported image type: ${mimeType}`);
+    // CDATA sections (inline SVG) are scanned as raw text
+    if (htmlContent.startsWith('<![CDATA[', lt)) {
+      const close = htmlContent.indexOf(']]>', lt + 9);
+      const end = close === -1 ? length : close;
+      const segment = rawSegment(htmlContent, lt + 9, end);
+      emitMatches(segment, 0, segment.text.length, { source: 'text', element: currentElement() });
+      i = close === -1 ? length : close + 3;
+      continue;
     }
     
-    // Generate output filename if not provided
-    if (!outputPath) {
-      const timestamp = Date.now();
-      outputPath = `converted_image_${timestamp}.${extension}`;
-    } else {
-      // Ensure output path has correct extension
-      const parsedPath = path.parse(outputPath);
-      if (!parsedPath.ext) {
-        outputPath = `${outputPath}.${extension}`;
+    // Doctype, processing instructions and end tags
+    if (htmlContent[lt + 1] === '!' || htmlContent[lt + 1] === '?' || htmlContent[lt + 1] === '/') {
+      const close = htmlContent.indexOf('>', lt + 1);
+      if (htmlContent[lt + 1] === '/') {
+        const name = htmlContent.slice(lt + 2, close === -1 ? length : close).trim().toLowerCase();
+        const index = openElements.lastIndexOf(name);
+        if (index !== -1) {
+          openElements.length = index;
+        }
       }
+      i = close === -1 ? length : close + 1;
+      continue;
     }
     
-    // Convert base64 to buffer and write to file
-    const buffer = Buffer.from(rawBase64, 'base64');
-    await fs.writeFile(outputPath, buffer);
+    if (!/[a-zA-Z]/.test(htmlContent[lt + 1] || '')) {
+      // A lone '<' in text
+      const segment = decodeHtmlSegment(htmlContent, lt, lt + 1);
+      emitMatches(segment, 0, segment.text.length, { source: 'text', element: currentElement() });
+      i = lt + 1;
+      continue;
+    }
     
-    console.log(chalk.green(`✅ Successfully converted base64 image to: ${outputPath}`));
-    console.log(chalk.blue(`📊 File size: ${(buffer.length / 1024).toFixed(2)} KB`));
-    console.log(chalk.magenta(`🖼️  Image type: ${mimeType}`));
+    // Start tag: name followed by attributes
+    let k = lt + 1;
+    while (k < length && !/[\s/>]/.test(htmlContent[k])) {
+      k++;
+    }
+    const tagName = htmlContent.slice(lt + 1, k).toLowerCase();
+    let selfClosing = false;
+    // The alt text may follow the image attribute, so it is attached once the tag is read
+    const tagHits = hits.length;
+    let alt = null;
     
-    return outputPath;
-  } catch (error) {
-    throw new Error(`Failed to convert base64 image: ${error.message}`);
-  }
-}
-
-// CLI setup
-program
-  .name('base64-image-converter')
-  .description('Convert base64 encoded images to actual image files')
-  .version('1.0.0');
-
-program
-  .command('convert')
-  .description('Convert base64 image data to file')
-  .argument('[data]', 'Base64 encoded image data or data URL')
-  .option('-f, --file <path>', 'Read base64 data from file')
-  .option('-u, --url <url>', 'Fetch and scan URL for base64 data')
-  .option('-o, --output <path>', 'Output file path')
-  .option('-d, --outputdir <dir>', 'Output directory')
-  .action(async (data, options) => {
-          try {
-        let base64Data = data;
-        
-        // If no data provided as argument, check for URL option first, then file option
-        if (!base64Data) {
-          if (options.url) {
-            const base64DataArray = await fetchAndScanUrl(options.url);
-            if (base64DataArray.length === 1) {
-              base64Data = base64DataArray[0];
-            } else {
-              // Multiple images found, process each one
-              console.log(chalk.yellow(`📸 Processing ${base64DataArray.length} images from URL...`));
-              for (let i = 0; i < base64DataArray.length; i++) {
-                const currentOutput = options.output ? 
-                  `${options.output.replace(/\.[^/.]+$/, '')}_${i + 1}` : 
-                  `converted_image_${Date.now()}_${i + 1}`;
-                
-                if (options.outputdir) {
-                  const dir = options.outputdir || process.cwd();
-                  const filename = currentOutput.split('/').pop();
-                  const finalOutput = `${dir}/${filename}`;
-                  await convertBase64ToImage(base64DataArray[i], finalOutput);
-                } else {
-                  await convertBase64ToImage(base64DataArray[i], currentOutput);
-                }
-              }
-              return; // Exit early since we processed multiple images
-            }
-          } else if (options.file) {
-            try {
-              base64Data = await fs.readFile(options.file, 'utf8');
-              console.log(chalk.blue(`📁 Reading base64 data from: ${options.file}`));
-            } catch (error) {
-              console.error(chalk.red(`❌ Error reading file: ${error.message}`));
-              process.exit(1);
-            }
-          } else {
-            console.error(chalk.red('❌ Error: Please provide base64 data as argument or use --url/--file option'));
-            process.exit(1);
-          }
-        }
-      
-      // Remove whitespace and newlines
-      base64Data = base64Data.trim().replace(/\s/g, '');
-      
-      if (!base64Data) {
-        console.error(chalk.red('❌ Error: Empty base64 data provided'));
-        process.exit(1);
+    while (k < length && htmlContent[k] !== '>') {
+      if (/[\s]/.test(htmlContent[k])) {
+        k++;
+        continue;
+      }
+      if (htmlContent[k] === '/') {
+        selfClosing = htmlContent[k + 1] === '>';
+        k++;
+        continue;
       }
       
-      await convertBase64ToImage(base64Data, options.output);
-    } catch (error) {
-      console.error(chalk.red(`❌ Error: ${error.message}`));
-      process.exit(1);
-    }
-  });
-
-program
-  .command('detect')
-  .description('Detect image type from base64 data without converting')
-  .argument('[data]', 'Base64 encoded image data or data URL')
-  .option('-f, --file <path>', 'Read base64 data from file')
-  .action(async (data, options) => {
-    try {
-      let base64Data = data;
+      const nameStart = k;
+      while (k < length && !/[\s/>=]/.test(htmlContent[k])) {
+        k++;
+      }
+      const attribute = htmlContent.slice(nameStart, k).toLowerCase();
+      while (k < length && /\s/.test(htmlContent[k])) {
+        k++;
+      }
+      if (htmlContent[k] !== '=') {
+        continue;
+      }
+      k++;
+      while (k < length && /\s/.test(htmlContent[k])) {
+        k++;
+      }
       
-      if (!base64Data) {
-        if (!options.file) {
-          console.error(chalk.red('❌ Error: Please provide base64 data as argument or use --file option'));
-          process.exit(1);
-        }
-        
-        try {
-          base64Data = await fs.readFile(options.file, 'utf8');
-          console.log(chalk.blue(`📁 Reading base64 data from: ${options.file}`));
-        } catch (error) {
-          console.error(chalk.red(`❌ Error reading file: ${error.message}`));
-          process.exit(1);
+      let valueStart = k;
+      let valueEnd;
+      if (htmlContent[k] === '"' || htmlContent[k] === "'") {
+        const close = htmlContent.indexOf(htmlContent[k], k + 1);
+        valueStart = k + 1;
+        valueEnd = close === -1 ? length : close;
+        k = close === -1 ? length : close + 1;
+      } else {
+        while (k < length && !/[\s>]/.test(htmlContent[k])) {
+          k++;
         }
+        valueEnd = k;
       }
       
-      base64Data = base64Data.trim().replace(/\s/g, '');
-      
-      if (!base64Data) {
-        console.error(chalk.red('❌ Error: Empty base64 data provided'));
-        process.exit(1);
+      const segment = decodeHtmlSegment(htmlContent, valueStart, valueEnd);
+      if (attribute === 'alt') {
+        alt = segment.text.trim() || null;
       }
-      
-      const mimeType = detectImageType(base64Data);
-      if (mimeType) {
-        const extension = mimeToExtension[mimeType];
-        console.log(chalk.green(`🔍 Detected image type: ${mimeType}`));
-        console.log(chalk.blue(`📄 File extension: ${extension || 'unknown'}`));
-        
-        const rawBase64 = extractBase64Data(base64Data);
-        const buffer = Buffer.from(rawBase64, 'base64');
-        console.log(chalk.blue(`📊 Estimated file size: ${(buffer.length / 1024).toFixed(2)} KB`));
+      if (attribute === 'style') {
+        scanCssSegment(segment, { source: 'style', element: tagName, attribute });
       } else {
-        console.log(chalk.yellow('❓ Could not detect image type from the provided data'));
+        emitMatches(segment, 0, segment.text.length, { source: 'attribute', element: tagName, attribute });
       }
-    } catch (error) {
-      console.error(chalk.red(`❌ Error: ${error.message}`));
-      process.exit(1);
     }
-  });
-
-// Handle cases where no command is provided - treat as convert
-if (process.argv.length === 2) {
-  // No arguments provided, look for DATA file
-  (async () => {
-    try {
-      let base64Data;
-      try {
-        base64Data = await fs.readFile('DATA', 'utf8');
-        console.log(chalk.blue(`📁 Reading base64 data from: DATA`));
-              } catch (err) {
-          console.error(chalk.red('❌ Error: No arguments provided and no DATA file found in current directory.'));
-          console.error(chalk.yellow('Usage: ./b64ic [data] [options] or ./b64ic -f <file> [options] or ./b64ic -u <url> [options] or ./b64ic [options] (with DATA file)'));
-          process.exit(1);
-        }
-      
-      // Remove whitespace and newlines
-      base64Data = base64Data.trim().replace(/\s/g, '');
-      if (!base64Data) {
-        console.error(chalk.red('❌ Error: Empty base64 data in DATA file'));
-        process.exit(1);
+    i = k + 1;
+    hits.slice(tagHits).forEach(hit => {
+      hit.alt = alt;
+    });
+    
+    if (RAW_TEXT_ELEMENTS.includes(tagName) && !selfClosing) {
+      const closeMatch = htmlContent.slice(i).match(new RegExp(`</${tagName}[\\s>]`, 'i'));
+      const end = closeMatch ? i + closeMatch.index : length;
+      if (tagName === 'style') {
+        scanCssSegment(rawSegment(htmlContent, i, end), { source: 'style', element: tagName });
+      } else if (tagName === 'script') {
+        const segment = rawSegment(htmlContent, i, end);
+        emitMatches(segment, 0, segment.text.length, { source: 'script', element: tagName });
+      } else {
+        const segment = decodeHtmlSegment(htmlContent, i, end);
+        emitMatches(segment, 0, segment.text.length, { source: 'text', element: tagName });
       }
-      
-      // Use default output path
-      const outputOption = process.cwd() + '/image_' + Date.now();
-      await convertBase64ToImage(base64Data, outputOption);
-    } catch (error) {
-      console.error(chalk.red(`❌ Error: ${error.message}`));
-      process.exit(1);
-    }
-  })();
-} else if (process.argv.length > 2 && (process.argv[2].startsWith('-') || !['convert', 'detect'].includes(process.argv[2]))) {
-  // Check if it's a help or version request
-  if (process.argv[2] === '-h' || process.argv[2] === '--help') {
-    program.help();
-  }
-  if (process.argv[2] === '-V' || process.argv[2] === '--version') {
-    program.version();
-  }
-  
-  // Improved argument parsing for default mode
-  let data = null;
-  let fileOption = null;
-  let urlOption = null;
-  let outputOption = null;
-  let outputDir = null;
-
-  for (let i = 2; i < process.argv.length; i++) {
-    const arg = process.argv[i];
-    if (arg === '-f' || arg === '--file') {
-      fileOption = process.argv[i + 1];
-      i++;
-    } else if (arg === '-u' || arg === '--url') {
-      urlOption = process.argv[i + 1];
-      i++;
-    } else if (arg === '-o' || arg === '--output') {
-      outputOption = process.argv[i + 1];
-      i++;
-    } else if (arg === '-d' || arg === '--outputdir') {
-      outputDir = process.argv[i + 1];
-      i++;
-    } else if (!arg.startsWith('-') && data === null) {
-      data = arg;
-    }
-  }
-
-  (async () => {
+      i = closeMatch ? htmlContent.indexOf('>', end) + 1 || length : length;
+    } else if (!selfClosing && !VOID_ELEMENTS.includes(tagName)) {
+      openElements.push(tagName);
+    }
+  }
+  
+  return hits.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Describe where an image hit was found in a document
+ * @param {Object} hit - A hit returned by one of the scanners
+ * @returns {string} - A short human readable location
+ */
+function describeImageLocation(hit) {
+  let where;
+  if (hit.path) {
+    where = hit.url ? `${hit.path} (${hit.url})` : hit.path;
+  } else if (hit.source === 'comment') {
+    where = hit.element === 'style' || !hit.element ? '/* comment */' : '<!-- comment -->';
+  } else if (hit.selector || (hit.source === 'style' && !hit.attribute)) {
+    where = `${hit.selector || '<style>'} { ${hit.property || '?'} }`;
+  } else if (hit.attribute === 'style') {
+    where = `<${hit.element} style> ${hit.property || ''}`.trim();
+  } else if (hit.attribute) {
+    where = `<${hit.element} ${hit.attribute}>`;
+  } else if (hit.source === 'script') {
+    where = '<script>';
+  } else if (hit.source === 'code') {
+    where = 'source code';
+  } else {
+    where = hit.element ? `<${hit.element}> text` : 'text';
+  }
+  if (hit.line) {
+    where = hit.column ? `line ${hit.line}, column ${hit.column}: ${where}` : `line ${hit.line}: ${where}`;
+  }
+  // Hits from an archive entry start with its path, e.g. `book.epub!/OEBPS/ch1.xhtml`
+  return hit.archivePath ? `${hit.archivePath}, ${where}` : where;
+}
+
+/**
+ * Enhanced scan for HTML content with base64 data
+ * @param {string} htmlContent - The HTML content to scan
+ * @returns {string[]} - Array of found base64 data URLs
+ */
+function scanHtmlForBase64Data(htmlContent) {
+  const base64Data = [];
+  for (const hit of scanHtmlForImages(htmlContent)) {
+    if (!base64Data.includes(hit.dataUrl)) {
+      base64Data.push(hit.dataUrl);
+    }
+  }
+  return base64Data;
+}
+
+// Input formats understood by the file scanners
+const INPUT_FORMATS = ['html', 'css', 'json', 'har', 'ipynb', 'yaml', 'code', 'eml', 'mbox', 'archive', 'text'];
+
+// File extensions that select an input format
+const extensionToFormat = {
+  html: 'html', htm: 'html', xhtml: 'html',
+  css: 'css',
+  json: 'json', geojson: 'json',
+  har: 'har',
+  ipynb: 'ipynb',
+  yaml: 'yaml', yml: 'yaml',
+  eml: 'eml',
+  mbox: 'mbox', mbx: 'mbox',
+  zip: 'archive', epub: 'archive', docx: 'archive', xlsx: 'archive', pptx: 'archive', odt: 'archive', ods: 'archive', odp: 'archive',
+  tar: 'archive', tgz: 'archive', gz: 'archive',
+  js: 'code', mjs: 'code', cjs: 'code', jsx: 'code', ts: 'code', tsx: 'code', vue: 'code', svelte: 'code'
+};
+
+/**
+ * Pick the scanner for a file from its extension, falling back to sniffing the content
+ * @param {string} filePath - The file path
+ * @param {string} content - The file content
+ * @returns {string} - One of INPUT_FORMATS
+ */
+function detectInputFormat(filePath, content) {
+  const extension = path.extname(filePath || '').slice(1).toLowerCase();
+  if (extensionToFormat[extension]) {
+    return extensionToFormat[extension];
+  }
+  
+  // Mailboxes start with a "From " line, messages with a header block that declares MIME
+  if (/^From \S+.*\r?\n[\w-]+:/.test(content)) {
+    return 'mbox';
+  }
+  const headerBlock = content.match(/^(?:[\w-]+:.*\r?\n(?:[ \t].*\r?\n)*)+\r?\n/);
+  if (headerBlock && /^mime-version:/im.test(headerBlock[0])) {
+    return 'eml';
+  }
+  
+  const trimmed = content.trim();
+  if (trimmed.toLowerCase().startsWith('<!doctype') || content.includes('<html')) {
+    return 'html';
+  }
+  if (/^[[{]/.test(trimmed)) {
     try {
-      let base64Data = data;
-      // If no data is provided, try URL option first, then file option, then DATA file
-      if (!base64Data) {
-        if (urlOption) {
-          const base64DataArray = await fetchAndScanUrl(urlOption);
-          if (base64DataArray.length === 1) {
-            base64Data = base64DataArray[0];
-          } else {
-            // Multiple images found, process each one
-            console.log(chalk.yellow(`📸 Processing ${base64DataArray.length} images from URL...`));
-            for (let i = 0; i < base64DataArray.length; i++) {
-              const currentOutput = outputOption ? 
-                `${outputOption.replace(/\.[^/.]+$/, '')}_${i + 1}` : 
-                `${process.cwd()}/image_${Date.now()}_${i + 1}`;
-              
-              if (outputDir) {
-                const dir = outputDir || process.cwd();
-                const filename = currentOutput.split('/').pop();
-                const finalOutput = `${dir}/${filename}`;
-                await convertBase64ToImage(base64DataArray[i], finalOutput);
-              } else {
-                await convertBase64ToImage(base64DataArray[i], currentOutput);
-              }
-            }
-            return; // Exit early since we processed multiple images
-          }
-        } else if (fileOption) {
-          const fileContent = await fs.readFile(fileOption, 'utf8');
-          console.log(chalk.blue(`📁 Reading base64 data from: ${fileOption}`));
-          
-          // Check if it's HTML content
-          if (fileContent.trim().toLowerCase().startsWith('<!doctype') || fileContent.includes('<html')) {
-            console.log(chalk.yellow('📄 Detected HTML content, performing enhanced scan...'));
-            const base64DataArray = scanHtmlForBase64Data(fileContent);
-            if (base64DataArray.length === 1) {
-              base64Data = base64DataArray[0];
-            } else if (base64DataArray.length > 1) {
-              // Multiple images found, process each one
-              console.log(chalk.yellow(`📸 Processing ${base64DataArray.length} images from HTML file...`));
-              for (let i = 0; i < base64DataArray.length; i++) {
-                const currentOutput = outputOption ? 
-                  `${outputOption.replace(/\.[^/.]+$/, '')}_${i + 1}` : 
-                  `${process.cwd()}/image_${Date.now()}_${i + 1}`;
-                
-                if (outputDir) {
-                  const dir = outputDir || process.cwd();
-                  const filename = currentOutput.split('/').pop();
-                  const finalOutput = `${dir}/${filename}`;
-                  await convertBase64ToImage(base64DataArray[i], finalOutput);
-                } else {
-                  await convertBase64ToImage(base64DataArray[i], currentOutput);
-                }
-              }
-              return; // Exit early since we processed multiple images
-            } else {
-              throw new Error('No base64 image data found in the HTML file');
-            }
-          } else {
-            // Not HTML, use standard scanning
-            const base64DataArray = scanForBase64Data(fileContent);
-            if (base64DataArray.length === 1) {
-              base64Data = base64DataArray[0];
-            } else if (base64DataArray.length > 1) {
-              // Multiple images found, process each one
-              console.log(chalk.yellow(`📸 Processing ${base64DataArray.length} images from file...`));
-              for (let i = 0; i < base64DataArray.length; i++) {
-                const currentOutput = outputOption ? 
-                  `${outputOption.replace(/\.[^/.]+$/, '')}_${i + 1}` : 
-                  `${process.cwd()}/image_${Date.now()}_${i + 1}`;
-                
-                if (outputDir) {
-                  const dir = outputDir || process.cwd();
-                  const filename = currentOutput.split('/').pop();
-                  const finalOutput = `${dir}/${filename}`;
-                  await convertBase64ToImage(base64DataArray[i], finalOutput);
-                } else {
-                  await convertBase64ToImage(base64DataArray[i], currentOutput);
-                }
-              }
-              return; // Exit early since we processed multiple images
-            } else {
-              base64Data = fileContent;
-            }
-          }
-        } else {
-            // Look for a file called DATA in the current directory
-            try {
-              base64Data = await fs.readFile('DATA', 'utf8');
-              console.log(chalk.blue(`📁 Reading base64 data from: DATA`));
-            } catch (err) {
-              console.error(chalk.red('❌ Error: No base64 data provided, no URL/file path given, and no DATA file found in current directory.'));
-              process.exit(1);
-            }
-          }
-        }
-      // Remove whitespace and newlines
-      base64Data = base64Data.trim().replace(/\s/g, '');
-      if (!base64Data) {
-        console.error(chalk.red('❌ Error: Empty base64 data provided'));
-        process.exit(1);
-      }
-      // If output directory is specified, prepend it to outputOption or use default filename
-      if (outputDir) {
-        const dir = outputDir || process.cwd();
-        if (!outputOption) {
-          outputOption = dir + '/image_' + Date.now();
-        } else {
-          outputOption = dir + '/' + outputOption.replace(/^.*[\\\/]/, '');
-        }
-      } else if (outputOption && !outputOption.includes('/')) {
-        // If outputOption is just a filename, use current directory
-        outputOption = process.cwd() + '/' + outputOption;
+      const parsed = JSON.parse(trimmed);
+      if (parsed && parsed.log && Array.isArray(parsed.log.entries)) {
+        return 'har';
       }
-      // If outputOption is still not set, set it to image_<timestamp> and let convertBase64ToImage add the extension
-      if (!outputOption) {
-        outputOption = process.cwd() + '/image_' + Date.now();
+      if (parsed && Array.isArray(parsed.cells) && parsed.nbformat) {
+        return 'ipynb';
       }
-      await convertBase64ToImage(base64Data, outputOption);
+      return 'json';
     } catch (error) {
-      console.error(chalk.red(`❌ Error: ${error.message}`));
-      process.exit(1);
-    }
-  })();
-} else {
-  // Handle cases where no command is provided
-  if (process.argv.length === 2) {
-    program.help();
-  } else {
-    program.parse();
+      // Not JSON, fall through to plain text
+    }
+  }
+  return 'text';
+}
+
+/**
+ * Compute the offsets at which each line of a text starts
+ * @param {string} content - The text
+ * @returns {number[]} - Line start offsets
+ */
+function computeLineStarts(content) {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+  return lineStarts;
+}
+
+/**
+ * Recognize a raw base64 string (no data URL prefix) as an image by its file signature
+ * @param {string} text - The candidate string
+ * @returns {string|null} - An equivalent data URL, or null if it is not an image
+ */
+function detectRawBase64Image(text) {
+  const candidate = text.trim();
+  if (candidate.length < 16 || !/^[A-Za-z0-9+/=_\-\s]+$/.test(candidate)) {
+    return null;
+  }
+  let buffer;
+  try {
+    buffer = decodeBase64Payload(candidate);
+  } catch (error) {
+    return null;
   }
-} 
\ No newline at end of file
+  const mimeType = detectImageTypeFromBuffer(buffer);
+  if (!mimeType || !mimeType.startsWith('image/')) {
+    return null;
+  }
+  // "BM" and the ICO/CUR header are weak signatures: also require their sizes to add up
+  if (mimeType === 'image/bmp' && (buffer.length < 6 || buffer.readUInt32LE(2) !== buffer.length)) {
+    return null;
+  }
+  if ((mimeType === 'image/x-icon' || mimeType === 'image/x-win-bitmap') && buffer.length < 6 + 16 * buffer.readUInt16LE(4)) {
+    return null;
+  }
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * Describe what an image hit belongs to, for naming the extracted file
+ * @param {Object} hit - A hit returned by one of the scanners
+ * @returns {string|null} - The alt text, the file name (without extension) or Content-ID of an
+ *   email part, the CSS selector, JSON/YAML path or element name, if any
+ */
+function describeImageContext(hit) {
+  if (hit.alt) {
+    return hit.alt;
+  }
+  if (hit.filename) {
+    return path.parse(hit.filename).name;
+  }
+  if (hit.contentId) {
+    return path.parse(hit.contentId.split('@')[0]).name;
+  }
+  if (hit.selector) {
+    return hit.selector;
+  }
+  if (hit.path) {
+    return hit.path;
+  }
+  return hit.element || null;
+}
+
+/**
+ * Build a hit record for the structured scanners
+ * @param {string} dataUrl - The image as a data URL
+ * @param {Object} context - Location fields (path, line, column, source, ...)
+ * @returns {Object} - The hit
+ */
+function createHit(dataUrl, context) {
+  return {
+    dataUrl,
+    line: null,
+    column: null,
+    path: null,
+    element: null,
+    attribute: null,
+    selector: null,
+    property: null,
+    ...context
+  };
+}
+
+/**
+ * Scan plain text for data URLs with their line and column
+ * @param {string} content - The text to scan
+ * @returns {Object[]} - Hits in document order
+ */
+function scanTextForImages(content) {
+  const lineStarts = computeLineStarts(content);
+  return [...content.matchAll(DATA_URL_PATTERN)].map(match => createHit(match[0], {
+    start: match.index,
+    end: match.index + match[0].length,
+    ...offsetToPosition(lineStarts, match.index),
+    source: 'text'
+  }));
+}
+
+/**
+ * Scan JavaScript/TypeScript source for data URLs and base64 string literals
+ * @param {string} content - The source code
+ * @returns {Object[]} - Hits in document order
+ */
+function scanCodeForImages(content) {
+  const lineStarts = computeLineStarts(content);
+  const hits = scanTextForImages(content).map(hit => ({ ...hit, source: 'code' }));
+  
+  for (const match of content.matchAll(/(["'`])([A-Za-z0-9+/=_-]{16,})\1/g)) {
+    const dataUrl = detectRawBase64Image(match[2]);
+    if (dataUrl) {
+      const start = match.index + 1;
+      hits.push(createHit(dataUrl, {
+        start,
+        end: start + match[2].length,
+        ...offsetToPosition(lineStarts, start),
+        source: 'code'
+      }));
+    }
+  }
+  return hits.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Format a JSON path segment
+ * @param {string|number} key - Object key or array index
+ * @returns {string} - The segment, e.g. `.name`, `[3]` or `["image/png"]`
+ */
+function jsonPathSegment(key) {
+  if (typeof key === 'number') {
+    return `[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Find images in a single string value: data URLs, or the whole value as raw base64
+ * @param {string} value - The string value
+ * @param {Object} context - Location fields for the hits
+ * @returns {Object[]} - Hits found in the value
+ */
+function scanStringValue(value, context) {
+  const dataUrls = value.match(DATA_URL_PATTERN);
+  if (dataUrls) {
+    return dataUrls.map(dataUrl => createHit(dataUrl, context));
+  }
+  const dataUrl = detectRawBase64Image(value);
+  return dataUrl ? [createHit(dataUrl, context)] : [];
+}
+
+/**
+ * Walk a parsed JSON value and report every image with its JSON path
+ * @param {*} value - The parsed JSON value
+ * @param {string} jsonPath - Path of the value
+ * @param {Object[]} hits - Hits are appended here
+ * @param {Function} visit - Optional hook called with (value, jsonPath); return true to skip the subtree
+ */
+function walkJsonValue(value, jsonPath, hits, visit = () => false) {
+  if (visit(value, jsonPath)) {
+    return;
+  }
+  if (typeof value === 'string') {
+    hits.push(...scanStringValue(value, { path: jsonPath, source: 'json' }));
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => walkJsonValue(item, jsonPath + jsonPathSegment(index), hits, visit));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      walkJsonValue(item, jsonPath + jsonPathSegment(key), hits, visit);
+    }
+  }
+}
+
+/**
+ * Scan a JSON document for images, reporting each hit with its JSON path
+ * @param {string} content - The JSON text
+ * @returns {Object[]} - Hits in document order
+ */
+function scanJsonForImages(content) {
+  const hits = [];
+  walkJsonValue(JSON.parse(content), '$', hits);
+  return hits;
+}
+
+/**
+ * Scan a HAR capture: base64 response bodies plus any data URLs in other fields
+ * @param {string} content - The HAR (JSON) text
+ * @returns {Object[]} - Hits in document order
+ */
+function scanHarForImages(content) {
+  const har = JSON.parse(content);
+  const hits = [];
+  walkJsonValue(har, '$', hits, (value, jsonPath) => {
+    const entryMatch = jsonPath.match(/^\$\.log\.entries\[(\d+)\]\.response\.content$/);
+    if (!entryMatch || !value || value.encoding !== 'base64' || typeof value.text !== 'string') {
+      return false;
+    }
+    
+    const entry = har.log.entries[Number(entryMatch[1])];
+    const url = entry.request && entry.request.url;
+    let buffer;
+    try {
+      buffer = decodeBase64Payload(value.text);
+    } catch (error) {
+      return true;
+    }
+    const declaredType = (value.mimeType || '').split(';')[0].trim().toLowerCase();
+    const mimeType = detectImageTypeFromBuffer(buffer) || declaredType;
+    if (mimeType.startsWith('image/')) {
+      hits.push(createHit(`data:${mimeType};base64,${buffer.toString('base64')}`, {
+        path: `${jsonPath}.text`,
+        source: 'har',
+        url: url || null
+      }));
+    }
+    return true;
+  });
+  return hits;
+}
+
+/**
+ * Scan a Jupyter notebook: image outputs, cell attachments and data URLs in sources
+ * @param {string} content - The .ipynb (JSON) text
+ * @returns {Object[]} - Hits in document order
+ */
+function scanNotebookForImages(content) {
+  const hits = [];
+  walkJsonValue(JSON.parse(content), '$', hits, (value, jsonPath) => {
+    // outputs[].data and attachments[name] are MIME bundles: {"image/png": "<base64>"}
+    if (!/(\.data|\.attachments\[[^\]]+\]|\.attachments\.[\w$]+)$/.test(jsonPath) || !value || typeof value !== 'object') {
+      return false;
+    }
+    const imageTypes = Object.keys(value).filter(key => key.startsWith('image/'));
+    if (imageTypes.length === 0) {
+      return false;
+    }
+    for (const mimeType of imageTypes) {
+      // nbformat allows multi-line strings to be stored as arrays of lines
+      const data = Array.isArray(value[mimeType]) ? value[mimeType].join('') : String(value[mimeType]);
+      const base64 = mimeType === 'image/svg+xml' ? Buffer.from(data).toString('base64') : data;
+      hits.push(createHit(`data:${mimeType};base64,${base64.replace(/\s/g, '')}`, {
+        path: jsonPath + jsonPathSegment(mimeType),
+        source: 'ipynb'
+      }));
+    }
+    return true;
+  });
+  return hits;
+}
+
+/**
+ * Scan a YAML document for images, reporting each hit with its path and line
+ * Handles block mappings, sequences, quoted scalars and `|`/`>` block scalars
+ * @param {string} content - The YAML text
+ * @returns {Object[]} - Hits in document order
+ */
+function scanYamlForImages(content) {
+  const hits = [];
+  const lines = content.split(/\r?\n/);
+  const stack = [];
+  const sequenceCounters = new Map();
+  
+  const currentPath = () => '$' + stack.map(frame => jsonPathSegment(frame.key)).join('');
+  const unquote = value => {
+    const trimmed = value.trim();
+    if (/^"[\s\S]*"$/.test(trimmed)) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        return trimmed.slice(1, -1);
+      }
+    }
+    return /^'[\s\S]*'$/.test(trimmed) ? trimmed.slice(1, -1).replace(/''/g, "'") : trimmed;
+  };
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim() || /^\s*#/.test(line) || /^(---|\.\.\.)\s*$/.test(line)) {
+      continue;
+    }
+    let indent = line.match(/^ */)[0].length;
+    let rest = line.slice(indent);
+    
+    // Pop frames that this line is not nested in
+    const popTo = ind => {
+      while (stack.length && stack[stack.length - 1].indent >= ind) {
+        stack.pop();
+      }
+    };
+    
+    // Sequence items: "- value" or "- key: value", possibly at the same indentation as their parent key
+    while (rest.startsWith('- ') || rest === '-') {
+      while (stack.length && (stack[stack.length - 1].indent > indent ||
+        (stack[stack.length - 1].indent === indent && stack[stack.length - 1].isItem))) {
+        stack.pop();
+      }
+      const parentPath = currentPath() + `@${indent}`;
+      const index = sequenceCounters.has(parentPath) ? sequenceCounters.get(parentPath) + 1 : 0;
+      sequenceCounters.set(parentPath, index);
+      stack.push({ indent, key: index, isItem: true });
+      const offset = rest === '-' ? 1 : 2;
+      indent += offset + rest.slice(offset).match(/^ */)[0].length;
+      rest = rest.slice(offset).trimStart();
+    }
+    
+    const keyMatch = rest.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"][^:#]*?)\s*:(?:\s+|$)(.*)$/);
+    let value = rest;
+    if (keyMatch) {
+      popTo(indent);
+      stack.push({ indent, key: unquote(keyMatch[1]) });
+      value = keyMatch[2];
+    } else if (!/^[-?]/.test(rest)) {
+      popTo(indent);
+    }
+    
+    value = value.replace(/\s+#.*$/, '').trim();
+    const valueColumn = line.indexOf(value, indent) + 1;
+    if (/^[|>][-+0-9]*$/.test(value)) {
+      // Block scalar: collect the more-indented lines that follow
+      const blockLines = [];
+      let k = i + 1;
+      while (k < lines.length && (!lines[k].trim() || lines[k].match(/^ */)[0].length > indent)) {
+        blockLines.push(lines[k].trim());
+        k++;
+      }
+      hits.push(...scanStringValue(blockLines.join(value.startsWith('|') ? '\n' : ' '), {
+        path: currentPath(), line: i + 2, column: null, source: 'yaml'
+      }));
+      i = k - 1;
+    } else if (value) {
+      hits.push(...scanStringValue(unquote(value), {
+        path: currentPath(), line: i + 1, column: valueColumn, source: 'yaml'
+      }));
+    }
+  }
+  return hits;
+}
+
+// Charsets decoded byte for byte; every other text part is read as UTF-8
+const LATIN1_CHARSETS = ['iso-8859-1', 'latin1', 'us-ascii', 'windows-1252', 'cp1252'];
+
+/**
+ * Decode RFC 2047 encoded words (`=?charset?B|Q?text?=`) in a header value
+ * @param {string} text - The header text
+ * @returns {string} - The decoded text
+ */
+function decodeEncodedWords(text) {
+  return text
+    .replace(/(=\?[^?\s]+\?[BbQq]\?[^?\s]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g, (match, charset, encoding, encoded) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(encoded, 'base64')
+        : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+      return bytes.toString(LATIN1_CHARSETS.includes(charset.toLowerCase()) ? 'latin1' : 'utf8');
+    });
+}
+
+/**
+ * Decode a quoted-printable body, joining soft line breaks
+ * @param {string} text - The encoded text
+ * @returns {Buffer} - The decoded bytes
+ */
+function decodeQuotedPrintable(text) {
+  const unfolded = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < unfolded.length; i++) {
+    if (unfolded[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(unfolded.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(unfolded.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(unfolded[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Parse a structured header value such as `image/png; name="logo.png"`
+ * Quoted strings, RFC 2231 parameters (`filename*=utf-8''n%C3%A4me.png`, `name*0=...`) and
+ * encoded words are decoded
+ * @param {string} value - The unfolded header value
+ * @returns {{value: string, params: Object}} - The lower-cased main value and the parameters by lower-cased name
+ */
+function parseMimeHeaderValue(value) {
+  const [main, ...rest] = value.match(/(?:"(?:[^"\\]|\\.)*"|[^;])+/g) || [''];
+  const params = {};
+  const continued = {};
+  for (const param of rest) {
+    const match = param.match(/^\s*([^=\s]+)\s*=\s*(.*?)\s*$/);
+    if (!match) {
+      continue;
+    }
+    let [, name, raw] = match;
+    name = name.toLowerCase();
+    const text = raw.startsWith('"') ? raw.slice(1, -1).replace(/\\(.)/g, '$1') : raw;
+    const extended = name.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+    if (!extended[2] && !extended[3]) {
+      params[name] = decodeEncodedWords(text);
+      continue;
+    }
+    (continued[extended[1]] = continued[extended[1]] || []).push({ index: Number(extended[2] || 0), text, encoded: Boolean(extended[3]) });
+  }
+  
+  // Join the sections of each RFC 2231 parameter; the first encoded section names the charset
+  for (const [name, sections] of Object.entries(continued)) {
+    sections.sort((a, b) => a.index - b.index);
+    let charset = 'utf-8';
+    const bytes = sections.map(section => {
+      if (!section.encoded) {
+        return Buffer.from(section.text, 'utf8');
+      }
+      let text = section.text;
+      if (section.index === 0) {
+        const parts = text.split("'");
+        if (parts.length >= 3) {
+          charset = parts[0] || charset;
+          text = parts.slice(2).join("'");
+        }
+      }
+      return Buffer.from(text.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+    });
+    params[name] = Buffer.concat(bytes).toString(LATIN1_CHARSETS.includes(charset.toLowerCase()) ? 'latin1' : 'utf8');
+  }
+  return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Parse a MIME entity (a message or a body part) and, for multiparts and attached
+ * messages, its children
+ * Entities keep offsets into `content` instead of copies of their bodies
+ * @param {string} content - The whole message or mailbox text
+ * @param {number} start - Offset of the entity's headers
+ * @param {number} end - Offset just past the entity's body
+ * @param {string} number - IMAP-style part number, e.g. `2.1` (empty for a message)
+ * @returns {Object} - `{number, start, bodyStart, end, type, params, encoding, filename, contentId, parts}`;
+ *   `parts` is null for leaf entities
+ */
+function parseMimeEntity(content, start, end, number) {
+  let headerEnd;
+  let bodyStart;
+  const leadingBlank = content.slice(start, start + 2).match(/^\r?\n/);
+  if (leadingBlank) {
+    headerEnd = start;
+    bodyStart = start + leadingBlank[0].length;
+  } else {
+    const separator = /\r?\n\r?\n/g;
+    separator.lastIndex = start;
+    const match = separator.exec(content);
+    headerEnd = match && match.index < end ? match.index : end;
+    bodyStart = match && match.index < end ? match.index + match[0].length : end;
+  }
+  
+  const headers = {};
+  for (const line of content.slice(start, headerEnd).replace(/\r?\n(?=[ \t])/g, '').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (colon > 0 && !(name in headers)) {
+      headers[name] = line.slice(colon + 1).trim();
+    }
+  }
+  const contentType = parseMimeHeaderValue(headers['content-type'] || 'text/plain');
+  const disposition = parseMimeHeaderValue(headers['content-disposition'] || '');
+  const entity = {
+    number,
+    start,
+    bodyStart,
+    end,
+    type: contentType.value || 'text/plain',
+    params: contentType.params,
+    encoding: (headers['content-transfer-encoding'] || '7bit').trim().toLowerCase(),
+    filename: disposition.params.filename || contentType.params.name || null,
+    contentId: headers['content-id'] ? headers['content-id'].replace(/^\s*<|>\s*$/g, '') : null,
+    parts: null
+  };
+  
+  if (entity.type === 'message/rfc822' && !['base64', 'quoted-printable'].includes(entity.encoding)) {
+    entity.parts = [parseMimeEntity(content, bodyStart, end, number)];
+  } else if (entity.type.startsWith('multipart/') && entity.params.boundary) {
+    entity.parts = [];
+    const boundary = entity.params.boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const delimiter = new RegExp(`^--${boundary}(--)?[ \\t]*\\r?$`, 'gm');
+    delimiter.lastIndex = bodyStart;
+    let partStart = null;
+    for (let match = delimiter.exec(content); match && match.index < end; match = delimiter.exec(content)) {
+      if (partStart !== null) {
+        // The line break before a delimiter belongs to the delimiter
+        const partEnd = Math.max(partStart, match.index - (content[match.index - 2] === '\r' ? 2 : 1));
+        entity.parts.push(parseMimeEntity(content, partStart, partEnd, number ? `${number}.${entity.parts.length + 1}` : String(entity.parts.length + 1)));
+      }
+      if (match[1]) {
+        break;
+      }
+      partStart = Math.min(end, match.index + match[0].length + 1);
+    }
+  }
+  return entity;
+}
+
+/**
+ * Decode the body of a leaf MIME entity
+ * @param {string} content - The message text the entity points into
+ * @param {Object} entity - The entity (see parseMimeEntity)
+ * @returns {Buffer} - The decoded body
+ * @throws {MalformedDataError} - If a base64 body cannot be decoded
+ */
+function decodeMimeBody(content, entity) {
+  const body = content.slice(entity.bodyStart, entity.end);
+  if (entity.encoding === 'base64') {
+    return body.trim() ? decodeBase64Payload(body) : Buffer.alloc(0);
+  }
+  return entity.encoding === 'quoted-printable' ? decodeQuotedPrintable(body) : Buffer.from(body, 'utf8');
+}
+
+/**
+ * Decode the body of a text part with its charset
+ * @param {string} content - The message text the entity points into
+ * @param {Object} entity - The text entity (see parseMimeEntity)
+ * @returns {string} - The text
+ * @throws {MalformedDataError} - If a base64 body cannot be decoded
+ */
+function decodeMimeText(content, entity) {
+  return decodeMimeBody(content, entity).toString(LATIN1_CHARSETS.includes((entity.params.charset || '').toLowerCase()) ? 'latin1' : 'utf8');
+}
+
+/**
+ * Split an email or a mailbox into its messages, each parsed into its tree of entities
+ * In an mbox file every message starts with a `From ` line
+ * @param {string} content - The .eml or .mbox text
+ * @param {string} format - `eml` or `mbox`
+ * @returns {Array<{label: string, parts: Object[]}>} - For each message, the prefix of its
+ *   locations and its leaf entities in document order
+ */
+function readMimeMessages(content, format) {
+  const ranges = [];
+  if (format === 'mbox') {
+    const starts = [...content.matchAll(/^From .*\r?\n/gm)];
+    starts.forEach((match, i) => ranges.push([match.index + match[0].length, i + 1 < starts.length ? starts[i + 1].index : content.length]));
+  } else {
+    ranges.push([0, content.length]);
+  }
+  
+  return ranges.map(([start, end], i) => {
+    const parts = [];
+    const collect = entity => (entity.parts ? entity.parts.forEach(collect) : parts.push(entity));
+    collect(parseMimeEntity(content, start, end, ''));
+    return { label: format === 'mbox' ? `message ${i + 1}, ` : '', parts };
+  });
+}
+
+/**
+ * Find the images of one leaf MIME entity
+ * Image parts (by content or declared type) become one hit named after their file name or
+ * Content-ID; HTML and plain text parts are scanned for data URLs
+ * @param {string} content - The message text
+ * @param {Object} part - The leaf entity (see parseMimeEntity)
+ * @param {string} label - Location prefix of the part's message
+ * @param {number[]} lineStarts - Line start offsets of `content`
+ * @param {string} format - `eml` or `mbox`, reported as the hit source
+ * @returns {Object[]} - Hits with `filename` and `contentId` for image parts; hits in text parts keep
+ *   the `start` and `end` offsets of the decoded text
+ */
+function scanMimePart(content, part, label, lineStarts, format) {
+  const where = `${label}part ${part.number || 1}`;
+  let buffer;
+  try {
+    buffer = decodeMimeBody(content, part);
+  } catch (error) {
+    return [];
+  }
+  
+  if (part.type === 'text/html' || part.type === 'text/plain') {
+    const text = decodeMimeText(content, part);
+    const hits = part.type === 'text/html' ? scanHtmlForImages(text) : scanTextForImages(text);
+    return hits.map(hit => ({ ...hit, path: `${where}, ${describeImageLocation(hit)}`, line: null, column: null, source: format }));
+  }
+  
+  const mimeType = detectImageTypeFromBuffer(buffer) || part.type;
+  if (buffer.length === 0 || !mimeType.startsWith('image/')) {
+    return [];
+  }
+  const name = part.filename ? ` (${part.filename})` : part.contentId ? ` <${part.contentId}>` : '';
+  return [createHit(`data:${mimeType};base64,${buffer.toString('base64')}`, {
+    path: where + name,
+    line: offsetToPosition(lineStarts, part.start).line,
+    source: format,
+    filename: part.filename,
+    contentId: part.contentId
+  })];
+}
+
+/**
+ * Scan an email (.eml) or a mailbox (.mbox): base64 image parts such as attachments and
+ * inline `cid:` images, and data URLs in the HTML and text bodies
+ * Multipart trees and attached messages are walked; locations name the part, e.g. `part 1.2 (logo.png)`
+ * @param {string} content - The message or mailbox text
+ * @param {string} format - `eml` or `mbox`
+ * @returns {Object[]} - Hits in document order
+ */
+function scanMimeForImages(content, format = 'eml') {
+  const lineStarts = computeLineStarts(content);
+  return readMimeMessages(content, format)
+    .flatMap(message => message.parts.flatMap(part => scanMimePart(content, part, message.label, lineStarts, format)));
+}
+
+/**
+ * Scan file content with the scanner for its format
+ * @param {string} content - The file content
+ * @param {string} format - One of INPUT_FORMATS
+ * @returns {Object[]} - Hits in document order
+ * @throws {Error} - If the format is unknown or a structured file cannot be parsed
+ */
+function scanContentForImages(content, format) {
+  switch (format) {
+    case 'html':
+    case 'css':
+      return scanHtmlForImages(content);
+    case 'json':
+      return scanJsonForImages(content);
+    case 'har':
+      return scanHarForImages(content);
+    case 'ipynb':
+      return scanNotebookForImages(content);
+    case 'yaml':
+      return scanYamlForImages(content);
+    case 'code':
+      return scanCodeForImages(content);
+    case 'eml':
+    case 'mbox':
+      return scanMimeForImages(content, format);
+    case 'text':
+      return scanTextForImages(content);
+    case 'archive':
+      throw new InvalidOptionError('Archives are binary, scan them with scanArchiveForImages');
+    default:
+      throw new InvalidOptionError(`Unknown input format: ${format} (expected one of ${INPUT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Keep the first occurrence of every distinct image, for reporting
+ * @param {Object[]} hits - Hits returned by the scanners
+ * @returns {Array<{input: string, location: string, context: string|null}>} - The distinct images in hit order
+ */
+function firstOccurrences(hits) {
+  const locations = new Map();
+  hits.forEach(hit => {
+    if (!locations.has(hit.dataUrl)) {
+      locations.set(hit.dataUrl, hit);
+    }
+  });
+  return [...locations.values()].map(hit => ({ input: hit.dataUrl, location: describeImageLocation(hit), context: describeImageContext(hit) }));
+}
+
+/**
+ * Find the distinct images of a document with the scanner for its format
+ * Plain text without data URLs is taken as one raw base64 image
+ * @param {string} content - The document content
+ * @param {string} format - One of INPUT_FORMATS
+ * @returns {Array<{input: string, location: string|null, context: string|null}>} - Images with the location
+ *   and context (see describeImageContext) of their first occurrence
+ * @throws {NoImagesFoundError} - If the document has no images
+ */
+function findDocumentImages(content, format) {
+  const images = firstOccurrences(scanContentForImages(content, format));
+  if (images.length > 0) {
+    return images;
+  }
+  
+  const raw = format === 'text' ? normalizeInputData(content) : '';
+  if (!raw) {
+    throw new NoImagesFoundError(`No base64 image data found in the ${format === 'html' ? 'HTML' : format.toUpperCase()} file`);
+  }
+  return [{ input: raw, location: null, context: null }];
+}
+
+/**
+ * Read a file and find its images with the scanner picked from `format`, its extension or its content
+ * @param {string} filePath - The file to scan
+ * @param {Object} options - Scan options
+ * @param {string} options.format - One of INPUT_FORMATS (default: detected)
+ * @param {number} options.maxArchiveDepth - Nesting limit of archives (see scanArchiveForImages)
+ * @param {number} options.maxArchiveSize - Decompressed size limit of archives (see scanArchiveForImages)
+ * @returns {Promise<{format: string, images: Object[]}>} - The format used and the images (see findDocumentImages);
+ *   archives add the number of text `entries` scanned and the `skipped` entries
+ * @throws {NoImagesFoundError} - If the file has no images
+ * @throws {ArchiveLimitError} - If an archive decompresses to more than the size limit
+ */
+async function scanFile(filePath, options = {}) {
+  const buffer = await fs.readFile(filePath);
+  if (options.format === 'archive' || (!options.format && detectArchiveType(buffer))) {
+    const { hits, entries, skipped } = scanArchiveForImages(buffer, {
+      name: path.basename(filePath),
+      maxDepth: options.maxArchiveDepth,
+      maxSize: options.maxArchiveSize
+    });
+    if (hits.length === 0) {
+      const notRead = skipped.map(entry => `${entry.path} (${entry.reason})`).join(', ');
+      throw new NoImagesFoundError(`No base64 image data found in the ${entries} text file(s) of the archive${notRead ? `; not read: ${notRead}` : ''}`);
+    }
+    return { format: 'archive', images: firstOccurrences(hits), entries, skipped };
+  }
+  
+  const content = buffer.toString('utf8');
+  const format = options.format || detectInputFormat(filePath, content);
+  return { format, images: findDocumentImages(content, format) };
+}
+
+// Limits of scanArchiveForImages: containers opened inside each other, and bytes decompressed in total
+const DEFAULT_ARCHIVE_DEPTH = 3;
+const DEFAULT_ARCHIVE_SIZE = 256 * 1024 * 1024;
+
+// Entries that are never text, so they are not decompressed
+const ARCHIVE_BINARY_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'tif', 'tiff', 'ico', 'avif', 'heic',
+  'psd', 'pdf', 'mp3', 'm4a', 'ogg', 'wav', 'flac', 'mp4', 'webm', 'mov', 'avi', 'woff', 'woff2', 'ttf', 'otf', 'eot',
+  'wasm', 'exe', 'dll', 'so', 'class', 'bin'];
+
+/**
+ * Recognize a container by its signature
+ * @param {Buffer} buffer - The first bytes of the file (at least 512 for tar)
+ * @returns {string|null} - `zip` (also EPUB, DOCX, XLSX, ...), `gzip`, `tar` or null
+ */
+function detectArchiveType(buffer) {
+  if (hasBytes(buffer, 0, [0x50, 0x4b]) && (hasBytes(buffer, 2, [0x03, 0x04]) || hasBytes(buffer, 2, [0x05, 0x06]))) {
+    return 'zip';
+  }
+  if (hasBytes(buffer, 0, [0x1f, 0x8b])) {
+    return 'gzip';
+  }
+  // Tar headers have no magic before ustar, but their checksum must add up
+  if (buffer.length >= 512 && buffer[0] !== 0) {
+    const stored = parseInt(buffer.toString('latin1', 148, 156).replace(/\0.*$/, '').trim(), 8);
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+      sum += i >= 148 && i < 156 ? 0x20 : buffer[i];
+    }
+    if (stored === sum) {
+      return 'tar';
+    }
+  }
+  return null;
+}
+
+/**
+ * Decompress raw deflate or gzip data without exceeding the remaining size budget
+ * @param {Function} inflate - zlib.inflateRawSync or zlib.gunzipSync
+ * @param {Buffer} data - The compressed bytes
+ * @param {Object} budget - `{remaining}` bytes that may still be decompressed; decremented
+ * @param {string} label - The entry, for the error message
+ * @returns {Buffer} - The decompressed bytes
+ * @throws {ArchiveLimitError} - If the output would exceed the budget
+ */
+function inflateWithinBudget(inflate, data, budget, label) {
+  let output;
+  try {
+    output = inflate(data, { maxOutputLength: Math.max(1, budget.remaining) });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new ArchiveLimitError(`Archive limit exceeded: ${label} decompresses to more than the ${budget.limit} bytes allowed`);
+    }
+    throw new MalformedDataError(`Cannot decompress ${label}: ${error.message}`);
+  }
+  budget.remaining -= output.length;
+  return output;
+}
+
+/**
+ * List the files of a ZIP archive from its central directory
+ * @param {Buffer} buffer - The archive
+ * @param {Object} budget - The size budget (see inflateWithinBudget)
+ * @param {string} label - The archive path, for messages
+ * @returns {{entries: Array<{name: string, data: Buffer|null}>, skipped: Array<{name: string, reason: string}>}} -
+ *   Files in directory order; `data` is null for binary entries, which are not decompressed
+ * @throws {MalformedDataError} - If the central directory cannot be found
+ */
+function readZipEntries(buffer, budget, label) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new MalformedDataError(`Not a valid ZIP archive: ${label}`);
+  }
+  
+  const entries = [];
+  const skipped = [];
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < count && offset + 46 <= buffer.length && buffer.readUInt32LE(offset) === 0x02014b50; i++) {
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    let compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    let localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    
+    // ZIP64 entries keep their real sizes and offset in an extra field
+    const extra = buffer.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+    for (let e = 0; e + 4 <= extra.length; e += 4 + extra.readUInt16LE(e + 2)) {
+      if (extra.readUInt16LE(e) === 0x0001) {
+        let field = e + 4;
+        if (buffer.readUInt32LE(offset + 24) === 0xffffffff) {
+          field += 8;
+        }
+        if (compressedSize === 0xffffffff) {
+          compressedSize = Number(extra.readBigUInt64LE(field));
+          field += 8;
+        }
+        if (localOffset === 0xffffffff) {
+          localOffset = Number(extra.readBigUInt64LE(field));
+        }
+      }
+    }
+    offset += 46 + nameLength + extraLength + buffer.readUInt16LE(offset + 32);
+    
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (flags & 0x1) {
+      skipped.push({ name, reason: 'encrypted' });
+      continue;
+    }
+    if (method !== 0 && method !== 8) {
+      skipped.push({ name, reason: `unsupported compression method ${method}` });
+      continue;
+    }
+    if (ARCHIVE_BINARY_EXTENSIONS.includes(path.extname(name).slice(1).toLowerCase())) {
+      entries.push({ name, data: null });
+      continue;
+    }
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      skipped.push({ name, reason: 'missing local header' });
+      continue;
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 8) {
+      entries.push({ name, data: inflateWithinBudget(zlib.inflateRawSync, compressed, budget, `${label}!/${name}`) });
+    } else {
+      if (compressed.length > budget.remaining) {
+        throw new ArchiveLimitError(`Archive limit exceeded: ${label}!/${name} is larger than the ${budget.limit} bytes allowed`);
+      }
+      budget.remaining -= compressed.length;
+      entries.push({ name, data: compressed });
+    }
+  }
+  return { entries, skipped };
+}
+
+/**
+ * List the files of a tar archive, with GNU long names and pax `path` records
+ * @param {Buffer} buffer - The (uncompressed) archive
+ * @returns {{entries: Array<{name: string, data: Buffer|null}>, skipped: Object[]}} - Regular files in archive order;
+ *   `data` is null for binary entries
+ */
+function readTarEntries(buffer) {
+  const entries = [];
+  let longName = null;
+  for (let offset = 0; offset + 512 <= buffer.length && buffer[offset] !== 0;) {
+    const field = (start, length) => buffer.toString('utf8', offset + start, offset + start + length).replace(/\0.*$/s, '');
+    const sizeField = buffer.subarray(offset + 124, offset + 136);
+    // Sizes over 8 GB are stored in base-256 with the high bit set
+    const size = sizeField[0] & 0x80
+      ? Number(sizeField.subarray(1).readBigUInt64BE(3))
+      : parseInt(field(124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(buffer[offset + 156] || 0x30);
+    const prefix = field(257, 6).startsWith('ustar') ? field(345, 155) : '';
+    const name = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+    const data = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+    
+    if (type === 'L') {
+      longName = data.toString('utf8').replace(/\0.*$/s, '');
+      continue;
+    }
+    if (type === 'x') {
+      const pathRecord = data.toString('utf8').match(/^\d+ path=(.*)$/m);
+      longName = pathRecord ? pathRecord[1] : null;
+      continue;
+    }
+    longName = null;
+    if (type === '0' || type === '7') {
+      entries.push({ name, data: ARCHIVE_BINARY_EXTENSIONS.includes(path.extname(name).slice(1).toLowerCase()) ? null : data });
+    }
+  }
+  return { entries, skipped: [] };
+}
+
+/**
+ * Open a container and every container inside it, up to the depth limit
+ * A gzip file holding a tar archive is read as one container; any other gzip file holds one
+ * entry named after it without `.gz`
+ * @param {Buffer} buffer - The container
+ * @param {string} label - Its path, e.g. `site.tar.gz` or `site.tar.gz!/docs/book.epub`
+ * @param {number} depth - Containers left to open, this one included
+ * @param {Object} budget - The size budget (see inflateWithinBudget)
+ * @returns {{entries: Array<{path: string, data: Buffer}>, skipped: Array<{path: string, reason: string}>}} -
+ *   The text candidates with their `archive!/inner/path`, and the entries that were not read
+ */
+function expandArchive(buffer, label, depth, budget) {
+  let type = detectArchiveType(buffer);
+  let listing;
+  if (type === 'zip') {
+    listing = readZipEntries(buffer, budget, label);
+  } else if (type === 'gzip') {
+    const inflated = inflateWithinBudget(zlib.gunzipSync, buffer, budget, label);
+    type = detectArchiveType(inflated);
+    listing = type === 'tar'
+      ? readTarEntries(inflated)
+      : { entries: [{ name: path.basename(label).replace(/\.t?gz$/i, match => (match.toLowerCase() === '.tgz' ? '.tar' : '')), data: inflated }], skipped: [] };
+  } else if (type === 'tar') {
+    listing = readTarEntries(buffer);
+  } else {
+    throw new MalformedDataError(`Not a ZIP, tar or gzip archive: ${label}`);
+  }
+  
+  const entries = [];
+  const skipped = listing.skipped.map(entry => ({ path: `${label}!/${entry.name}`, reason: entry.reason }));
+  for (const { name, data } of listing.entries) {
+    const entryPath = `${label}!/${name}`;
+    if (!data) {
+      continue;
+    }
+    if (!detectArchiveType(data.subarray(0, 512))) {
+      entries.push({ path: entryPath, data });
+    } else if (depth > 1) {
+      const nested = expandArchive(data, entryPath, depth - 1, budget);
+      entries.push(...nested.entries);
+      skipped.push(...nested.skipped);
+    } else {
+      skipped.push({ path: entryPath, reason: 'nested too deep' });
+    }
+  }
+  return { entries, skipped };
+}
+
+/**
+ * Scan the text files of an archive or packaged document (ZIP, EPUB, DOCX/XLSX/PPTX, tar,
+ * tar.gz, gzip) with the scanner for each file's format
+ * Archives inside the archive are opened too; binary entries (no text before the first NUL byte)
+ * are skipped. Locations start with the entry, e.g. `book.epub!/OEBPS/ch1.xhtml, line 3, column 10: <img src>`
+ * @param {Buffer} buffer - The archive
+ * @param {Object} options - Scan options
+ * @param {string} options.name - Name of the archive in locations (default: `archive`)
+ * @param {number} options.maxDepth - Containers opened inside each other, the outer one included (default 3)
+ * @param {number|string} options.maxSize - Bytes decompressed in total, or a size such as `64MB` (default 256 MB)
+ * @returns {{hits: Object[], entries: number, skipped: Array<{path: string, reason: string}>}} - Hits in archive order,
+ *   the number of entries scanned, and the entries that were not read (encrypted, nested too deep, ...)
+ * @throws {ArchiveLimitError} - If the archive decompresses to more than `maxSize` bytes
+ * @throws {MalformedDataError} - If the data is not an archive or cannot be decompressed
+ * @throws {InvalidOptionError} - If a limit is invalid
+ */
+function scanArchiveForImages(buffer, options = {}) {
+  const maxDepth = Number(options.maxDepth ?? DEFAULT_ARCHIVE_DEPTH);
+  if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+    throw new InvalidOptionError(`Invalid archive depth "${options.maxDepth}", expected a positive integer`);
+  }
+  const maxSize = options.maxSize != null ? parseSize(options.maxSize) : DEFAULT_ARCHIVE_SIZE;
+  const budget = { remaining: maxSize, limit: maxSize };
+  const { entries, skipped } = expandArchive(buffer, options.name || 'archive', maxDepth, budget);
+  
+  const hits = [];
+  let scanned = 0;
+  for (const entry of entries) {
+    if (entry.data.subarray(0, 8000).includes(0)) {
+      continue;
+    }
+    scanned++;
+    const text = entry.data.toString('utf8');
+    let entryHits;
+    try {
+      entryHits = scanContentForImages(text, detectInputFormat(entry.path.slice(entry.path.lastIndexOf('!/') + 2), text));
+    } catch (error) {
+      // A structured file that does not parse is still scanned as text
+      entryHits = scanTextForImages(text);
+    }
+    hits.push(...entryHits.map(hit => ({ ...hit, archivePath: entry.path })));
+  }
+  return { hits, entries: scanned, skipped };
+}
+
+// HTTP statuses worth retrying: timeouts, rate limits and temporary server errors
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Socket and network errors worth retrying; invalid URLs, unsupported protocols and host names that do
+// not resolve (ENOTFOUND) fail at once
+const RETRY_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENETDOWN', 'ENETUNREACH',
+  'EHOSTUNREACH', 'EAI_AGAIN', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+// Longest wait honoured from a Retry-After header
+const MAX_RETRY_AFTER = 60000;
+
+/**
+ * Validate the options of fetchUrl and fill in the defaults
+ * @param {Object} options - Fetch options (see fetchUrl)
+ * @returns {Object} - The normalized options
+ * @throws {InvalidOptionError} - If a value is invalid
+ */
+function normalizeFetchOptions(options = {}) {
+  const { headers = {}, timeout = 30000, maxBytes = null, retries = 2, retryDelay = 500, maxRedirects = 20, onRetry = () => {} } = options;
+  const integer = (name, value, min) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+      throw new InvalidOptionError(`Invalid ${name} "${value}", expected an integer of at least ${min}`);
+    }
+    return number;
+  };
+  const timeoutMs = Number(timeout);
+  if (!(timeoutMs > 0)) {
+    throw new InvalidOptionError(`Invalid timeout "${timeout}", expected a positive number of milliseconds`);
+  }
+  return {
+    headers,
+    timeout: timeoutMs,
+    maxBytes: maxBytes === null ? Infinity : typeof maxBytes === 'number' ? integer('maxBytes', maxBytes, 1) : parseSize(maxBytes),
+    retries: integer('retries', retries, 0),
+    retryDelay: integer('retryDelay', retryDelay, 0),
+    maxRedirects: integer('maxRedirects', maxRedirects, 0),
+    onRetry
+  };
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Seconds or an HTTP date
+ * @returns {number|null} - Milliseconds to wait (at most MAX_RETRY_AFTER), or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const delay = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isNaN(delay) ? null : Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+}
+
+/**
+ * Pass a response body through while it stays within the size limit and keeps arriving
+ * The timeout applies to each wait for data, so a long download only fails when the server stalls
+ * @param {string} url - The URL being fetched
+ * @param {AsyncIterable<Buffer>} body - The response body
+ * @param {Object} settings - Options from normalizeFetchOptions
+ * @param {AbortController} controller - Aborts the request
+ * @yields {Buffer} - The body chunks
+ * @throws {FetchError} - If the body is too large, stalls or breaks off
+ */
+async function* readBodyWithinLimits(url, body, settings, controller) {
+  let size = 0;
+  let timer = setTimeout(() => controller.abort(), settings.timeout);
+  try {
+    for await (const chunk of body) {
+      clearTimeout(timer);
+      size += chunk.length;
+      if (size > settings.maxBytes) {
+        controller.abort();
+        throw new FetchError(`Failed to fetch ${url}: the response is larger than ${settings.maxBytes} bytes`);
+      }
+      yield chunk;
+      timer = setTimeout(() => controller.abort(), settings.timeout);
+    }
+  } catch (error) {
+    if (error instanceof FetchError) {
+      throw error;
+    }
+    throw new FetchError(`Failed to fetch ${url}: ${controller.signal.aborted ? `no data received for ${settings.timeout} ms` : error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Make one request and read the response body within the timeout and size limit
+ * With `settings.stream` the body is not read: it is returned as a stream once the response headers arrived
+ * @param {string} url - The URL to fetch
+ * @param {Object} settings - Options from normalizeFetchOptions, plus `stream`
+ * @returns {Promise<Object>} - `{result}` on success, otherwise `{message, status, retryable, retryAfter}`
+ */
+async function fetchAttempt(url, settings) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), settings.timeout);
+  const timedOut = `timed out after ${settings.timeout} ms`;
+  try {
+    let response;
+    try {
+      response = await fetch(url, { headers: settings.headers, follow: settings.maxRedirects, signal: controller.signal });
+    } catch (error) {
+      if (error.type === 'max-redirect') {
+        return { message: `more than ${settings.maxRedirects} redirects`, retryable: false };
+      }
+      return { message: controller.signal.aborted ? timedOut : error.message, retryable: controller.signal.aborted || RETRY_ERROR_CODES.includes(error.code) };
+    }
+    if (!response.ok) {
+      return {
+        message: `HTTP ${response.status}: ${response.statusText}`,
+        status: response.status,
+        retryable: RETRY_STATUSES.includes(response.status),
+        retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+      };
+    }
+    
+    const tooLarge = { message: `the response is larger than ${settings.maxBytes} bytes`, status: response.status, retryable: false };
+    const length = parseInt(response.headers.get('content-length'), 10);
+    if (length > settings.maxBytes) {
+      controller.abort();
+      return tooLarge;
+    }
+    if (settings.stream) {
+      return {
+        result: {
+          url: response.url || url,
+          status: response.status,
+          contentType: response.headers.get('content-type') || '',
+          totalBytes: Number.isNaN(length) ? null : length,
+          body: Readable.from(readBodyWithinLimits(url, response.body, settings, controller), { objectMode: false })
+        }
+      };
+    }
+    const chunks = [];
+    let size = 0;
+    try {
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > settings.maxBytes) {
+          controller.abort();
+          return tooLarge;
+        }
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      return { message: controller.signal.aborted ? timedOut : error.message, retryable: controller.signal.aborted || RETRY_ERROR_CODES.includes(error.code) };
+    }
+    return {
+      result: {
+        url: response.url || url,
+        status: response.status,
+        contentType: response.headers.get('content-type') || '',
+        body: Buffer.concat(chunks)
+      }
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch a URL with custom headers, a timeout, a size limit, limited redirects and retries
+ * Timeouts, socket errors and HTTP 408, 425, 429 and 5xx responses are retried with exponential
+ * backoff (`retryDelay`, then twice that, ...), or after the delay of a Retry-After header
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - Fetch options
+ * @param {Object} options.headers - Request headers, e.g. `{Cookie, 'User-Agent', Authorization}`
+ * @param {number} options.timeout - Milliseconds allowed for each attempt, body included (default 30000)
+ * @param {number|string} options.maxBytes - Largest accepted body, in bytes or as a size such as `5MB` (default: no limit)
+ * @param {number} options.retries - Retries after the first attempt (default 2)
+ * @param {number} options.retryDelay - Milliseconds before the first retry (default 500)
+ * @param {number} options.maxRedirects - Redirects followed (default 20)
+ * @param {Function} options.onRetry - Called with `{url, attempt, retries, delay, reason}` before each retry
+ * @returns {Promise<{url: string, status: number, contentType: string, body: Buffer}>} - The response;
+ *   `url` is the address after redirects
+ * @throws {FetchError} - If the URL cannot be fetched
+ * @throws {InvalidOptionError} - If an option is invalid
+ */
+async function fetchUrl(url, options = {}) {
+  return fetchWithRetries(url, normalizeFetchOptions(options));
+}
+
+/**
+ * Fetch a URL and return its body as a stream; the options and retries of fetchUrl apply until the
+ * response headers arrive, then `timeout` limits each wait for data and `maxBytes` the streamed size
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - Fetch options (see fetchUrl)
+ * @returns {Promise<{url: string, status: number, contentType: string, totalBytes: number|null, body: Readable}>} - The response
+ * @throws {FetchError} - If the URL cannot be fetched; the body stream fails with one too
+ * @throws {InvalidOptionError} - If an option is invalid
+ */
+async function fetchUrlStream(url, options = {}) {
+  return fetchWithRetries(url, { ...normalizeFetchOptions(options), stream: true });
+}
+
+/**
+ * Run fetchAttempt until it succeeds or a failure is final
+ * @param {string} url - The URL to fetch
+ * @param {Object} settings - Options from normalizeFetchOptions, plus `stream`
+ * @returns {Promise<Object>} - The result of the successful attempt
+ * @throws {FetchError} - If the URL cannot be fetched
+ */
+async function fetchWithRetries(url, settings) {
+  for (let attempt = 1; ; attempt++) {
+    const { result, message, status = null, retryable, retryAfter = null } = await fetchAttempt(url, settings);
+    if (result) {
+      return result;
+    }
+    if (!retryable || attempt > settings.retries) {
+      throw new FetchError(`Failed to fetch ${url}: ${message}`, status);
+    }
+    const delay = retryAfter ?? settings.retryDelay * 2 ** (attempt - 1);
+    settings.onRetry({ url, attempt, retries: settings.retries, delay, reason: message });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Pick the scanner for a fetched document from its Content-Type, falling back to its URL and content
+ * @param {string} url - The URL of the document
+ * @param {string} contentType - The Content-Type header
+ * @param {string} content - The document
+ * @returns {string} - One of INPUT_FORMATS
+ */
+function detectUrlFormat(url, contentType, content) {
+  if (/\bhtml\b/i.test(contentType)) {
+    return 'html';
+  }
+  if (/\bcss\b/i.test(contentType)) {
+    return 'css';
+  }
+  if (/(?:java|ecma)script/i.test(contentType)) {
+    return 'code';
+  }
+  return detectInputFormat(new URL(url).pathname, content);
+}
+
+/**
+ * Find the stylesheets and scripts an HTML page links to
+ * @param {string} html - The HTML page
+ * @returns {Array<{reference: string, format: string}>} - The `href` of `<link rel=stylesheet>` (`css`)
+ *   and the `src` of `<script>` (`code`) elements, as written
+ */
+function findLinkedAssets(html) {
+  const assets = [];
+  for (const match of html.replace(/<!--[\s\S]*?-->/g, '').matchAll(/<(link|script)\b(\s[^>]*)?>/gi)) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, bare] of (match[2] || '').matchAll(/\s([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+      const value = doubleQuoted ?? singleQuoted ?? bare ?? '';
+      attributes[name.toLowerCase()] = decodeHtmlSegment(value, 0, value.length).text.trim();
+    }
+    const element = match[1].toLowerCase();
+    if (element === 'link' && /(?:^|\s)stylesheet(?:\s|$)/i.test(attributes.rel || '') && attributes.href) {
+      assets.push({ reference: attributes.href, format: 'css' });
+    } else if (element === 'script' && attributes.src) {
+      assets.push({ reference: attributes.src, format: 'code' });
+    }
+  }
+  return assets;
+}
+
+/**
+ * Fetch a URL and find its images, optionally also in the same-origin stylesheets and scripts of a page
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - Fetch options (see fetchUrl), plus:
+ * @param {boolean} options.followAssets - Also fetch and scan the stylesheets and scripts an HTML page
+ *   links to on its own origin (after redirects)
+ * @param {Function} options.onAsset - Called with `{url, images, error}` for every asset fetched
+ * @returns {Promise<{url: string, format: string, images: Object[], assets: Object[]}>} - The final URL,
+ *   the format of the document and the distinct images `{input, location, context}` with the location of
+ *   their first occurrence (prefixed with the asset URL for assets), and the assets fetched
+ * @throws {FetchError} - If the URL cannot be fetched (assets that fail are reported in `assets`)
+ * @throws {NoImagesFoundError} - If no images were found
+ */
+async function fetchUrlImages(url, options = {}) {
+  const { followAssets = false, onAsset = () => {} } = options;
+  const page = await fetchUrl(url, options);
+  const content = page.body.toString('utf8');
+  const format = detectUrlFormat(page.url, page.contentType, content);
+  
+  const images = new Map();
+  const addImages = (documentContent, documentFormat, prefix) => {
+    let hits;
+    try {
+      hits = scanContentForImages(documentContent, documentFormat);
+    } catch (error) {
+      // A body that does not parse as its declared type is still scanned as text
+      hits = scanTextForImages(documentContent);
+    }
+    const before = images.size;
+    hits.filter(hit => !images.has(hit.dataUrl)).forEach(hit => {
+      const location = describeImageLocation(hit);
+      images.set(hit.dataUrl, { input: hit.dataUrl, location: prefix ? `${prefix}, ${location}` : location, context: describeImageContext(hit) });
+    });
+    return images.size - before;
+  };
+  addImages(content, format, null);
+  
+  const assets = [];
+  if (followAssets && format === 'html') {
+    const origin = new URL(page.url).origin;
+    for (const { reference, format: assetFormat } of findLinkedAssets(content)) {
+      let assetUrl;
+      try {
+        assetUrl = new URL(reference, page.url);
+      } catch (error) {
+        continue;
+      }
+      assetUrl.hash = '';
+      if (assetUrl.origin !== origin || assets.some(asset => asset.url === assetUrl.href)) {
+        continue;
+      }
+      const asset = { url: assetUrl.href, images: 0, error: null };
+      try {
+        const response = await fetchUrl(asset.url, options);
+        asset.images = addImages(response.body.toString('utf8'), assetFormat, asset.url);
+      } catch (error) {
+        if (!(error instanceof FetchError)) {
+          throw error;
+        }
+        asset.error = error.message;
+      }
+      assets.push(asset);
+      onAsset(asset);
+    }
+  }
+  
+  if (images.size === 0) {
+    throw new NoImagesFoundError(`No base64 image data found in the URL content${assets.length ? ' or its linked assets' : ''}`);
+  }
+  return { url: page.url, format, images: [...images.values()], assets };
+}
+
+/**
+ * Fetch content from URL and scan for base64 data
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - Fetch options (see fetchUrlImages)
+ * @returns {Promise<string[]>} - Array of found base64 data URLs
+ * @throws {FetchError} - If the URL cannot be fetched
+ * @throws {NoImagesFoundError} - If the content has no base64 images
+ */
+async function fetchAndScanUrl(url, options = {}) {
+  const { images } = await fetchUrlImages(url, options);
+  return images.map(image => image.input);
+}
+
+// Product token matched against the User-agent lines of robots.txt
+const ROBOTS_USER_AGENT = 'b64ic';
+
+// Links to these file types are not fetched while crawling: they cannot be HTML pages
+const CRAWL_SKIPPED_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'ico', 'bmp', 'tif', 'tiff', 'avif',
+  'pdf', 'zip', 'gz', 'tgz', 'rar', '7z', 'exe', 'dmg', 'iso', 'mp3', 'mp4', 'avi', 'mov', 'webm', 'wav', 'ogg',
+  'css', 'js', 'json', 'xml', 'txt', 'csv', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'woff', 'woff2', 'ttf', 'eot'];
+
+/**
+ * Parse the rules of a robots.txt file that apply to a user agent
+ * The group naming the agent wins over the `*` group; rules of other groups are ignored
+ * @param {string} content - The robots.txt content
+ * @param {string} userAgent - Product token of the crawler
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}} - Allow and Disallow
+ *   rules, and the Crawl-delay in seconds
+ */
+function parseRobotsTxt(content, userAgent = ROBOTS_USER_AGENT) {
+  const groups = [];
+  let group = null;
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!group || group.rules.length > 0 || group.crawlDelay !== null) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (group && (field === 'allow' || field === 'disallow')) {
+      if (value) {
+        group.rules.push({ allow: field === 'allow', path: value });
+      }
+    } else if (group && field === 'crawl-delay' && !Number.isNaN(parseFloat(value))) {
+      group.crawlDelay = parseFloat(value);
+    }
+  }
+  
+  const token = userAgent.toLowerCase();
+  const named = groups.filter(candidate => candidate.agents.some(agent => agent !== '*' && token.includes(agent)));
+  const selected = named.length > 0 ? named : groups.filter(candidate => candidate.agents.includes('*'));
+  return {
+    rules: selected.flatMap(candidate => candidate.rules),
+    crawlDelay: selected.map(candidate => candidate.crawlDelay).find(delay => delay !== null) ?? null
+  };
+}
+
+/**
+ * Check a URL path against robots.txt rules: the longest matching rule wins, Allow on a tie
+ * @param {Object} robots - The result of parseRobotsTxt
+ * @param {string} urlPath - Path and query of the URL
+ * @returns {boolean} - True if the path may be crawled
+ */
+function isAllowedByRobots(robots, urlPath) {
+  let best = null;
+  for (const rule of robots.rules) {
+    const pattern = rule.path.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\\\$$/, '$');
+    if (new RegExp(`^${pattern}`).test(urlPath) &&
+      (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow))) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * Find the pages an HTML page links to
+ * @param {string} html - The HTML page
+ * @param {string} pageUrl - URL of the page, for relative links (a `<base href>` takes precedence)
+ * @returns {string[]} - Absolute http(s) URLs of `<a>` and `<area>` links and `<frame>`/`<iframe>` sources, without fragments
+ */
+function findPageLinks(html, pageUrl) {
+  const references = [];
+  let baseUrl = pageUrl;
+  for (const match of html.replace(/<!--[\s\S]*?-->/g, '').matchAll(/<(a|area|frame|iframe|base)\b(\s[^>]*)?>/gi)) {
+    const element = match[1].toLowerCase();
+    const attribute = element === 'frame' || element === 'iframe' ? 'src' : 'href';
+    const value = (match[2] || '').match(new RegExp(`\\s${attribute}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+    if (!value) {
+      continue;
+    }
+    const reference = value[1] ?? value[2] ?? value[3];
+    const decoded = decodeHtmlSegment(reference, 0, reference.length).text.trim();
+    if (element === 'base') {
+      try {
+        baseUrl = new URL(decoded, pageUrl).href;
+      } catch (error) {
+        // Keep the page URL
+      }
+    } else {
+      references.push(decoded);
+    }
+  }
+  
+  const links = [];
+  for (const reference of references) {
+    try {
+      const url = new URL(reference, baseUrl);
+      url.hash = '';
+      if (/^https?:$/.test(url.protocol) && !links.includes(url.href)) {
+        links.push(url.href);
+      }
+    } catch (error) {
+      // Not a valid URL
+    }
+  }
+  return links;
+}
+
+/**
+ * Crawl the same-origin pages of a site and find the images embedded in them
+ * Pages are fetched breadth-first up to `depth` links away from the start page, by up to `concurrency`
+ * requests at a time, starting one request every `delay` ms (or every robots.txt Crawl-delay, if longer) for
+ * the whole site. robots.txt is loaded before the start page, which it may disallow too. Images are identified
+ * by the SHA-256 of their decoded bytes across the whole crawl.
+ * @param {string} startUrl - The first page
+ * @param {Object} options - Crawl options, plus the fetch options of fetchUrl
+ * @param {number} options.depth - Links followed from the start page (default 2)
+ * @param {number} options.maxPages - Pages fetched at most (default 100)
+ * @param {string[]} options.include - Only follow links whose path (and query) matches one of these glob patterns
+ * @param {string[]} options.exclude - Never follow links whose path (and query) matches one of these glob patterns
+ * @param {number} options.concurrency - Pages fetched at once (default 2)
+ * @param {number} options.delay - Milliseconds between the starts of two requests to the site (default 250)
+ * @param {boolean} options.robots - Honour robots.txt (default true)
+ * @param {Function} options.onPage - Called (and awaited) with every page result as it is crawled
+ * @returns {Promise<{pages: Object[], images: Object[], skipped: Object[]}>} - One result per fetched page
+ *   `{url, depth, images, links, failed, error}`; the distinct images `{input, mimeType, size, sha256, pages}`
+ *   with every page (`url`, `location`) that embeds them; and the links not followed (`url`, `reason`)
+ * @throws {FetchError} - If the start page cannot be fetched
+ * @throws {InvalidOptionError} - If an option is invalid
+ */
+async function crawlSite(startUrl, options = {}) {
+  const { depth = 2, maxPages = 100, include = [], exclude = [], concurrency = 2, delay = 250, robots = true, onPage = () => {} } = options;
+  const integer = (name, value, min) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+      throw new InvalidOptionError(`Invalid ${name} "${value}", expected an integer of at least ${min}`);
+    }
+    return number;
+  };
+  const maxDepth = integer('depth', depth, 0);
+  const pageLimit = integer('maxPages', maxPages, 1);
+  const workers = integer('concurrency', concurrency, 1);
+  let wait = integer('delay', delay, 0);
+  normalizeFetchOptions(options);
+  const includePatterns = include.map(globToRegExp);
+  const excludePatterns = exclude.map(globToRegExp);
+  
+  const pages = [];
+  const skipped = [];
+  const images = new Map();
+  const start = new URL(startUrl);
+  start.hash = '';
+  const seen = new Set([start.href]);
+  const crawled = new Set();
+  // When the next request to the site may start, shared by all workers
+  let nextRequestAt = 0;
+  let fetched = 0;
+  
+  // The origin and robots.txt are those of the start page, and again of its target if it redirects elsewhere
+  let origin = start.origin;
+  let robotsRules = { rules: [], crawlDelay: null };
+  const loadRobots = async () => {
+    robotsRules = { rules: [], crawlDelay: null };
+    try {
+      const response = await fetchUrl(`${origin}/robots.txt`, { ...options, retries: 0 });
+      robotsRules = parseRobotsTxt(response.body.toString('utf8'), options.headers?.['User-Agent'] || ROBOTS_USER_AGENT);
+    } catch (error) {
+      // No robots.txt: everything may be crawled
+    }
+    if (robotsRules.crawlDelay !== null) {
+      wait = Math.max(wait, robotsRules.crawlDelay * 1000);
+    }
+  };
+  const allowed = url => !robots || isAllowedByRobots(robotsRules, url.pathname + url.search);
+  if (robots) {
+    await loadRobots();
+    nextRequestAt = Date.now() + wait;
+  }
+  if (!allowed(start)) {
+    skipped.push({ url: start.href, reason: 'robots' });
+    return { pages, images: [], skipped };
+  }
+  
+  // Fetch and scan one page and queue its links in `next`; null when the URL is not a new HTML page
+  const crawlPage = async (url, currentDepth, next) => {
+    const page = { url, depth: currentDepth, images: 0, links: 0, failed: [], error: null };
+    let response;
+    try {
+      response = await fetchUrl(url, options);
+    } catch (error) {
+      if (!(error instanceof FetchError) || crawled.size === 0) {
+        throw error;
+      }
+      page.error = error.message;
+      return page;
+    }
+    if (crawled.size === 0 && new URL(response.url).origin !== origin) {
+      origin = new URL(response.url).origin;
+      if (robots) {
+        await loadRobots();
+      }
+      if (!allowed(new URL(response.url))) {
+        skipped.push({ url: response.url, reason: 'robots' });
+        return null;
+      }
+    }
+    
+    const content = response.body.toString('utf8');
+    if (crawled.has(response.url)) {
+      skipped.push({ url, reason: 'duplicate' });
+      return null;
+    }
+    crawled.add(response.url);
+    if (detectUrlFormat(response.url, response.contentType, content) !== 'html') {
+      skipped.push({ url, reason: 'not-html' });
+      return null;
+    }
+    
+    const hits = new Map();
+    scanHtmlForImages(content).forEach(hit => hits.has(hit.dataUrl) || hits.set(hit.dataUrl, hit));
+    for (const [dataUrl, hit] of hits) {
+      const location = describeImageLocation(hit);
+      try {
+        const { mimeType, size, sha256 } = decodeImage(dataUrl);
+        if (!images.has(sha256)) {
+          images.set(sha256, { input: dataUrl, context: describeImageContext(hit), mimeType, size, sha256, pages: [] });
+        }
+        images.get(sha256).pages.push({ url, location });
+        page.images++;
+      } catch (error) {
+        page.failed.push({ location, error: error.message });
+      }
+    }
+    
+    const links = findPageLinks(content, response.url);
+    page.links = links.length;
+    for (const link of currentDepth < maxDepth ? links : []) {
+      if (seen.has(link)) {
+        continue;
+      }
+      seen.add(link);
+      const linkUrl = new URL(link);
+      const linkPath = linkUrl.pathname + linkUrl.search;
+      const reason = linkUrl.origin !== origin ? 'other-origin'
+        : CRAWL_SKIPPED_EXTENSIONS.includes(path.posix.extname(linkUrl.pathname).slice(1).toLowerCase()) ? 'not-html'
+        : includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(linkPath)) ? 'not-included'
+        : excludePatterns.some(pattern => pattern.test(linkPath)) ? 'excluded'
+        : !allowed(linkUrl) ? 'robots'
+        : null;
+      if (reason) {
+        skipped.push({ url: link, reason });
+      } else {
+        next.push(link);
+      }
+    }
+    return page;
+  };
+  
+  let level = [start.href];
+  for (let currentDepth = 0; level.length > 0; currentDepth++) {
+    const next = [];
+    let index = 0;
+    const worker = async () => {
+      while (index < level.length) {
+        const url = level[index++];
+        if (fetched >= pageLimit) {
+          skipped.push({ url, reason: 'max-pages' });
+          continue;
+        }
+        fetched++;
+        // Each worker claims the next start time before waiting, so the site sees one request per `wait`
+        const startAt = Math.max(Date.now(), nextRequestAt);
+        nextRequestAt = startAt + wait;
+        await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+        const page = await crawlPage(url, currentDepth, next);
+        if (page) {
+          pages.push(page);
+          await onPage(page);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(workers, level.length) }, worker));
+    level = next;
+  }
+  
+  return { pages, images: [...images.values()], skipped };
+}
+
+/**
+ * Detect image type from base64 data by checking the data URL prefix
+ * @param {string} base64Data - The base64 encoded image data, data URL or raw SVG markup
+ * @returns {string|null} - The detected MIME type or null if not found
+ */
+function detectImageType(base64Data) {
+  // Check if it's a data URL
+  const dataUrlMatch = base64Data.match(/^data:([^;,]+)[^,]*,/i);
+  if (dataUrlMatch) {
+    return dataUrlMatch[1].replace('\\/', '/').trim().toLowerCase();
+  }
+  if (isSvgMarkup(base64Data)) {
+    return 'image/svg+xml';
+  }
+  
+  // Check for common image signatures in raw base64
+  try {
+    return detectImageTypeFromBuffer(decodeBase64Payload(base64Data));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a buffer contains the given bytes at an offset
+ * @param {Buffer} buffer - The buffer to check
+ * @param {number} offset - Byte offset
+ * @param {number[]|string} bytes - Expected bytes, or an ASCII string
+ * @returns {boolean} - True if the bytes match
+ */
+function hasBytes(buffer, offset, bytes) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : bytes;
+  if (buffer.length < offset + expected.length) {
+    return false;
+  }
+  for (let i = 0; i < expected.length; i++) {
+    if (buffer[offset + i] !== expected[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Read the major and compatible brands of an ISO base media file (`ftyp` box)
+ * @param {Buffer} buffer - The file bytes
+ * @returns {string[]} - The brands, or an empty array if there is no ftyp box
+ */
+function readFtypBrands(buffer) {
+  if (!hasBytes(buffer, 4, 'ftyp')) {
+    return [];
+  }
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+  return brands;
+}
+
+/**
+ * Check whether a PNG stream is animated (has an acTL chunk before the first IDAT)
+ * @param {Buffer} buffer - The PNG bytes
+ * @returns {boolean} - True for APNG
+ */
+function isAnimatedPng(buffer) {
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (type === 'acTL') {
+      return true;
+    }
+    if (type === 'IDAT' || type === 'IEND') {
+      return false;
+    }
+    offset += 12 + buffer.readUInt32BE(offset);
+  }
+  return false;
+}
+
+/**
+ * Check whether a buffer holds SVG markup (optionally after a BOM, XML declaration, comments or doctype)
+ * @param {Buffer} buffer - The file bytes
+ * @returns {boolean} - True for SVG
+ */
+function isSvgText(buffer) {
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 4096)).replace(/^﻿/, '');
+  return /^\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>\s*)*<svg[\s>]/i.test(head);
+}
+
+// File signatures, checked in order. Images first, then common non-image payloads.
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', test: buffer => hasBytes(buffer, 0, [0xFF, 0xD8, 0xFF]) },
+  { mimeType: 'image/apng', test: buffer => hasBytes(buffer, 0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) && isAnimatedPng(buffer) },
+  { mimeType: 'image/png', test: buffer => hasBytes(buffer, 0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { mimeType: 'image/gif', test: buffer => hasBytes(buffer, 0, 'GIF87a') || hasBytes(buffer, 0, 'GIF89a') },
+  { mimeType: 'image/webp', test: buffer => hasBytes(buffer, 0, 'RIFF') && hasBytes(buffer, 8, 'WEBP') },
+  { mimeType: 'image/tiff', test: buffer => hasBytes(buffer, 0, [0x49, 0x49, 0x2A, 0x00]) || hasBytes(buffer, 0, [0x4D, 0x4D, 0x00, 0x2A]) },
+  { mimeType: 'image/avif', test: buffer => readFtypBrands(buffer).some(brand => brand === 'avif' || brand === 'avis') },
+  { mimeType: 'image/heic', test: buffer => readFtypBrands(buffer).some(brand => ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(brand)) },
+  { mimeType: 'image/heif', test: buffer => readFtypBrands(buffer).some(brand => brand === 'mif1' || brand === 'msf1') },
+  { mimeType: 'image/jxl', test: buffer => hasBytes(buffer, 0, [0xFF, 0x0A]) || hasBytes(buffer, 0, [0x00, 0x00, 0x00, 0x0C, 0x4A, 0x58, 0x4C, 0x20, 0x0D, 0x0A, 0x87, 0x0A]) },
+  { mimeType: 'image/vnd.adobe.photoshop', test: buffer => hasBytes(buffer, 0, '8BPS') },
+  { mimeType: 'image/qoi', test: buffer => hasBytes(buffer, 0, 'qoif') },
+  // ICO and CUR: reserved 0, type 1 (icon) or 2 (cursor), at least one image
+  { mimeType: 'image/x-icon', test: buffer => hasBytes(buffer, 0, [0x00, 0x00, 0x01, 0x00]) && buffer.length >= 6 && buffer.readUInt16LE(4) > 0 },
+  { mimeType: 'image/x-win-bitmap', test: buffer => hasBytes(buffer, 0, [0x00, 0x00, 0x02, 0x00]) && buffer.length >= 6 && buffer.readUInt16LE(4) > 0 },
+  { mimeType: 'image/bmp', test: buffer => hasBytes(buffer, 0, 'BM') },
+  { mimeType: 'image/svg+xml', test: isSvgText },
+  { mimeType: 'application/pdf', test: buffer => hasBytes(buffer, 0, '%PDF-') },
+  { mimeType: 'font/woff', test: buffer => hasBytes(buffer, 0, 'wOFF') },
+  { mimeType: 'font/woff2', test: buffer => hasBytes(buffer, 0, 'wOF2') },
+  { mimeType: 'font/otf', test: buffer => hasBytes(buffer, 0, 'OTTO') },
+  { mimeType: 'font/ttf', test: buffer => hasBytes(buffer, 0, [0x00, 0x01, 0x00, 0x00, 0x00]) },
+  { mimeType: 'application/zip', test: buffer => hasBytes(buffer, 0, [0x50, 0x4B, 0x03, 0x04]) || hasBytes(buffer, 0, [0x50, 0x4B, 0x05, 0x06]) },
+  { mimeType: 'application/gzip', test: buffer => hasBytes(buffer, 0, [0x1F, 0x8B]) },
+  { mimeType: 'audio/wav', test: buffer => hasBytes(buffer, 0, 'RIFF') && hasBytes(buffer, 8, 'WAVE') },
+  { mimeType: 'audio/ogg', test: buffer => hasBytes(buffer, 0, 'OggS') },
+  { mimeType: 'audio/flac', test: buffer => hasBytes(buffer, 0, 'fLaC') },
+  { mimeType: 'audio/mpeg', test: buffer => hasBytes(buffer, 0, 'ID3') || (buffer.length > 1 && buffer[0] === 0xFF && (buffer[1] & 0xE6) === 0xE2) },
+  { mimeType: 'audio/mp4', test: buffer => readFtypBrands(buffer).some(brand => brand === 'M4A ' || brand === 'M4B ') },
+  { mimeType: 'video/mp4', test: buffer => readFtypBrands(buffer).some(brand => ['isom', 'iso2', 'mp41', 'mp42', 'avc1'].includes(brand)) },
+  { mimeType: 'video/webm', test: buffer => hasBytes(buffer, 0, [0x1A, 0x45, 0xDF, 0xA3]) }
+];
+
+// MIME types that name the same format, mapped to one canonical name
+const mimeTypeAliases = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/ico': 'image/x-icon',
+  'image/vnd.microsoft.icon': 'image/x-icon',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/heif-sequence': 'image/heif',
+  'image/heic-sequence': 'image/heic',
+  'image/x-png': 'image/png',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'application/x-zip-compressed': 'application/zip',
+  'application/font-woff': 'font/woff'
+};
+
+/**
+ * Check whether a declared MIME type contradicts the type detected from the bytes
+ * @param {string|null} declaredType - The MIME type from the data URL
+ * @param {string|null} detectedType - The MIME type from the file signature
+ * @returns {boolean} - True if both are known and name different formats
+ */
+function isMimeTypeMismatch(declaredType, detectedType) {
+  if (!declaredType || !detectedType) {
+    return false;
+  }
+  const canonical = type => mimeTypeAliases[type] || type;
+  const declared = canonical(declaredType);
+  const detected = canonical(detectedType);
+  if (declared === detected) {
+    return false;
+  }
+  // APNG is a valid PNG, and HEIC is a HEIF brand
+  const compatible = [['image/png', 'image/apng'], ['image/heif', 'image/heic']];
+  return !compatible.some(([a, b]) => (declared === a && detected === b) || (declared === b && detected === a));
+}
+
+/**
+ * Decode image data and compare the declared MIME type against the file signature
+ * @param {string} input - The data URL or raw base64 data
+ * @returns {{buffer: Buffer, declaredType: string|null, detectedType: string|null, mimeType: string|null, mismatch: boolean}} -
+ *   The bytes, both types, the type to use (detected bytes win on a mismatch) and the mismatch flag
+ * @throws {Error} - If the input is malformed
+ */
+function analyzeImageData(input) {
+  const { buffer, mimeType: declaredType } = decodeImageData(input);
+  const detectedType = detectImageTypeFromBuffer(buffer);
+  const mismatch = isMimeTypeMismatch(declaredType, detectedType);
+  return {
+    buffer,
+    declaredType,
+    detectedType,
+    mimeType: mismatch ? detectedType : (declaredType || detectedType),
+    mismatch
+  };
+}
+
+/**
+ * Detect the file type from raw bytes using the signature table
+ * @param {Buffer} buffer - The decoded bytes
+ * @returns {string|null} - The detected MIME type or null if not recognized
+ */
+function detectImageTypeFromBuffer(buffer) {
+  const signature = FILE_SIGNATURES.find(entry => entry.test(buffer));
+  return signature ? signature.mimeType : null;
+}
+
+// CRC-32 lookup table for PNG chunk verification
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a byte range
+ * @param {Buffer} buffer - The bytes
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {number} - The unsigned CRC-32
+ */
+function crc32(buffer, start = 0, end = buffer.length) {
+  let crc = 0xFFFFFFFF;
+  for (let i = start; i < end; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// EXIF/TIFF tags reported by the metadata inspection
+const EXIF_TAGS = {
+  0x010F: 'make',
+  0x0110: 'model',
+  0x0112: 'orientation',
+  0x011A: 'xResolution',
+  0x011B: 'yResolution',
+  0x0128: 'resolutionUnit',
+  0x0131: 'software',
+  0x0132: 'dateTime',
+  0x829A: 'exposureTime',
+  0x829D: 'fNumber',
+  0x8827: 'iso',
+  0x9003: 'dateTimeOriginal',
+  0x920A: 'focalLength',
+  0xA434: 'lensModel',
+  0x0100: 'imageWidth',
+  0x0101: 'imageHeight',
+  0x0102: 'bitsPerSample',
+  0x0115: 'samplesPerPixel'
+};
+
+/**
+ * Parse the IFD0 (and Exif sub-IFD) entries of a TIFF structure
+ * @param {Buffer} buffer - The bytes containing the TIFF header
+ * @param {number} start - Offset of the TIFF header ("II*\0" or "MM\0*")
+ * @returns {Object} - Tag values keyed by the names in EXIF_TAGS
+ */
+function parseTiffTags(buffer, start) {
+  const tags = {};
+  if (start + 8 > buffer.length) {
+    return tags;
+  }
+  const littleEndian = buffer.toString('latin1', start, start + 2) === 'II';
+  const u16 = offset => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const u32 = offset => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+  
+  const readValue = (type, count, valueOffset) => {
+    const size = (typeSizes[type] || 1) * count;
+    const dataOffset = size > 4 ? start + u32(valueOffset) : valueOffset;
+    if (dataOffset + size > buffer.length) {
+      return undefined;
+    }
+    switch (type) {
+      case 2:
+        return buffer.toString('latin1', dataOffset, dataOffset + count).replace(/\0+$/, '').trim();
+      case 3:
+        return u16(dataOffset);
+      case 4:
+        return u32(dataOffset);
+      case 5:
+      case 10: {
+        const denominator = u32(dataOffset + 4);
+        return denominator ? u32(dataOffset) / denominator : undefined;
+      }
+      default:
+        return buffer[dataOffset];
+    }
+  };
+  
+  const readIfd = (ifdOffset, depth) => {
+    const offset = start + ifdOffset;
+    if (depth > 2 || offset + 2 > buffer.length) {
+      return;
+    }
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > buffer.length) {
+        return;
+      }
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      if (tag === 0x8769) {
+        readIfd(u32(entry + 8), depth + 1);
+      } else if (EXIF_TAGS[tag] && tags[EXIF_TAGS[tag]] === undefined) {
+        tags[EXIF_TAGS[tag]] = readValue(type, valueCount, entry + 8);
+      }
+    }
+  };
+  
+  readIfd(u32(start + 4), 0);
+  return tags;
+}
+
+/**
+ * Inspect PNG/APNG headers and chunk structure
+ * @param {Buffer} buffer - The PNG bytes
+ * @param {Object} info - Metadata record to fill in
+ */
+function inspectPng(buffer, info) {
+  const colorTypes = { 0: 'grayscale', 2: 'RGB', 3: 'palette', 4: 'grayscale+alpha', 6: 'RGBA' };
+  let offset = 8;
+  let sawEnd = false;
+  let hasTransparency = false;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const dataStart = offset + 8;
+    if (dataStart + length + 4 > buffer.length) {
+      info.issues.push(`truncated ${type} chunk`);
+      break;
+    }
+    if (crc32(buffer, offset + 4, dataStart + length) !== buffer.readUInt32BE(dataStart + length)) {
+      info.issues.push(`CRC mismatch in ${type} chunk`);
+    }
+    
+    if (type === 'IHDR' && length >= 13) {
+      info.width = buffer.readUInt32BE(dataStart);
+      info.height = buffer.readUInt32BE(dataStart + 4);
+      info.bitDepth = buffer[dataStart + 8];
+      info.colorType = colorTypes[buffer[dataStart + 9]] || `unknown (${buffer[dataStart + 9]})`;
+    } else if (type === 'tRNS') {
+      hasTransparency = true;
+    } else if (type === 'pHYs' && length >= 9 && buffer[dataStart + 8] === 1) {
+      // Pixels per metre
+      info.dpi = {
+        x: Math.round(buffer.readUInt32BE(dataStart) * 0.0254),
+        y: Math.round(buffer.readUInt32BE(dataStart + 4) * 0.0254)
+      };
+    } else if (type === 'acTL' && length >= 8) {
+      info.frames = buffer.readUInt32BE(dataStart);
+    } else if (type === 'eXIf') {
+      info.exif = parseTiffTags(buffer.subarray(dataStart, dataStart + length), 0);
+    } else if (type === 'IEND') {
+      sawEnd = true;
+      break;
+    }
+    offset = dataStart + length + 4;
+  }
+  
+  info.hasAlpha = ['grayscale+alpha', 'RGBA'].includes(info.colorType) || hasTransparency;
+  info.frames = info.frames || 1;
+  if (!sawEnd) {
+    info.issues.push('missing IEND chunk (truncated stream)');
+  }
+}
+
+/**
+ * Inspect JPEG segments: frame header, JFIF density, EXIF and end-of-image marker
+ * @param {Buffer} buffer - The JPEG bytes
+ * @param {Object} info - Metadata record to fill in
+ */
+function inspectJpeg(buffer, info) {
+  const componentNames = { 1: 'grayscale', 3: 'YCbCr', 4: 'CMYK' };
+  let offset = 2;
+  let sawScan = false;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      info.issues.push(`invalid marker at byte ${offset}`);
+      break;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+      offset += 2;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    const dataStart = offset + 4;
+    if (offset + 2 + length > buffer.length) {
+      info.issues.push('truncated segment');
+      return;
+    }
+    
+    const isFrameHeader = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+    if (isFrameHeader && length >= 8) {
+      info.bitDepth = buffer[dataStart];
+      info.height = buffer.readUInt16BE(dataStart + 1);
+      info.width = buffer.readUInt16BE(dataStart + 3);
+      info.colorType = componentNames[buffer[dataStart + 5]] || `${buffer[dataStart + 5]} components`;
+      if (marker === 0xC2) {
+        info.colorType += ' (progressive)';
+      }
+    } else if (marker === 0xE0 && buffer.toString('latin1', dataStart, dataStart + 5) === 'JFIF\0' && length >= 16) {
+      const units = buffer[dataStart + 7];
+      const x = buffer.readUInt16BE(dataStart + 8);
+      const y = buffer.readUInt16BE(dataStart + 10);
+      if (units === 1) {
+        info.dpi = { x, y };
+      } else if (units === 2) {
+        info.dpi = { x: Math.round(x * 2.54), y: Math.round(y * 2.54) };
+      }
+    } else if (marker === 0xE1 && buffer.toString('latin1', dataStart, dataStart + 6) === 'Exif\0\0') {
+      info.exif = parseTiffTags(buffer.subarray(dataStart + 6, offset + 2 + length), 0);
+    } else if (marker === 0xDA) {
+      sawScan = true;
+      break;
+    }
+    offset += 2 + length;
+  }
+  
+  info.hasAlpha = false;
+  info.frames = 1;
+  if (info.exif && !info.dpi && info.exif.xResolution && info.exif.resolutionUnit === 2) {
+    info.dpi = { x: Math.round(info.exif.xResolution), y: Math.round(info.exif.yResolution || info.exif.xResolution) };
+  }
+  if (!sawScan) {
+    info.issues.push('missing image data (no SOS segment)');
+  } else if (!(buffer[buffer.length - 2] === 0xFF && buffer[buffer.length - 1] === 0xD9) &&
+             buffer.lastIndexOf(Buffer.from([0xFF, 0xD9])) <= offset) {
+    info.issues.push('missing EOI marker (truncated stream)');
+  }
+}
+
+/**
+ * Inspect GIF logical screen and count image frames
+ * @param {Buffer} buffer - The GIF bytes
+ * @param {Object} info - Metadata record to fill in
+ */
+function inspectGif(buffer, info) {
+  if (buffer.length < 13) {
+    info.issues.push('truncated header');
+    return;
+  }
+  info.width = buffer.readUInt16LE(6);
+  info.height = buffer.readUInt16LE(8);
+  const packed = buffer[10];
+  info.bitDepth = (packed & 0x07) + 1;
+  info.colorType = 'palette';
+  info.hasAlpha = false;
+  info.frames = 0;
+  
+  let offset = 13 + (packed & 0x80 ? 3 * (1 << ((packed & 0x07) + 1)) : 0);
+  const skipSubBlocks = () => {
+    while (offset < buffer.length && buffer[offset] !== 0) {
+      offset += buffer[offset] + 1;
+    }
+    offset++;
+  };
+  
+  let sawTrailer = false;
+  while (offset < buffer.length) {
+    const block = buffer[offset];
+    if (block === 0x3B) {
+      sawTrailer = true;
+      break;
+    }
+    if (block === 0x21) {
+      // Graphic control extension carries the transparency flag
+      if (buffer[offset + 1] === 0xF9 && buffer[offset + 3] & 0x01) {
+        info.hasAlpha = true;
+      }
+      offset += 2;
+      skipSubBlocks();
+    } else if (block === 0x2C) {
+      info.frames++;
+      const localPacked = buffer[offset + 9];
+      offset += 10 + (localPacked & 0x80 ? 3 * (1 << ((localPacked & 0x07) + 1)) : 0);
+      offset++; // LZW minimum code size
+      skipSubBlocks();
+    } else {
+      info.issues.push(`unknown block 0x${block.toString(16)} at byte ${offset}`);
+      break;
+    }
+  }
+  if (!sawTrailer) {
+    info.issues.push('missing trailer (truncated stream)');
+  }
+}
+
+/**
+ * Inspect WebP chunks: VP8, VP8L or VP8X canvas, alpha and animation frames
+ * @param {Buffer} buffer - The WebP bytes
+ * @param {Object} info - Metadata record to fill in
+ */
+function inspectWebp(buffer, info) {
+  if (buffer.readUInt32LE(4) + 8 > buffer.length) {
+    info.issues.push('RIFF size exceeds the data (truncated stream)');
+  }
+  info.hasAlpha = false;
+  info.frames = 0;
+  info.bitDepth = 8;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const length = buffer.readUInt32LE(offset + 4);
+    const data = offset + 8;
+    if (data + length > buffer.length) {
+      info.issues.push(`truncated ${type.trim()} chunk`);
+      break;
+    }
+    if (type === 'VP8X' && length >= 10) {
+      info.hasAlpha = Boolean(buffer[data] & 0x10);
+      info.width = buffer.readUIntLE(data + 4, 3) + 1;
+      info.height = buffer.readUIntLE(data + 7, 3) + 1;
+    } else if (type === 'VP8 ' && length >= 10 && !info.width) {
+      info.width = buffer.readUInt16LE(data + 6) & 0x3FFF;
+      info.height = buffer.readUInt16LE(data + 8) & 0x3FFF;
+      info.colorType = 'lossy';
+    } else if (type === 'VP8L' && length >= 5 && !info.width) {
+      const bits = buffer.readUInt32LE(data + 1);
+      info.width = (bits & 0x3FFF) + 1;
+      info.height = ((bits >> 14) & 0x3FFF) + 1;
+      info.hasAlpha = info.hasAlpha || Boolean((bits >> 28) & 1);
+      info.colorType = 'lossless';
+    } else if (type === 'ALPH') {
+      info.hasAlpha = true;
+    } else if (type === 'ANMF') {
+      info.frames++;
+    } else if (type === 'EXIF') {
+      const tiffStart = buffer.toString('latin1', data, data + 6) === 'Exif\0\0' ? 6 : 0;
+      info.exif = parseTiffTags(buffer.subarray(data + tiffStart, data + length), 0);
+    }
+    if (type === 'VP8 ' || type === 'VP8L') {
+      info.colorType = info.colorType || (type === 'VP8L' ? 'lossless' : 'lossy');
+    }
+    offset = data + length + (length % 2);
+  }
+  info.frames = info.frames || 1;
+}
+
+/**
+ * Inspect simple fixed headers: BMP, TIFF, ICO/CUR, QOI, PSD, AVIF/HEIF and SVG
+ * @param {Buffer} buffer - The file bytes
+ * @param {string} mimeType - The detected MIME type
+ * @param {Object} info - Metadata record to fill in
+ */
+function inspectOtherFormats(buffer, mimeType, info) {
+  info.frames = 1;
+  if (mimeType === 'image/bmp' && buffer.length >= 30) {
+    info.width = buffer.readInt32LE(18);
+    info.height = Math.abs(buffer.readInt32LE(22));
+    info.bitDepth = buffer.readUInt16LE(28);
+    info.colorType = info.bitDepth <= 8 ? 'palette' : 'RGB';
+    info.hasAlpha = info.bitDepth === 32;
+    if (buffer.length >= 46 && buffer.readInt32LE(38) > 0) {
+      info.dpi = { x: Math.round(buffer.readInt32LE(38) * 0.0254), y: Math.round(buffer.readInt32LE(42) * 0.0254) };
+    }
+    if (buffer.readUInt32LE(2) > buffer.length) {
+      info.issues.push('file size in header exceeds the data (truncated stream)');
+    }
+  } else if (mimeType === 'image/tiff') {
+    const tags = parseTiffTags(buffer, 0);
+    info.width = tags.imageWidth;
+    info.height = tags.imageHeight;
+    info.bitDepth = tags.bitsPerSample;
+    info.hasAlpha = tags.samplesPerPixel === 2 || tags.samplesPerPixel === 4;
+    if (tags.xResolution && tags.resolutionUnit !== 1) {
+      const factor = tags.resolutionUnit === 3 ? 2.54 : 1;
+      info.dpi = { x: Math.round(tags.xResolution * factor), y: Math.round((tags.yResolution || tags.xResolution) * factor) };
+    }
+    delete tags.imageWidth;
+    delete tags.imageHeight;
+    delete tags.bitsPerSample;
+    delete tags.samplesPerPixel;
+    info.exif = tags;
+  } else if ((mimeType === 'image/x-icon' || mimeType === 'image/x-win-bitmap') && buffer.length >= 6) {
+    info.frames = buffer.readUInt16LE(4);
+    // Report the largest entry of the icon directory
+    for (let i = 0; i < info.frames && 6 + i * 16 + 16 <= buffer.length; i++) {
+      const entry = 6 + i * 16;
+      const width = buffer[entry] || 256;
+      if (!info.width || width > info.width) {
+        info.width = width;
+        info.height = buffer[entry + 1] || 256;
+        info.bitDepth = buffer.readUInt16LE(entry + 6) || undefined;
+      }
+      if (buffer.readUInt32LE(entry + 12) + buffer.readUInt32LE(entry + 8) > buffer.length) {
+        info.issues.push(`image ${i + 1} extends past the data (truncated stream)`);
+      }
+    }
+    info.hasAlpha = info.bitDepth === 32;
+  } else if (mimeType === 'image/qoi' && buffer.length >= 14) {
+    info.width = buffer.readUInt32BE(4);
+    info.height = buffer.readUInt32BE(8);
+    info.bitDepth = 8;
+    info.hasAlpha = buffer[12] === 4;
+    info.colorType = buffer[12] === 4 ? 'RGBA' : 'RGB';
+  } else if (mimeType === 'image/vnd.adobe.photoshop' && buffer.length >= 26) {
+    const modes = { 0: 'bitmap', 1: 'grayscale', 2: 'indexed', 3: 'RGB', 4: 'CMYK', 7: 'multichannel', 8: 'duotone', 9: 'Lab' };
+    const channels = buffer.readUInt16BE(12);
+    info.height = buffer.readUInt32BE(14);
+    info.width = buffer.readUInt32BE(18);
+    info.bitDepth = buffer.readUInt16BE(22);
+    info.colorType = modes[buffer.readUInt16BE(24)] || 'unknown';
+    info.hasAlpha = (info.colorType === 'RGB' && channels > 3) || (info.colorType === 'grayscale' && channels > 1);
+  } else if (['image/avif', 'image/heic', 'image/heif'].includes(mimeType)) {
+    const ispe = buffer.indexOf('ispe', 0, 'latin1');
+    if (ispe !== -1 && ispe + 16 <= buffer.length) {
+      info.width = buffer.readUInt32BE(ispe + 8);
+      info.height = buffer.readUInt32BE(ispe + 12);
+    }
+    const pixi = buffer.indexOf('pixi', 0, 'latin1');
+    if (pixi !== -1 && pixi + 10 <= buffer.length) {
+      info.bitDepth = buffer[pixi + 9];
+    }
+    info.hasAlpha = buffer.indexOf('urn:mpeg:mpegB:cicp:systems:auxiliary:alpha', 0, 'latin1') !== -1 ||
+      buffer.indexOf('urn:mpeg:hevc:2015:auxid', 0, 'latin1') !== -1;
+  } else if (mimeType === 'image/svg+xml') {
+    const root = buffer.toString('utf8').match(/<svg\b[^>]*>/i);
+    if (root) {
+      const attribute = name => (root[0].match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i')) || [])[1];
+      const viewBox = (attribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+      const width = parseFloat(attribute('width'));
+      const height = parseFloat(attribute('height'));
+      info.width = Number.isFinite(width) ? width : (viewBox.length === 4 ? viewBox[2] : undefined);
+      info.height = Number.isFinite(height) ? height : (viewBox.length === 4 ? viewBox[3] : undefined);
+    }
+    info.colorType = 'vector';
+    info.hasAlpha = true;
+    if (!/<\/svg\s*>\s*$/i.test(buffer.toString('utf8').trim())) {
+      info.issues.push('missing </svg> end tag (truncated document)');
+    }
+  }
+}
+
+/**
+ * Inspect image headers: dimensions, bit depth, color type, alpha, frames, DPI, EXIF and stream integrity
+ * @param {Buffer} buffer - The image bytes
+ * @param {string} mimeType - The detected MIME type
+ * @returns {Object} - width, height, bitDepth, colorType, hasAlpha, frames, dpi, exif and issues
+ *   (fields that do not apply or cannot be read are null)
+ */
+function inspectImageMetadata(buffer, mimeType) {
+  const info = { issues: [] };
+  try {
+    if (mimeType === 'image/png' || mimeType === 'image/apng') {
+      inspectPng(buffer, info);
+    } else if (mimeType === 'image/jpeg') {
+      inspectJpeg(buffer, info);
+    } else if (mimeType === 'image/gif') {
+      inspectGif(buffer, info);
+    } else if (mimeType === 'image/webp') {
+      inspectWebp(buffer, info);
+    } else {
+      inspectOtherFormats(buffer, mimeType, info);
+    }
+  } catch (error) {
+    // Reads past the end of a damaged header
+    info.issues.push(`corrupt header (${error.message})`);
+  }
+  
+  const exif = info.exif && Object.keys(info.exif).length ? info.exif : null;
+  return {
+    width: info.width ?? null,
+    height: info.height ?? null,
+    bitDepth: info.bitDepth ?? null,
+    colorType: info.colorType ?? null,
+    hasAlpha: info.hasAlpha ?? null,
+    frames: mimeType && mimeType.startsWith('image/') ? (info.frames ?? null) : null,
+    dpi: info.dpi ?? null,
+    exif,
+    issues: info.issues
+  };
+}
+
+/**
+ * Extract base64 data from a data URL or return as-is if it's already raw base64
+ * The result is normalized to the standard, padded base64 alphabet
+ * @param {string} input - The input string (data URL or raw base64)
+ * @returns {string} - The raw base64 data
+ * @throws {MalformedDataError} - If the data URL or base64 payload is malformed
+ */
+function extractBase64Data(input) {
+  return decodeImageData(input).buffer.toString('base64');
+}
+
+/**
+ * Decode a data URL or raw base64 string into image bytes and metadata
+ * The declared type of a data URL is overridden when the bytes say otherwise
+ * @param {string} input - The data URL or raw base64 data
+ * @returns {{buffer: Buffer, mimeType: string, extension: string, declaredType: string|null, detectedType: string|null, mismatch: boolean, size: number, sha256: string}} - The image
+ * @throws {MalformedDataError} - If the data URL or base64 payload is malformed
+ * @throws {UnsupportedImageError} - If the image type cannot be detected or has no file extension
+ */
+function decodeImage(input) {
+  const { buffer, mimeType, declaredType, detectedType, mismatch } = analyzeImageData(input);
+  if (!mimeType) {
+    throw new UnsupportedImageError('Could not detect image type from base64 data');
+  }
+  const extension = mimeToExtension[mimeType];
+  if (!extension) {
+    throw new UnsupportedImageError(`Unsupported image type: ${mimeType}`);
+  }
+  return {
+    buffer,
+    mimeType,
+    extension,
+    declaredType,
+    detectedType,
+    mismatch,
+    size: buffer.length,
+    sha256: createHash('sha256').update(buffer).digest('hex')
+  };
+}
+
+// What to do when an output file already exists
+const ON_CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
+
+// Placeholders of output name templates
+const NAME_TEMPLATE_FIELDS = ['hash', 'index', 'source', 'mime', 'ext', 'width', 'height', 'context'];
+
+/**
+ * Check an output name template for unknown placeholders
+ * @param {string} template - e.g. `{source}_{index}_{hash:8}`
+ * @returns {string[]} - The placeholder names used
+ * @throws {InvalidOptionError} - If a placeholder is unknown
+ */
+function validateNameTemplate(template) {
+  const fields = [...template.matchAll(/\{([^{}]*)\}/g)].map(match => match[1]);
+  for (const field of fields) {
+    const [name, length] = field.split(':');
+    if (!NAME_TEMPLATE_FIELDS.includes(name) || (length !== undefined && (name !== 'hash' || !/^[1-9]\d*$/.test(length)))) {
+      throw new InvalidOptionError(`Unknown placeholder {${field}} in name template, expected one of ${NAME_TEMPLATE_FIELDS.map(name => `{${name}}`).join(', ')}`);
+    }
+  }
+  return fields.map(field => field.split(':')[0]);
+}
+
+/**
+ * Make a template value safe to use inside a file name
+ * @param {*} value - The value
+ * @returns {string} - Letters, digits, `_` and `-` only, or `unknown` when empty
+ */
+function sanitizeNameValue(value) {
+  const safe = String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 64);
+  return safe || 'unknown';
+}
+
+/**
+ * Render an output name template for a decoded image
+ * `{hash}` is the SHA-256 of the image bytes (`{hash:8}` keeps the first 8 characters), `{width}`
+ * and `{height}` are read from the image header
+ * @param {string} template - The template, e.g. `{source}/{context}_{width}x{height}`
+ * @param {Object} image - The result of decodeImage
+ * @param {Object} fields - Values that depend on where the image was found
+ * @param {number} fields.index - 1-based position of the image in its source
+ * @param {string} fields.source - Name of the source (file name, host name, ...)
+ * @param {string|null} fields.context - The alt text, CSS selector or path of the image
+ * @returns {string} - The rendered file name; the extension is only present if the template has one
+ * @throws {InvalidOptionError} - If the template has an unknown placeholder
+ */
+function renderNameTemplate(template, image, fields = {}) {
+  const used = validateNameTemplate(template);
+  const metadata = used.includes('width') || used.includes('height') ? inspectImageMetadata(image.buffer, image.mimeType) : {};
+  const values = {
+    hash: image.sha256,
+    index: fields.index,
+    source: fields.source,
+    mime: image.mimeType,
+    ext: image.extension,
+    width: metadata.width,
+    height: metadata.height,
+    context: fields.context
+  };
+  return template.replace(/\{([^{}]*)\}/g, (match, field) => {
+    const [name, length] = field.split(':');
+    const value = sanitizeNameValue(values[name]);
+    return length ? value.slice(0, Number(length)) : value;
+  });
+}
+
+/**
+ * Write bytes to a file, resolving an existing file with the conflict mode
+ * @param {string} outputPath - The output file path
+ * @param {Buffer} buffer - The bytes to write
+ * @param {string} onConflict - One of ON_CONFLICT_MODES: keep the existing file, replace it,
+ *   or write to the first free `<name>_<n><ext>`
+ * @returns {Promise<{outputPath: string, skipped: boolean}>} - The path written (or kept) and whether it was skipped
+ * @throws {InvalidOptionError} - If the conflict mode is unknown
+ */
+async function writeFileOnConflict(outputPath, buffer, onConflict = 'rename') {
+  const opened = await openFileOnConflict(outputPath, onConflict);
+  if (opened.handle) {
+    try {
+      await opened.handle.writeFile(buffer);
+    } finally {
+      await opened.handle.close();
+    }
+  }
+  return { outputPath: opened.outputPath, skipped: opened.skipped };
+}
+
+/**
+ * Create a file for writing, resolving an existing file with the conflict mode
+ * @param {string} outputPath - The output file path
+ * @param {string} onConflict - One of ON_CONFLICT_MODES: keep the existing file, replace it,
+ *   or create the first free `<name>_<n><ext>`
+ * @returns {Promise<{handle: FileHandle|null, outputPath: string, skipped: boolean}>} - The open file (null when
+ *   skipped), its path (or the kept one) and whether it was skipped
+ * @throws {InvalidOptionError} - If the conflict mode is unknown
+ */
+async function openFileOnConflict(outputPath, onConflict = 'rename') {
+  if (!ON_CONFLICT_MODES.includes(onConflict)) {
+    throw new InvalidOptionError(`Unknown conflict mode "${onConflict}", expected one of ${ON_CONFLICT_MODES.join(', ')}`);
+  }
+  if (onConflict === 'overwrite') {
+    return { handle: await fs.open(outputPath, 'w'), outputPath, skipped: false };
+  }
+  
+  // The exclusive flag makes the check and the creation one step, so concurrent writers never share a name
+  const { dir, name, ext } = path.parse(outputPath);
+  for (let attempt = 1; ; attempt++) {
+    const candidate = attempt === 1 ? outputPath : path.join(dir, `${name}_${attempt}${ext}`);
+    try {
+      return { handle: await fs.open(candidate, 'wx'), outputPath: candidate, skipped: false };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (onConflict === 'skip') {
+        return { handle: null, outputPath, skipped: true };
+      }
+    }
+  }
+}
+
+// Output formats of transcodeImage (`jpg` is accepted as an alias of `jpeg`)
+const TRANSCODE_FORMATS = ['png', 'jpeg', 'webp'];
+
+// Formats whose pixels can be decoded for transcoding, by MIME type
+const PIXEL_FORMATS = {
+  'image/png': 'png',
+  'image/apng': 'png',
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'image/tiff': 'tiff'
+};
+
+// Quality of lossy output when --quality is not given
+const DEFAULT_QUALITY = 85;
+
+// WebP codec (WebAssembly), compiled on first use
+let webpCodec = null;
+
+/**
+ * Load the WebP encoder and decoder from @jsquash/webp
+ * The WebAssembly modules are read from the package directory, so no network access is needed
+ * @returns {Promise<{encode: Function, decode: Function}>} - The codec functions
+ */
+function loadWebpCodec() {
+  if (!webpCodec) {
+    webpCodec = (async () => {
+      const packageDir = path.dirname(createRequire(import.meta.url).resolve('@jsquash/webp/package.json'));
+      const { default: encode, init: initEncode } = await import('@jsquash/webp/encode.js');
+      const { default: decode, init: initDecode } = await import('@jsquash/webp/decode.js');
+      // The encoder picks its SIMD build when the runtime supports it, the module must match
+      const simdBytes = await fs.readFile(path.join(packageDir, 'codec/enc/webp_enc_simd.wasm'));
+      const encoderBytes = WebAssembly.validate(simdBytes) ? simdBytes : await fs.readFile(path.join(packageDir, 'codec/enc/webp_enc.wasm'));
+      await initEncode(await WebAssembly.compile(encoderBytes));
+      await initDecode(await WebAssembly.compile(await fs.readFile(path.join(packageDir, 'codec/dec/webp_dec.wasm'))));
+      return { encode, decode };
+    })();
+  }
+  return webpCodec;
+}
+
+/**
+ * Validate transcoding options
+ * @param {Object|null} options - Transcoding options
+ * @param {string} options.to - Output format: `png`, `jpeg` (or `jpg`) or `webp`
+ * @param {number|string} options.quality - Quality of JPEG and WebP output, 1-100
+ * @param {number|string} options.maxWidth - Scale down to at most this width
+ * @param {number|string} options.maxHeight - Scale down to at most this height
+ * @param {boolean} options.stripMetadata - Remove EXIF, XMP, IPTC and text metadata
+ * @returns {Object|null} - The normalized options, or null when nothing is requested
+ * @throws {InvalidOptionError} - If a value is invalid
+ */
+function normalizeTranscodeOptions(options) {
+  const { to = null, quality = null, maxWidth = null, maxHeight = null, stripMetadata = false } = options || {};
+  const format = typeof to === 'string' ? to.toLowerCase().replace(/^jpg$/, 'jpeg') : to;
+  if (format !== null && !TRANSCODE_FORMATS.includes(format)) {
+    throw new InvalidOptionError(`Unknown output format "${to}", expected one of ${TRANSCODE_FORMATS.join(', ')}`);
+  }
+  const integer = (value, name, min, max) => {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new InvalidOptionError(`Invalid ${name} "${value}", expected an integer from ${min} to ${max}`);
+    }
+    return number;
+  };
+  const normalized = {
+    to: format,
+    quality: integer(quality, 'quality', 1, 100),
+    maxWidth: integer(maxWidth, 'maximum width', 1, 65535),
+    maxHeight: integer(maxHeight, 'maximum height', 1, 65535),
+    stripMetadata: Boolean(stripMetadata)
+  };
+  const requested = normalized.to || normalized.quality || normalized.maxWidth || normalized.maxHeight || normalized.stripMetadata;
+  return requested ? normalized : null;
+}
+
+/**
+ * Decode an image to 8-bit RGBA pixels (the first frame of animations)
+ * @param {Buffer} buffer - The image bytes
+ * @param {string} mimeType - The MIME type of the image
+ * @returns {Promise<{data: Uint8Array, width: number, height: number}>} - The pixels
+ * @throws {UnsupportedImageError} - If the format cannot be decoded
+ * @throws {MalformedDataError} - If the image data is damaged
+ */
+async function decodePixels(buffer, mimeType) {
+  const format = PIXEL_FORMATS[mimeType];
+  if (!format) {
+    throw new UnsupportedImageError(`Cannot transcode ${mimeType}, only PNG, JPEG, WebP, GIF, BMP and TIFF images can be decoded`);
+  }
+  try {
+    switch (format) {
+      case 'png': {
+        const { PNG } = await import('pngjs');
+        const { data, width, height } = PNG.sync.read(buffer);
+        return { data: new Uint8Array(data.buffer, data.byteOffset, data.length), width, height };
+      }
+      case 'jpeg': {
+        const { default: jpeg } = await import('jpeg-js');
+        const { data, width, height } = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { data, width, height };
+      }
+      case 'webp': {
+        const { decode } = await loadWebpCodec();
+        const { data, width, height } = await decode(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+        return { data: new Uint8Array(data.buffer, data.byteOffset, data.length), width, height };
+      }
+      case 'gif': {
+        const { GifReader } = await import('omggif');
+        const reader = new GifReader(buffer);
+        const data = new Uint8Array(reader.width * reader.height * 4);
+        reader.decodeAndBlitFrameRGBA(0, data);
+        return { data, width: reader.width, height: reader.height };
+      }
+      case 'bmp': {
+        const { default: bmp } = await import('bmp-js');
+        const { data, width, height, bitPP } = bmp.decode(buffer);
+        // bmp-js returns ABGR; only 32-bit bitmaps carry alpha
+        const rgba = new Uint8Array(width * height * 4);
+        for (let i = 0; i < rgba.length; i += 4) {
+          rgba[i] = data[i + 3];
+          rgba[i + 1] = data[i + 2];
+          rgba[i + 2] = data[i + 1];
+          rgba[i + 3] = bitPP === 32 ? data[i] : 255;
+        }
+        return { data: rgba, width, height };
+      }
+      default: {
+        const { default: UTIF } = await import('utif2');
+        const [ifd] = UTIF.decode(buffer);
+        UTIF.decodeImage(buffer, ifd);
+        return { data: UTIF.toRGBA8(ifd), width: ifd.width, height: ifd.height };
+      }
+    }
+  } catch (error) {
+    throw new MalformedDataError(`Could not decode ${mimeType} pixels: ${error.message}`);
+  }
+}
+
+/**
+ * Rotate and flip pixels as described by an EXIF orientation
+ * @param {{data: Uint8Array, width: number, height: number}} pixels - RGBA pixels
+ * @param {number} orientation - EXIF orientation, 1-8
+ * @returns {{data: Uint8Array, width: number, height: number}} - Upright pixels
+ */
+function orientPixels(pixels, orientation) {
+  if (!(orientation >= 2 && orientation <= 8)) {
+    return pixels;
+  }
+  const { data, width, height } = pixels;
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  // Source coordinates of each destination pixel
+  const sourceOf = {
+    2: (x, y) => [width - 1 - x, y],
+    3: (x, y) => [width - 1 - x, height - 1 - y],
+    4: (x, y) => [x, height - 1 - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [y, height - 1 - x],
+    7: (x, y) => [width - 1 - y, height - 1 - x],
+    8: (x, y) => [width - 1 - y, x]
+  }[orientation];
+  const out = new Uint8Array(data.length);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const [sx, sy] = sourceOf(x, y);
+      const from = (sy * width + sx) * 4;
+      const to = (y * outWidth + x) * 4;
+      out[to] = data[from];
+      out[to + 1] = data[from + 1];
+      out[to + 2] = data[from + 2];
+      out[to + 3] = data[from + 3];
+    }
+  }
+  return { data: out, width: outWidth, height: outHeight };
+}
+
+/**
+ * Size that fits within the limits with the same aspect ratio, never larger than the original
+ * @param {number} width - Original width
+ * @param {number} height - Original height
+ * @param {number|null} maxWidth - Width limit
+ * @param {number|null} maxHeight - Height limit
+ * @returns {{width: number, height: number}} - The new size
+ */
+function fitWithin(width, height, maxWidth, maxHeight) {
+  const scale = Math.min(1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Weights of the source pixels covered by each destination pixel along one axis (area averaging)
+ * @param {number} sourceLength - Source pixels on the axis
+ * @param {number} targetLength - Destination pixels on the axis
+ * @returns {Array<Array<[number, number]>>} - Per destination pixel: [source index, weight] pairs summing to 1
+ */
+function areaWeights(sourceLength, targetLength) {
+  const scale = sourceLength / targetLength;
+  const weights = [];
+  for (let i = 0; i < targetLength; i++) {
+    const start = i * scale;
+    const end = Math.min(sourceLength, (i + 1) * scale);
+    const pixel = [];
+    for (let s = Math.floor(start); s < Math.ceil(end); s++) {
+      pixel.push([s, (Math.min(end, s + 1) - Math.max(start, s)) / (end - start)]);
+    }
+    weights.push(pixel);
+  }
+  return weights;
+}
+
+/**
+ * Scale RGBA pixels down by area averaging
+ * Colors are weighted by alpha so transparent pixels do not darken the edges
+ * @param {{data: Uint8Array, width: number, height: number}} pixels - RGBA pixels
+ * @param {number} width - New width
+ * @param {number} height - New height
+ * @returns {{data: Uint8Array, width: number, height: number}} - The scaled pixels
+ */
+function resizePixels(pixels, width, height) {
+  const { data, width: sourceWidth, height: sourceHeight } = pixels;
+  const columns = areaWeights(sourceWidth, width);
+  const rows = areaWeights(sourceHeight, height);
+  
+  // Horizontal pass into premultiplied floats, then the vertical pass
+  const horizontal = new Float32Array(width * sourceHeight * 4);
+  for (let y = 0; y < sourceHeight; y++) {
+    for (let x = 0; x < width; x++) {
+      const to = (y * width + x) * 4;
+      for (const [s, weight] of columns[x]) {
+        const from = (y * sourceWidth + s) * 4;
+        const alpha = data[from + 3] * weight;
+        horizontal[to] += data[from] * alpha;
+        horizontal[to + 1] += data[from + 1] * alpha;
+        horizontal[to + 2] += data[from + 2] * alpha;
+        horizontal[to + 3] += alpha;
+      }
+    }
+  }
+  const out = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (const [s, weight] of rows[y]) {
+        const from = (s * width + x) * 4;
+        r += horizontal[from] * weight;
+        g += horizontal[from + 1] * weight;
+        b += horizontal[from + 2] * weight;
+        a += horizontal[from + 3] * weight;
+      }
+      const to = (y * width + x) * 4;
+      out[to] = a ? Math.round(r / a) : 0;
+      out[to + 1] = a ? Math.round(g / a) : 0;
+      out[to + 2] = a ? Math.round(b / a) : 0;
+      out[to + 3] = Math.round(a);
+    }
+  }
+  return { data: out, width, height };
+}
+
+/**
+ * Encode RGBA pixels
+ * JPEG has no alpha channel, so transparent pixels are composited onto white
+ * @param {{data: Uint8Array, width: number, height: number}} pixels - RGBA pixels
+ * @param {string} format - One of TRANSCODE_FORMATS
+ * @param {number} quality - Quality of JPEG and WebP output, 1-100
+ * @returns {Promise<Buffer>} - The encoded image
+ */
+async function encodePixels({ data, width, height }, format, quality) {
+  if (format === 'png') {
+    const { PNG } = await import('pngjs');
+    const opaque = data.every((value, i) => i % 4 !== 3 || value === 255);
+    const png = new PNG({ width, height });
+    png.data = Buffer.from(data.buffer, data.byteOffset, data.length);
+    return PNG.sync.write(png, { colorType: opaque ? 2 : 6 });
+  }
+  if (format === 'jpeg') {
+    const { default: jpeg } = await import('jpeg-js');
+    const flattened = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+      const alpha = data[i + 3] / 255;
+      flattened[i] = Math.round(data[i] * alpha + 255 * (1 - alpha));
+      flattened[i + 1] = Math.round(data[i + 1] * alpha + 255 * (1 - alpha));
+      flattened[i + 2] = Math.round(data[i + 2] * alpha + 255 * (1 - alpha));
+      flattened[i + 3] = 255;
+    }
+    return jpeg.encode({ data: flattened, width, height }, quality).data;
+  }
+  const { encode } = await loadWebpCodec();
+  const encoded = await encode({ data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width, height }, { quality });
+  return Buffer.from(encoded);
+}
+
+/**
+ * Remove metadata from PNG, JPEG and WebP bytes without re-encoding the pixels
+ * Drops EXIF, XMP, IPTC, comments and text chunks; color profiles are kept
+ * @param {Buffer} buffer - The image bytes
+ * @param {string} mimeType - The MIME type of the image
+ * @returns {Buffer} - The image without metadata, or the input for other formats
+ */
+function stripImageMetadata(buffer, mimeType) {
+  const format = PIXEL_FORMATS[mimeType];
+  if (format === 'png') {
+    const kept = [buffer.subarray(0, 8)];
+    for (let offset = 8; offset + 12 <= buffer.length;) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      const end = Math.min(buffer.length, offset + 12 + length);
+      if (!['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'].includes(type)) {
+        kept.push(buffer.subarray(offset, end));
+      }
+      offset = end;
+    }
+    return Buffer.concat(kept);
+  }
+  
+  if (format === 'jpeg') {
+    // APP0 (JFIF), APP2 (ICC profile) and APP14 (Adobe color transform) affect decoding and are kept
+    const kept = [buffer.subarray(0, 2)];
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+      const marker = buffer[offset + 1];
+      if (marker === 0xDA) {
+        break;
+      }
+      const end = Math.min(buffer.length, offset + 2 + buffer.readUInt16BE(offset + 2));
+      const isMetadata = marker === 0xFE || (marker >= 0xE1 && marker <= 0xEF && marker !== 0xE2 && marker !== 0xEE);
+      if (!isMetadata) {
+        kept.push(buffer.subarray(offset, end));
+      }
+      offset = end;
+    }
+    kept.push(buffer.subarray(offset));
+    return Buffer.concat(kept);
+  }
+  
+  if (format === 'webp') {
+    const kept = [];
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+      const type = buffer.toString('latin1', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      const end = Math.min(buffer.length, offset + 8 + size + (size % 2));
+      if (type === 'VP8X') {
+        const chunk = Buffer.from(buffer.subarray(offset, end));
+        // Clear the EXIF and XMP flags
+        chunk[8] &= ~0x0C;
+        kept.push(chunk);
+      } else if (type !== 'EXIF' && type !== 'XMP ') {
+        kept.push(buffer.subarray(offset, end));
+      }
+      offset = end;
+    }
+    const body = Buffer.concat(kept);
+    const header = Buffer.from(buffer.subarray(0, 12));
+    header.writeUInt32LE(body.length + 4, 4);
+    return Buffer.concat([header, body]);
+  }
+  
+  return buffer;
+}
+
+/**
+ * Convert, scale down and strip a decoded image before it is written
+ * Images are only re-encoded when `to` changes the format, `quality` is given for a format that can
+ * be written, or they exceed the size limits; otherwise the original bytes are kept (minus metadata
+ * with `stripMetadata`). Without `to`, GIF, BMP and TIFF images keep their format unless they must be
+ * scaled down (they are then written as PNG), and formats that cannot be decoded (SVG, ICO, ...) are
+ * passed through. Re-encoded images carry no metadata and JPEG EXIF orientation is applied to the pixels.
+ * @param {Object} image - The result of decodeImage
+ * @param {Object} options - Transcoding options (see normalizeTranscodeOptions)
+ * @returns {Promise<Object>} - The image with the new bytes, type, size and hash, plus `width`,
+ *   `height`, `originalMimeType`, `originalSize` and `transcoded` (false when only metadata was
+ *   stripped); the input when nothing had to change
+ * @throws {InvalidOptionError} - If an option is invalid
+ * @throws {UnsupportedImageError} - If the image has to be re-encoded but its format cannot be decoded
+ */
+async function transcodeImage(image, options = null) {
+  const settings = normalizeTranscodeOptions(options);
+  if (!settings) {
+    return image;
+  }
+  const sourceFormat = PIXEL_FORMATS[image.mimeType] || null;
+  if (!settings.to && !sourceFormat) {
+    return image;
+  }
+  const encodable = TRANSCODE_FORMATS.includes(sourceFormat);
+  const target = settings.to || (encodable ? sourceFormat : 'png');
+  const metadata = inspectImageMetadata(image.buffer, image.mimeType);
+  const orientation = sourceFormat === 'jpeg' ? Number(metadata.exif?.orientation) || 1 : 1;
+  
+  // Upright size from the header, so limits can be checked without decoding
+  let width = orientation >= 5 ? metadata.height : metadata.width;
+  let height = orientation >= 5 ? metadata.width : metadata.height;
+  const limited = settings.maxWidth || settings.maxHeight;
+  const oversized = limited && (!width || !height || (settings.maxWidth && width > settings.maxWidth) || (settings.maxHeight && height > settings.maxHeight));
+  // Dropping EXIF from a rotated JPEG would turn it sideways, so its pixels are turned instead
+  const reencode = (settings.to && target !== sourceFormat) || (encodable && settings.quality !== null) || oversized ||
+    (settings.stripMetadata && orientation !== 1);
+  
+  let buffer;
+  if (reencode) {
+    let pixels = orientPixels(await decodePixels(image.buffer, image.mimeType), orientation);
+    ({ width, height } = fitWithin(pixels.width, pixels.height, settings.maxWidth, settings.maxHeight));
+    if (width !== pixels.width || height !== pixels.height) {
+      pixels = resizePixels(pixels, width, height);
+    }
+    buffer = await encodePixels(pixels, target, settings.quality ?? DEFAULT_QUALITY);
+  } else if (settings.stripMetadata && encodable) {
+    buffer = stripImageMetadata(image.buffer, image.mimeType);
+  } else {
+    return image;
+  }
+  
+  const mimeType = reencode ? `image/${target}` : image.mimeType;
+  return {
+    ...image,
+    buffer,
+    mimeType,
+    extension: mimeToExtension[mimeType],
+    size: buffer.length,
+    sha256: createHash('sha256').update(buffer).digest('hex'),
+    width: width ?? null,
+    height: height ?? null,
+    originalMimeType: image.mimeType,
+    originalSize: image.size,
+    transcoded: reencode
+  };
+}
+
+// Attributes holding URLs that are loaded or followed, in SVG and in HTML inside <foreignObject>
+const SVG_URL_ATTRIBUTES = ['href', 'xlink:href', 'src', 'action', 'formaction', 'data', 'poster', 'background'];
+
+// Attributes whose value is a whole HTML document, e.g. `<iframe srcdoc="&lt;script&gt;...">`
+const SVG_DOCUMENT_ATTRIBUTES = ['srcdoc'];
+
+// Animation attributes that can set another attribute, e.g. `<set attributeName="href" to="javascript:...">`
+const SVG_ANIMATION_ATTRIBUTES = ['to', 'from', 'values', 'by'];
+
+/**
+ * Normalize an attribute value for a URL scheme check: decode character references and drop
+ * whitespace and control characters, which browsers ignore in a scheme
+ * @param {string} value - The raw attribute value
+ * @returns {string} - The lowercased URL
+ */
+function normalizeSvgUrl(value) {
+  return decodeHtmlSegment(value, 0, value.length).text.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+}
+
+/**
+ * Check whether a URL runs script when followed
+ * @param {string} url - A URL normalized with normalizeSvgUrl
+ * @returns {boolean} - True for `javascript:`, `vbscript:` and non-image data URLs
+ */
+function isScriptUrl(url) {
+  return /^(?:javascript|vbscript):/.test(url) || (url.startsWith('data:') && !url.startsWith('data:image/'));
+}
+
+/**
+ * Check whether a URL points outside the SVG document
+ * @param {string} url - A URL normalized with normalizeSvgUrl
+ * @returns {boolean} - True unless the URL is a fragment (`#id`), an image data URL or empty
+ */
+function isExternalUrl(url) {
+  return url !== '' && !url.startsWith('#') && !url.startsWith('data:image/');
+}
+
+/**
+ * Remove `@import` rules and external `url(...)` references from CSS
+ * External URLs are replaced by `none`, which is valid wherever a URL is
+ * @param {string} css - Style sheet or style attribute text
+ * @param {string} where - Where the CSS is, for the report (e.g. `<style>`, `style of <rect>`)
+ * @param {string[]} removed - Descriptions of removed content are appended here
+ * @returns {string} - The sanitized CSS
+ */
+function sanitizeSvgCss(css, where, removed) {
+  return css
+    .replace(/@import\s+[^;]*;?/gi, rule => {
+      removed.push(`@import in ${where}: ${rule.trim()}`);
+      return '';
+    })
+    .replace(/url\(\s*(["']?)([^"')]*)\1\s*\)/gi, (reference, quote, url) => {
+      const normalized = normalizeSvgUrl(url);
+      if (!isExternalUrl(normalized) && !isScriptUrl(normalized)) {
+        return reference;
+      }
+      removed.push(`external reference in ${where}: ${url}`);
+      return 'none';
+    });
+}
+
+/**
+ * Remove script and external references from SVG markup
+ * Strips `<script>` and `<foreignObject>` elements, DOCTYPE internal subsets with their entity declarations,
+ * event handler and `srcdoc` attributes, `javascript:` URLs, `@import` rules and references to external
+ * resources (`href`, `src`, CSS `url(...)`). Links of `<a>` elements may still point to other pages, but
+ * not to `javascript:` or `data:` URLs; fragment and image data URLs are kept elsewhere.
+ * @param {string} svg - The SVG markup
+ * @returns {{svg: string, removed: string[]}} - The sanitized markup and a description of everything removed
+ */
+function sanitizeSvg(svg) {
+  const removed = [];
+  let result = svg
+    // Entities declared in the DOCTYPE expand to markup the other passes never see
+    .replace(/(<!DOCTYPE\b(?:[^>\["']|"[^"]*"|'[^']*')*?)\s*\[(?:[^\]"']|"[^"]*"|'[^']*')*\]\s*>/gi, (doctype, start) => {
+      removed.push('DOCTYPE internal subset');
+      return `${start}>`;
+    })
+    .replace(/<!ENTITY\b(?:[^>"']|"[^"]*"|'[^']*')*>?/gi, () => {
+      removed.push('<!ENTITY> declaration');
+      return '';
+    })
+    // HTML embedded in <foreignObject> can hold frames, objects and forms of its own
+    .replace(/<((?:[\w-]+:)?foreignObject)\b(?:[^>"']|"[^"]*"|'[^']*')*?(?:\/>|>[\s\S]*?<\/\1\s*>)/gi, () => {
+      removed.push('<foreignObject> element');
+      return '';
+    })
+    .replace(/<(?:[\w-]+:)?foreignObject\b[\s\S]*$/i, () => {
+      removed.push('<foreignObject> element');
+      return '';
+    })
+    .replace(/<((?:[\w-]+:)?script)\b(?:[^>"']|"[^"]*"|'[^']*')*?(?:\/>|>[\s\S]*?<\/\1\s*>)/gi, () => {
+      removed.push('<script> element');
+      return '';
+    })
+    // An unterminated script runs to the end of the document
+    .replace(/<(?:[\w-]+:)?script\b[\s\S]*$/i, () => {
+      removed.push('<script> element');
+      return '';
+    })
+    .replace(/(<(?:[\w-]+:)?style\b[^>]*>)([\s\S]*?)(<\/(?:[\w-]+:)?style\s*>)/gi,
+      (element, open, css, close) => open + sanitizeSvgCss(css, '<style>', removed) + close);
+  
+  result = result.replace(/<([A-Za-z][\w:.-]*)((?:\s+[^\s=\/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)(\s*\/?>)/g, (tag, name, attributes, end) => {
+    const element = name.toLowerCase();
+    const sanitized = attributes.replace(/(\s+)([^\s=\/>]+)(?:(\s*=\s*)("[^"]*"|'[^']*'|[^\s"'>]+))?/g, (attribute, space, attributeName, equals, quotedValue) => {
+      const key = attributeName.toLowerCase();
+      const value = quotedValue === undefined ? '' : quotedValue.replace(/^(["'])([\s\S]*)\1$/, '$2');
+      const url = normalizeSvgUrl(value);
+      if (key.startsWith('on') || SVG_DOCUMENT_ATTRIBUTES.includes(key)) {
+        removed.push(`${key} attribute of <${element}>`);
+        return '';
+      }
+      if (SVG_URL_ATTRIBUTES.includes(key) || SVG_ANIMATION_ATTRIBUTES.includes(key)) {
+        // A followed link may not open a data URL either, whatever its type
+        if (isScriptUrl(url) || (SVG_ANIMATION_ATTRIBUTES.includes(key) && /(?:javascript|vbscript):/.test(url)) ||
+          (element === 'a' && url.startsWith('data:'))) {
+          removed.push(`script URL in ${key} of <${element}>: ${value}`);
+          return '';
+        }
+        if (SVG_URL_ATTRIBUTES.includes(key) && element !== 'a' && isExternalUrl(url)) {
+          removed.push(`external reference in ${key} of <${element}>: ${value}`);
+          return '';
+        }
+      }
+      if (/url\(|@import/i.test(value)) {
+        const css = sanitizeSvgCss(value, `${key} of <${element}>`, removed);
+        if (css !== value) {
+          return `${space}${attributeName}${equals}${quotedValue[0] === '"' || quotedValue[0] === "'" ? quotedValue[0] + css + quotedValue[0] : `"${css}"`}`;
+        }
+      }
+      return attribute;
+    });
+    return `<${name}${sanitized}${end}`;
+  });
+  return { svg: result, removed };
+}
+
+/**
+ * Sanitize a decoded SVG image (see sanitizeSvg); other images are returned unchanged
+ * @param {Object} image - The result of decodeImage or transcodeImage
+ * @returns {Object} - The image with the sanitized bytes, size and hash, plus `sanitized` listing what was removed
+ */
+function sanitizeSvgImage(image) {
+  if (image.mimeType !== 'image/svg+xml') {
+    return image;
+  }
+  const { svg, removed } = sanitizeSvg(image.buffer.toString('utf8'));
+  if (removed.length === 0) {
+    return { ...image, sanitized: [] };
+  }
+  const buffer = Buffer.from(svg, 'utf8');
+  return {
+    ...image,
+    buffer,
+    size: buffer.length,
+    sha256: createHash('sha256').update(buffer).digest('hex'),
+    sanitized: removed
+  };
+}
+
+/**
+ * Write a decoded image to a file
+ * @param {Object} image - The result of decodeImage
+ * @param {string|null} outputPath - The output file path; the extension is added when missing
+ *   and missing directories are created (default: `image_<timestamp>.<ext>` in the working directory)
+ * @param {Object} options - Write options
+ * @param {string} options.onConflict - One of ON_CONFLICT_MODES (default: `rename`)
+ * @returns {Promise<Object>} - The image metadata without the buffer, plus `outputPath` and `skipped`
+ * @throws {InvalidOptionError} - If the conflict mode is unknown
+ */
+async function writeImage({ buffer, ...image }, outputPath = null, options = {}) {
+  if (!outputPath) {
+    outputPath = `image_${Date.now()}.${image.extension}`;
+  } else if (!path.parse(outputPath).ext) {
+    outputPath = `${outputPath}.${image.extension}`;
+  }
+  
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  const written = await writeFileOnConflict(outputPath, buffer, options.onConflict);
+  return { ...image, ...written };
+}
+
+/**
+ * Decode an image, optionally transcode or sanitize it, and write it to a file
+ * @param {string} input - The data URL or raw base64 data
+ * @param {string|null} outputPath - The output file path (see writeImage)
+ * @param {Object} options - Write options (see writeImage)
+ * @param {Object} options.transcode - Transcoding options (see transcodeImage)
+ * @param {boolean} options.sanitizeSvg - Remove scripts and external references from SVG images (see sanitizeSvg)
+ * @returns {Promise<Object>} - The image metadata of decodeImage (or transcodeImage) without the buffer, plus
+ *   `outputPath`, `skipped` and, with `sanitizeSvg`, `sanitized`
+ * @throws {MalformedDataError|UnsupportedImageError} - If the data cannot be decoded
+ */
+async function saveImage(input, outputPath = null, options = {}) {
+  const image = await transcodeImage(decodeImage(input), options.transcode);
+  return writeImage(options.sanitizeSvg ? sanitizeSvgImage(image) : image, outputPath, options);
+}
+
+/**
+ * Decode an image and read its metadata without saving it
+ * @param {string} input - The data URL or raw base64 data
+ * @returns {Object} - Type, size and hash of the data plus the fields of inspectImageMetadata
+ * @throws {MalformedDataError} - If the data URL or base64 payload is malformed
+ */
+function inspectImage(input) {
+  const { buffer, mimeType, declaredType, detectedType, mismatch } = analyzeImageData(input);
+  return {
+    mimeType,
+    declaredType,
+    detectedType,
+    mismatch,
+    extension: mimeToExtension[mimeType] || null,
+    size: buffer.length,
+    sha256: createHash('sha256').update(buffer).digest('hex'),
+    ...(mimeType ? inspectImageMetadata(buffer, mimeType) : { issues: [] })
+  };
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports `*`, `**`, `?` and `{a,b}` alternatives
+ * @param {string} pattern - The glob pattern (forward slashes)
+ * @returns {RegExp} - A regular expression matching the whole path
+ */
+function globToRegExp(pattern) {
+  let regex = '';
+  let inGroup = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches everything
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i++;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      regex += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      regex += ')';
+    } else if (char === ',' && inGroup) {
+      regex += '|';
+    } else {
+      regex += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Recursively list all files below a directory
+ * A subdirectory removed while it is walked is skipped
+ * @param {string} dir - The directory to walk
+ * @param {function(string, string): boolean} skipDirectory - Called with the name and path of each subdirectory; return true to skip it
+ * @returns {Promise<string[]>} - Array of file paths
+ */
+async function walkDirectory(dir, skipDirectory = () => false) {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!skipDirectory(entry.name, entryPath)) {
+        files.push(...await walkDirectory(entryPath, skipDirectory).catch(error => {
+          if (error.code === 'ENOENT') {
+            return [];
+          }
+          throw error;
+        }));
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand a file path, directory or glob pattern into a list of files
+ * Directories expand to the image files directly inside them
+ * @param {string} input - File path, directory path or glob pattern
+ * @returns {Promise<string[]>} - Array of matching file paths
+ */
+async function expandInputPaths(input) {
+  const stats = await fs.stat(input).catch(() => null);
+  if (stats && stats.isFile()) {
+    return [input];
+  }
+  if (stats && stats.isDirectory()) {
+    const imageExtensions = new Set(Object.values(mimeToExtension).concat('jpeg', 'tif'));
+    const entries = await fs.readdir(input, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile() && imageExtensions.has(path.extname(entry.name).slice(1).toLowerCase()))
+      .map(entry => path.join(input, entry.name))
+      .sort();
+  }
+  
+  // Treat as a glob: walk from the longest static directory prefix
+  const normalized = input.split(path.sep).join('/');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(segment => /[*?{]/.test(segment));
+  if (firstGlob === -1) {
+    throw new B64icError(`No such file or directory: ${input}`);
+  }
+  const baseDir = segments.slice(0, firstGlob).join('/') || '.';
+  const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+  const files = await walkDirectory(baseDir).catch(() => []);
+  return files
+    .filter(file => matcher.test(path.relative(baseDir, file).split(path.sep).join('/')))
+    .sort();
+}
+
+/**
+ * Watch a directory tree by polling it, and report files that are new or changed once they are complete
+ * A file is only reported after its size and modification time stayed the same for `debounce` ms,
+ * so files still being written are not read half way. Files that disappear are forgotten, and
+ * reported again if they come back.
+ * @param {string} root - The directory to watch
+ * @param {Object} options - Watch options
+ * @param {string[]} options.include - Globs of the paths (relative to root) to report (default: every file)
+ * @param {string[]} options.exclude - Globs of paths never to report
+ * @param {string[]} options.ignoreDirectories - Directories that are not entered, e.g. an output directory
+ * @param {number} options.interval - Milliseconds between two polls (default 500)
+ * @param {number} options.debounce - Milliseconds a file must stay unchanged before it is reported (default 1000)
+ * @param {boolean} options.ignoreInitial - Only report files created or changed after the first poll
+ * @param {function(string): Promise<void>} options.onFile - Called with each complete file, one file at a time
+ * @param {AbortSignal} options.signal - Stops watching
+ * @returns {Promise<void>} - Resolves once the signal has aborted
+ * @throws {Error} - If the root cannot be read
+ */
+async function watchFiles(root, options = {}) {
+  const { include = [], exclude = [], ignoreDirectories = [], interval = 500, debounce = 1000, ignoreInitial = false, onFile, signal } = options;
+  const includePatterns = include.map(globToRegExp);
+  const excludePatterns = exclude.map(globToRegExp);
+  const ignored = ignoreDirectories.map(dir => path.resolve(dir));
+  const isWatched = relative => (includePatterns.length === 0 || includePatterns.some(pattern => pattern.test(relative))) &&
+    !excludePatterns.some(pattern => pattern.test(relative));
+  
+  // Path → last seen size and mtime, when they last changed and whether that state was reported
+  const known = new Map();
+  for (let poll = 0; !signal || !signal.aborted; poll++) {
+    const files = await walkDirectory(root, (name, dirPath) => ignored.includes(path.resolve(dirPath)));
+    const now = Date.now();
+    const present = new Set();
+    for (const file of files) {
+      if (!isWatched(path.relative(root, file).split(path.sep).join('/'))) {
+        continue;
+      }
+      // The file may be gone already
+      const stats = await fs.stat(file).catch(() => null);
+      if (!stats) {
+        continue;
+      }
+      present.add(file);
+      const entry = known.get(file);
+      if (!entry) {
+        known.set(file, { size: stats.size, mtimeMs: stats.mtimeMs, changedAt: now, reported: poll === 0 && ignoreInitial });
+      } else if (entry.size !== stats.size || entry.mtimeMs !== stats.mtimeMs) {
+        Object.assign(entry, { size: stats.size, mtimeMs: stats.mtimeMs, changedAt: now, reported: false });
+      }
+    }
+    for (const file of known.keys()) {
+      if (!present.has(file)) {
+        known.delete(file);
+      }
+    }
+    
+    for (const [file, entry] of known) {
+      if (!entry.reported && now - entry.changedAt >= debounce && !(signal && signal.aborted)) {
+        entry.reported = true;
+        await onFile(file);
+      }
+    }
+    
+    await new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', wake);
+        }
+        resolve();
+      };
+      const timer = setTimeout(wake, interval);
+      if (signal) {
+        signal.addEventListener('abort', wake, { once: true });
+      }
+    });
+  }
+}
+
+/**
+ * Wrap a string into lines of a fixed width
+ * @param {string} text - The text to wrap
+ * @param {number} width - Line width, 0 disables wrapping
+ * @returns {string} - The wrapped text
+ */
+function wrapText(text, width) {
+  if (!width || width <= 0) {
+    return text;
+  }
+  const lines = [];
+  for (let i = 0; i < text.length; i += width) {
+    lines.push(text.slice(i, i + width));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Encode image bytes as base64 in the requested output format
+ * @param {Buffer} buffer - The image bytes
+ * @param {string} mimeType - The MIME type of the image
+ * @param {Object} options - Encoding options
+ * @param {string} options.format - One of `base64`, `dataurl`, `css` or `img`
+ * @param {number} options.wrap - Wrap the base64 payload at this many characters; in the `css` format
+ *   the line breaks are escaped, as a CSS string cannot hold a raw line break
+ * @param {string} options.alt - Alt text for the `img` format
+ * @returns {string} - The encoded output
+ */
+function encodeImageBuffer(buffer, mimeType, options = {}) {
+  const { format = 'dataurl', wrap = 0, alt = '' } = options;
+  const base64 = wrapText(buffer.toString('base64'), wrap);
+  const dataUrl = `data:${mimeType};base64,${base64}`;
+  
+  switch (format) {
+    case 'base64':
+      return base64;
+    case 'dataurl':
+      return dataUrl;
+    case 'css':
+      return `url("${dataUrl.replace(/\n/g, '\\\n')}")`;
+    case 'img':
+      return `<img src="${dataUrl}" alt="${alt.replace(/"/g, '&quot;')}">`;
+    default:
+      throw new InvalidOptionError(`Unknown encode format: ${format}`);
+  }
+}
+
+/**
+ * Read an image file and encode it as base64
+ * @param {string} filePath - The image file to encode
+ * @param {Object} options - Encoding options, see encodeImageBuffer
+ * @returns {Promise<{output: string, mimeType: string, size: number}>} - The encoded image
+ */
+async function encodeImageFile(filePath, options = {}) {
+  const buffer = await fs.readFile(filePath);
+  
+  // Prefer the file signature, fall back to the file extension
+  let mimeType = detectImageTypeFromBuffer(buffer);
+  if (!mimeType) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    mimeType = Object.keys(mimeToExtension).find(mime => mimeToExtension[mime] === extension) || null;
+  }
+  if (!mimeType) {
+    throw new UnsupportedImageError(`Could not detect image type of ${filePath}`);
+  }
+  
+  const output = encodeImageBuffer(buffer, mimeType, { ...options, alt: options.alt ?? path.parse(filePath).name });
+  return { output, mimeType, size: buffer.length };
+}
+
+/**
+ * Parse a human readable size such as `500`, `64k`, `1.5MB` into bytes
+ * @param {string} value - The size string
+ * @returns {number} - The size in bytes
+ */
+function parseSize(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb?|mb?|gb?)?$/i);
+  if (!match) {
+    throw new InvalidOptionError(`Invalid size: ${value}`);
+  }
+  const multipliers = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  const unit = (match[2] || 'b')[0].toLowerCase();
+  return Math.round(parseFloat(match[1]) * multipliers[unit]);
+}
+
+/**
+ * Rewrite the image URLs of a srcset attribute value
+ * @param {string} value - The srcset value
+ * @param {Function} replacer - Called with each URL, returns a replacement or null
+ * @returns {string} - The rewritten srcset value
+ */
+function rewriteSrcset(value, replacer) {
+  let result = '';
+  let i = 0;
+  while (i < value.length) {
+    const separator = value.slice(i).match(/^[\s,]*/)[0];
+    result += separator;
+    i += separator.length;
+    if (i >= value.length) {
+      break;
+    }
+    
+    let url = value.slice(i).match(/^\S+/)[0];
+    i += url.length;
+    // Trailing commas on a candidate URL are candidate separators
+    const trailing = url.match(/,*$/)[0];
+    url = url.slice(0, url.length - trailing.length);
+    result += (replacer(url) ?? url) + trailing;
+    
+    if (!trailing) {
+      const descriptor = value.slice(i).match(/^[^,]*/)[0];
+      result += descriptor;
+      i += descriptor.length;
+    }
+  }
+  return result;
+}
+
+/**
+ * Rewrite the `url(...)` references of a CSS snippet, keeping quoting and whitespace
+ * @param {string} css - The CSS content
+ * @param {Function} replacer - Called with each URL, returns a replacement or null
+ * @returns {string} - The rewritten CSS
+ */
+function rewriteCssUrls(css, replacer) {
+  return css.replace(/url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s]*))\s*\)/gi, (match, doubleQuoted, singleQuoted, bare) => {
+    const url = doubleQuoted ?? singleQuoted ?? bare;
+    const replacement = url ? replacer(url) : null;
+    if (replacement == null) {
+      return match;
+    }
+    const index = match.indexOf(url, 4);
+    return match.slice(0, index) + replacement + match.slice(index + url.length);
+  });
+}
+
+/**
+ * Rewrite image references in HTML or CSS content
+ * Covers `<img>`/`<source>`/`<input>` src and srcset, `<link rel=icon>` href,
+ * style attributes and `<style>` blocks (or the whole file for CSS)
+ * @param {string} content - The HTML or CSS content
+ * @param {boolean} isCss - Whether the content is a stylesheet
+ * @param {Function} replacer - Called with each URL, returns a replacement or null
+ * @returns {string} - The rewritten content
+ */
+function rewriteImageReferences(content, isCss, replacer) {
+  if (isCss) {
+    return rewriteCssUrls(content, replacer);
+  }
+  
+  const withStyles = content.replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style\s*>)/gi,
+    (match, open, css, close) => open + rewriteCssUrls(css, replacer) + close);
+  
+  return withStyles.replace(/<([a-zA-Z][\w-]*)(\s[^>]*)?>/g, (tag, tagName, attributes) => {
+    if (!attributes) {
+      return tag;
+    }
+    const name = tagName.toLowerCase();
+    const relMatch = attributes.match(/\srel\s*=\s*["']?([^"'>]*)/i);
+    const isIconLink = name === 'link' && relMatch && /\bicon\b/i.test(relMatch[1]);
+    
+    const rewritten = attributes.replace(/(\s)([\w:-]+)(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g,
+      (match, space, attribute, equals, doubleQuoted, singleQuoted, bare) => {
+        const value = doubleQuoted ?? singleQuoted ?? bare;
+        const quote = doubleQuoted !== undefined ? '"' : singleQuoted !== undefined ? "'" : '';
+        const attr = attribute.toLowerCase();
+        let newValue = value;
+        
+        if (attr === 'style') {
+          // Quotes inside attribute values are usually written as entities
+          const decoded = value.replace(/&quot;/g, '"').replace(/&#0*39;|&apos;/g, "'");
+          const css = rewriteCssUrls(decoded, replacer);
+          newValue = css === decoded ? value : css.replace(quote === "'" ? /'/g : /"/g, quote === "'" ? '&#39;' : '&quot;');
+        } else if (attr === 'srcset' && ['img', 'source'].includes(name)) {
+          newValue = rewriteSrcset(value, replacer);
+        } else if (attr === 'src' && ['img', 'source', 'input'].includes(name)) {
+          newValue = replacer(value) ?? value;
+        } else if (attr === 'href' && isIconLink) {
+          newValue = replacer(value) ?? value;
+        }
+        
+        return newValue === value ? match : `${space}${attribute}${equals}${quote}${newValue}${quote}`;
+      });
+    
+    return `<${tagName}${rewritten}>`;
+  });
+}
+
+/**
+ * Resolve a document reference to a local file path
+ * @param {string} reference - The URL as written in the document
+ * @param {string} baseDir - Directory of the document
+ * @param {string} rootDir - Directory used for root-relative references
+ * @returns {string|null} - The local file path, or null for remote/data/fragment references
+ */
+function resolveLocalReference(reference, baseDir, rootDir) {
+  const trimmed = reference.trim();
+  if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+    return null;
+  }
+  let filePart = trimmed.replace(/[?#].*$/, '');
+  try {
+    filePart = decodeURIComponent(filePart);
+  } catch (error) {
+    // Leave malformed escapes as written
+  }
+  return filePart.startsWith('/')
+    ? path.join(rootDir, filePart)
+    : path.resolve(baseDir, filePart);
+}
+
+/**
+ * Inline linked local images of an HTML or CSS file as data URLs
+ * @param {string} inputPath - The HTML or CSS file
+ * @param {Object} options - Inline options
+ * @param {number} options.maxSize - Images larger than this many bytes stay linked
+ * @param {string} options.root - Directory for root-relative references
+ * @returns {Promise<{content: string, inlined: string[], skipped: string[], missing: string[]}>} - The rewritten document and a report
+ */
+async function inlineLocalImages(inputPath, options = {}) {
+  const content = await fs.readFile(inputPath, 'utf8');
+  const isCss = path.extname(inputPath).toLowerCase() === '.css';
+  const baseDir = path.dirname(path.resolve(inputPath));
+  const rootDir = options.root ? path.resolve(options.root) : baseDir;
+  const maxSize = options.maxSize ?? Infinity;
+  
+  // First pass collects the references, second pass substitutes the loaded data URLs
+  const references = new Set();
+  rewriteImageReferences(content, isCss, reference => {
+    references.add(reference);
+    return null;
+  });
+  
+  const dataUrls = new Map();
+  const inlined = [];
+  const skipped = [];
+  const missing = [];
+  for (const reference of references) {
+    const filePath = resolveLocalReference(reference, baseDir, rootDir);
+    if (!filePath) {
+      continue;
+    }
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      missing.push(reference);
+      continue;
+    }
+    if (stats.size > maxSize) {
+      skipped.push(reference);
+      continue;
+    }
+    try {
+      const { output } = await encodeImageFile(filePath, { format: 'dataurl' });
+      dataUrls.set(reference, output);
+      inlined.push(reference);
+    } catch (error) {
+      missing.push(reference);
+    }
+  }
+  
+  const rewritten = rewriteImageReferences(content, isCss, reference => dataUrls.get(reference) ?? null);
+  return { content: rewritten, inlined, skipped, missing };
+}
+
+/**
+ * Extract embedded images of an HTML or CSS document into an assets directory
+ * @param {string} content - The HTML or CSS content
+ * @param {string} assetsDir - Directory to write the extracted images to
+ * @param {string} documentDir - Directory the rewritten document will live in
+ * @param {Object} options - Extraction options
+ * @param {string} options.onConflict - One of ON_CONFLICT_MODES, for an existing file in the assets directory
+ *   (default `rename`; with `skip` the document links the kept file)
+ * @param {Object} options.transcode - Transcoding options for the written images (see transcodeImage)
+ * @param {boolean} options.sanitizeSvg - Remove scripts and external references from SVG images (see sanitizeSvg)
+ * @returns {Promise<{content: string, extracted: Object[], failed: Object[]}>} - The rewritten document,
+ *   the written images (saveImage results with their `location`) and the images that could not be decoded (`location`, `error`)
+ */
+async function extractAndRewriteDocument(content, assetsDir, documentDir, options = {}) {
+  const hits = scanHtmlForImages(content);
+  await fs.mkdir(assetsDir, { recursive: true });
+  
+  // Each distinct data URL is written once, every occurrence is rewritten
+  const relativePaths = new Map();
+  const failedDataUrls = new Set();
+  const extracted = [];
+  const failed = [];
+  for (const hit of hits) {
+    if (relativePaths.has(hit.dataUrl) || failedDataUrls.has(hit.dataUrl)) {
+      continue;
+    }
+    const location = describeImageLocation(hit);
+    try {
+      const image = await saveImage(hit.dataUrl, path.join(assetsDir, `image_${relativePaths.size + 1}`), { onConflict: options.onConflict || 'rename', transcode: options.transcode, sanitizeSvg: options.sanitizeSvg });
+      relativePaths.set(hit.dataUrl, path.relative(documentDir, image.outputPath).split(path.sep).map(encodeURIComponent).join('/'));
+      extracted.push({ ...image, location });
+    } catch (error) {
+      failedDataUrls.add(hit.dataUrl);
+      failed.push({ location, error: error.message });
+    }
+  }
+  
+  // Splice from the end so earlier source offsets stay valid
+  let rewritten = content;
+  for (const hit of [...hits].reverse()) {
+    if (relativePaths.has(hit.dataUrl)) {
+      rewritten = rewritten.slice(0, hit.start) + relativePaths.get(hit.dataUrl) + rewritten.slice(hit.end);
+    }
+  }
+  
+  return { content: rewritten, extracted, failed };
+}
+
+/**
+ * Extract the images of an email or mailbox into a directory and rewrite the HTML body of each
+ * message to use them
+ * Image parts are named after their file name or Content-ID (`image_<n>` otherwise); `cid:`
+ * references to them and data URLs in the HTML bodies are replaced by relative paths
+ * @param {string} content - The .eml or .mbox text
+ * @param {string} assetsDir - Directory to write the extracted images to
+ * @param {string} documentDir - Directory the rewritten HTML bodies will live in
+ * @param {Object} options - Extraction options
+ * @param {string} options.format - `eml` (default) or `mbox`
+ * @param {string} options.onConflict - One of ON_CONFLICT_MODES, for an existing file in the assets directory
+ *   (default `rename`; with `skip` the HTML bodies link the kept file)
+ * @param {Object} options.transcode - Transcoding options for the written images (see transcodeImage)
+ * @param {boolean} options.sanitizeSvg - Remove scripts and external references from SVG images (see sanitizeSvg)
+ * @returns {Promise<{documents: Array<{message: number, content: string}>, extracted: Object[], failed: Object[]}>} -
+ *   The rewritten HTML body of each message that has one (`message` is 1-based), the written images
+ *   (saveImage results with their `location`) and the images that could not be decoded (`location`, `error`)
+ */
+async function extractMimeDocument(content, assetsDir, documentDir, options = {}) {
+  const format = options.format || 'eml';
+  const lineStarts = computeLineStarts(content);
+  await fs.mkdir(assetsDir, { recursive: true });
+  
+  // Each distinct image is written once, under the first free name
+  const relativePaths = new Map();
+  const failedDataUrls = new Set();
+  const usedNames = new Set();
+  const extracted = [];
+  const failed = [];
+  const extract = async hit => {
+    if (relativePaths.has(hit.dataUrl) || failedDataUrls.has(hit.dataUrl)) {
+      return relativePaths.get(hit.dataUrl) || null;
+    }
+    const location = describeImageLocation(hit);
+    const base = hit.filename || hit.contentId ? sanitizeNameValue(describeImageContext(hit)) : `image_${extracted.length + 1}`;
+    let name = base;
+    for (let attempt = 2; usedNames.has(name); attempt++) {
+      name = `${base}_${attempt}`;
+    }
+    try {
+      const image = await saveImage(hit.dataUrl, path.join(assetsDir, name), { onConflict: options.onConflict || 'rename', transcode: options.transcode, sanitizeSvg: options.sanitizeSvg });
+      usedNames.add(name);
+      relativePaths.set(hit.dataUrl, path.relative(documentDir, image.outputPath).split(path.sep).map(encodeURIComponent).join('/'));
+      extracted.push({ ...image, location });
+      return relativePaths.get(hit.dataUrl);
+    } catch (error) {
+      failedDataUrls.add(hit.dataUrl);
+      failed.push({ location, error: error.message });
+      return null;
+    }
+  };
+  
+  const documents = [];
+  for (const [i, message] of readMimeMessages(content, format).entries()) {
+    // The first HTML part that is not an attached file is the body; Content-IDs are scoped to their message
+    const body = message.parts.find(part => part.type === 'text/html' && !part.filename);
+    const cids = new Map();
+    for (const part of message.parts.filter(part => part !== body)) {
+      for (const hit of scanMimePart(content, part, message.label, lineStarts, format)) {
+        const relativePath = await extract(hit);
+        if (relativePath && hit.contentId) {
+          cids.set(hit.contentId, relativePath);
+        }
+      }
+    }
+    if (!body) {
+      continue;
+    }
+    
+    let html;
+    try {
+      html = decodeMimeText(content, body);
+    } catch (error) {
+      failed.push({ location: `${message.label}part ${body.number || 1}`, error: error.message });
+      continue;
+    }
+    const hits = scanMimePart(content, body, message.label, lineStarts, format);
+    for (const hit of hits) {
+      await extract(hit);
+    }
+    // Splice from the end so earlier offsets stay valid, then resolve the cid: URLs
+    let rewritten = html;
+    for (const hit of [...hits].reverse()) {
+      if (relativePaths.has(hit.dataUrl)) {
+        rewritten = rewritten.slice(0, hit.start) + relativePaths.get(hit.dataUrl) + rewritten.slice(hit.end);
+      }
+    }
+    rewritten = rewritten.replace(/\bcid:([^\s"'()<>]+)/gi, (match, id) => {
+      let contentId = id;
+      try {
+        contentId = decodeURIComponent(id);
+      } catch (error) {
+        // Not percent-encoded, use it as written
+      }
+      return cids.get(contentId) || match;
+    });
+    documents.push({ message: i + 1, content: rewritten });
+  }
+  
+  return { documents, extracted, failed };
+}
+
+// Columns of a manifest, in CSV order
+const MANIFEST_FIELDS = ['source', 'index', 'location', 'declaredType', 'detectedType', 'mimeType', 'size',
+  'width', 'height', 'sha256', 'output', 'duplicate', 'skipped', 'error'];
+
+// Manifest columns holding numbers and booleans, converted back when a CSV manifest is read
+const MANIFEST_NUMBER_FIELDS = ['index', 'size', 'width', 'height'];
+const MANIFEST_BOOLEAN_FIELDS = ['duplicate', 'skipped'];
+
+/**
+ * Pick the manifest format from the file extension
+ * @param {string} filePath - The manifest path
+ * @returns {string} - `json` or `csv`
+ * @throws {InvalidOptionError} - If the extension is neither `.json` nor `.csv`
+ */
+function manifestFormat(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  if (extension !== 'json' && extension !== 'csv') {
+    throw new InvalidOptionError(`Manifest must be a .json or .csv file: ${filePath}`);
+  }
+  return extension;
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break (RFC 4180)
+ * @param {*} value - The field value
+ * @returns {string} - The CSV field
+ */
+function formatCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180: quoted fields may hold separators, quotes and line breaks)
+ * @param {string} content - The CSV text
+ * @returns {string[][]} - The rows
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Serialize manifest rows
+ * @param {Object[]} rows - Rows with the MANIFEST_FIELDS
+ * @param {string} format - `json` or `csv`
+ * @returns {string} - The manifest content
+ */
+function formatManifest(rows, format) {
+  const normalized = rows.map(row => Object.fromEntries(MANIFEST_FIELDS.map(field => [field, row[field] ?? null])));
+  if (format === 'json') {
+    return JSON.stringify(normalized, null, 2) + '\n';
+  }
+  const lines = [MANIFEST_FIELDS.join(',')];
+  normalized.forEach(row => lines.push(MANIFEST_FIELDS.map(field => formatCsvField(row[field])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a manifest written by formatManifest
+ * @param {string} content - The manifest content
+ * @param {string} format - `json` or `csv`
+ * @returns {Object[]} - The rows
+ * @throws {MalformedDataError} - If the content is not a manifest
+ */
+function parseManifest(content, format) {
+  if (format === 'json') {
+    let rows;
+    try {
+      rows = JSON.parse(content);
+    } catch (error) {
+      throw new MalformedDataError(`Manifest is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(rows)) {
+      throw new MalformedDataError('Manifest must be a JSON array of rows');
+    }
+    return rows;
+  }
+  
+  const [header, ...records] = parseCsv(content);
+  if (!header || !header.includes('output') || !header.includes('sha256')) {
+    throw new MalformedDataError('Manifest CSV must have a header with output and sha256 columns');
+  }
+  return records.filter(record => record.some(field => field !== '')).map(record => {
+    const row = {};
+    header.forEach((field, i) => {
+      const value = record[i] ?? '';
+      if (value === '') {
+        row[field] = null;
+      } else if (MANIFEST_NUMBER_FIELDS.includes(field)) {
+        row[field] = Number(value);
+      } else if (MANIFEST_BOOLEAN_FIELDS.includes(field)) {
+        row[field] = value === 'true';
+      } else {
+        row[field] = value;
+      }
+    });
+    return row;
+  });
+}
+
+/**
+ * Write a manifest file; output paths are stored relative to the manifest so it can be moved with the images
+ * @param {string} filePath - The manifest path, ending in `.json` or `.csv`
+ * @param {Object[]} rows - Rows with the MANIFEST_FIELDS, output paths relative to the working directory or absolute
+ * @returns {Promise<void>}
+ * @throws {InvalidOptionError} - If the extension is neither `.json` nor `.csv`
+ */
+async function writeManifest(filePath, rows) {
+  const format = manifestFormat(filePath);
+  const manifestDir = path.dirname(path.resolve(filePath));
+  const relativeRows = rows.map(row => ({
+    ...row,
+    output: row.output ? path.relative(manifestDir, path.resolve(row.output)).split(path.sep).join('/') : null
+  }));
+  await fs.mkdir(manifestDir, { recursive: true });
+  await fs.writeFile(filePath, formatManifest(relativeRows, format));
+}
+
+/**
+ * Check that the files listed in a manifest still hold the recorded images
+ * Each distinct output file is read once; rows without an output (failed images) are not checked
+ * @param {string} filePath - The manifest path, ending in `.json` or `.csv`
+ * @returns {Promise<Object[]>} - One result per file: `output` (as listed), `path` (resolved), `status`
+ *   (`ok`, `missing` or `modified`), expected and actual `sha256` and `size`
+ * @throws {InvalidOptionError|MalformedDataError} - If the manifest cannot be read
+ */
+async function verifyManifest(filePath) {
+  const rows = parseManifest(await fs.readFile(filePath, 'utf8'), manifestFormat(filePath));
+  const manifestDir = path.dirname(path.resolve(filePath));
+  const expected = new Map();
+  rows.filter(row => row.output && row.sha256).forEach(row => {
+    if (!expected.has(row.output)) {
+      expected.set(row.output, row);
+    }
+  });
+  
+  const results = [];
+  for (const [output, row] of expected) {
+    const filePathOnDisk = path.resolve(manifestDir, output);
+    const result = { output, path: filePathOnDisk, status: 'ok', expectedSha256: row.sha256, actualSha256: null, expectedSize: row.size, actualSize: null };
+    try {
+      const buffer = await fs.readFile(filePathOnDisk);
+      result.actualSha256 = createHash('sha256').update(buffer).digest('hex');
+      result.actualSize = buffer.length;
+      if (result.actualSha256 !== row.sha256) {
+        result.status = 'modified';
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      result.status = 'missing';
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Escape text for an HTML element or a double-quoted attribute
+ * @param {*} value - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtmlText(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an HTML contact sheet of extracted images
+ * Rows that reuse an earlier file (duplicates) are counted on that file's card instead of getting their own,
+ * and failed rows are listed below the grid
+ * @param {Object[]} rows - Rows with the MANIFEST_FIELDS, output paths relative to the working directory or absolute
+ * @param {Object} options - Rendering options
+ * @param {string} options.galleryDir - The directory the page will be written to; image links are relative to it
+ * @param {string} options.title - The page title
+ * @returns {string} - The HTML document
+ */
+function renderGallery(rows, { galleryDir = '.', title = 'Extracted images' } = {}) {
+  const cards = new Map();
+  rows.filter(row => row.output && !row.error).forEach(row => {
+    const output = path.resolve(row.output);
+    if (!cards.has(output)) {
+      cards.set(output, { row, duplicates: 0 });
+    } else if (row.duplicate) {
+      cards.get(output).duplicates++;
+    }
+  });
+  const failures = rows.filter(row => row.error);
+  
+  const items = [...cards].map(([output, { row, duplicates }]) => {
+    const href = path.relative(path.resolve(galleryDir), output).split(path.sep).map(encodeURIComponent).join('/');
+    const dimensions = row.width && row.height ? `${row.width}×${row.height}` : 'unknown size';
+    const details = [
+      `<dt>Source</dt><dd>${escapeHtmlText(row.source)}</dd>`,
+      `<dt>Location</dt><dd>${escapeHtmlText(row.location)}</dd>`,
+      `<dt>Type</dt><dd>${escapeHtmlText(row.mimeType)}, ${dimensions}, ${(row.size / 1024).toFixed(2)} KB</dd>`,
+      `<dt>Duplicates</dt><dd>${duplicates}</dd>`
+    ];
+    return `<figure>
+  <a href="${escapeHtmlText(href)}"><img src="${escapeHtmlText(href)}" alt="${escapeHtmlText(path.basename(output))}" loading="lazy"></a>
+  <figcaption><strong>${escapeHtmlText(path.basename(output))}</strong><dl>${details.join('')}</dl></figcaption>
+</figure>`;
+  });
+  const failed = failures.length === 0 ? '' : `
+<h2>Failed (${failures.length})</h2>
+<ul>
+${failures.map(row => `<li>${escapeHtmlText(row.source)}, ${escapeHtmlText(row.location)}: ${escapeHtmlText(row.error)}</li>`).join('\n')}
+</ul>`;
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtmlText(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 1.5rem; color: #222; }
+main { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 1rem; }
+figure { margin: 0; padding: 0.5rem; border: 1px solid #ddd; border-radius: 4px; }
+figure img { display: block; width: 100%; height: 160px; object-fit: contain; background: repeating-conic-gradient(#eee 0 25%, #fff 0 50%) 0 0 / 16px 16px; }
+figcaption { font-size: 0.8rem; overflow-wrap: anywhere; }
+dl { display: grid; grid-template-columns: auto 1fr; gap: 0 0.5rem; margin: 0.25rem 0 0; }
+dt { color: #666; }
+dd { margin: 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtmlText(title)}</h1>
+<p>${cards.size} image(s) from ${new Set(rows.map(row => row.source)).size} source(s)</p>
+<main>
+${items.join('\n')}
+</main>${failed}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write an HTML contact sheet of extracted images (see renderGallery)
+ * @param {string} filePath - The page path; image links are relative to its directory
+ * @param {Object[]} rows - Rows with the MANIFEST_FIELDS
+ * @param {Object} options - Gallery options
+ * @param {string} options.title - The page title
+ * @param {string} options.onConflict - One of ON_CONFLICT_MODES, for an existing page
+ * @returns {Promise<{outputPath: string, skipped: boolean}>} - The path written (or kept) and whether it was skipped
+ */
+async function writeGallery(filePath, rows, { title, onConflict = 'rename' } = {}) {
+  const galleryDir = path.dirname(path.resolve(filePath));
+  await fs.mkdir(galleryDir, { recursive: true });
+  return writeFileOnConflict(filePath, Buffer.from(renderGallery(rows, { galleryDir, title })), onConflict);
+}
+
+// Formats of output archives written by createOutputArchive, by file extension
+const OUTPUT_ARCHIVE_FORMATS = ['zip', 'tar'];
+
+/**
+ * Pick the output archive format from the file extension
+ * @param {string} filePath - The archive path
+ * @returns {string} - One of OUTPUT_ARCHIVE_FORMATS
+ * @throws {InvalidOptionError} - If the extension is neither `.zip` nor `.tar`
+ */
+function outputArchiveFormat(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  if (!OUTPUT_ARCHIVE_FORMATS.includes(extension)) {
+    throw new InvalidOptionError(`Archive must be a .zip or .tar file: ${filePath}`);
+  }
+  return extension;
+}
+
+/**
+ * Build a ZIP archive; entries are deflated unless that would not make them smaller (most image formats)
+ * @param {{name: string, data: Buffer}[]} entries - The files, with `/`-separated names
+ * @param {Date} date - The modification time recorded for every entry
+ * @returns {Buffer} - The archive bytes
+ */
+function createZipArchive(entries, date = new Date()) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data } of entries) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+    const fields = Buffer.alloc(26);
+    fields.writeUInt16LE(20, 0);        // version needed
+    fields.writeUInt16LE(0x0800, 2);    // UTF-8 names
+    fields.writeUInt16LE(stored ? 0 : 8, 4);
+    fields.writeUInt16LE(time, 6);
+    fields.writeUInt16LE(day, 8);
+    fields.writeUInt32LE(crc32(data), 10);
+    fields.writeUInt32LE(body.length, 14);
+    fields.writeUInt32LE(data.length, 18);
+    fields.writeUInt16LE(nameBytes.length, 22);
+    
+    const local = Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), fields, nameBytes, body]);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(20, 4);       // version made by
+    fields.copy(central, 6);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+    locals.push(local);
+    offset += local.length;
+  }
+  
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Build a ustar archive
+ * @param {{name: string, data: Buffer}[]} entries - The files, with `/`-separated names
+ * @param {Date} date - The modification time recorded for every entry
+ * @returns {Buffer} - The archive bytes
+ * @throws {InvalidOptionError} - If a name does not fit the ustar name and prefix fields
+ */
+function createTarArchive(entries, date = new Date()) {
+  const blocks = [];
+  for (const { name, data } of entries) {
+    let prefix = '';
+    let shortName = name;
+    if (Buffer.byteLength(name) > 100) {
+      const split = name.lastIndexOf('/', 155);
+      prefix = split > 0 ? name.slice(0, split) : '';
+      shortName = name.slice(split + 1);
+      if (!prefix || Buffer.byteLength(prefix) > 155 || Buffer.byteLength(shortName) > 100) {
+        throw new InvalidOptionError(`Name is too long for a tar archive: ${name}`);
+      }
+    }
+    const header = Buffer.alloc(512);
+    header.write(shortName, 0, 100, 'utf8');
+    header.write('0000644\0', 100, 'ascii');
+    header.write('0000000\0', 108, 'ascii');
+    header.write('0000000\0', 116, 'ascii');
+    header.write(data.length.toString(8).padStart(11, '0') + '\0', 124, 'ascii');
+    header.write(Math.floor(date.getTime() / 1000).toString(8).padStart(11, '0') + '\0', 136, 'ascii');
+    header.write('        ', 148, 'ascii');
+    header.write('0', 156, 'ascii');
+    header.write('ustar\0' + '00', 257, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 'ascii');
+    blocks.push(header, data, Buffer.alloc((512 - data.length % 512) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Package the files under a directory into one archive
+ * @param {string} filePath - The archive path, ending in `.zip` or `.tar`
+ * @param {string} sourceDir - The directory to package; entry names are relative to it
+ * @returns {Promise<string[]>} - The entry names, in archive order
+ * @throws {InvalidOptionError} - If the extension is neither `.zip` nor `.tar`
+ */
+async function createOutputArchive(filePath, sourceDir) {
+  const format = outputArchiveFormat(filePath);
+  const files = (await walkDirectory(sourceDir)).sort();
+  const entries = [];
+  for (const file of files) {
+    entries.push({ name: path.relative(sourceDir, file).split(path.sep).join('/'), data: await fs.readFile(file) });
+  }
+  const archive = format === 'zip' ? createZipArchive(entries) : createTarArchive(entries);
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, archive);
+  return entries.map(entry => entry.name);
+}
+
+// File extensions walked by auditEmbeddedImages
+const AUDIT_EXTENSIONS = ['html', 'htm', 'xhtml', 'css', 'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'vue', 'svelte', 'json'];
+
+/**
+ * Find every embedded image of a web project file with its source offsets
+ * HTML and CSS go through the HTML scanner, scripts through the code scanner and everything else
+ * (JSON included) through the plain-text scanner, so each occurrence has a line and its inline length
+ * @param {string} filePath - The file path
+ * @param {string} content - The file content
+ * @returns {Object[]} - Hits in document order
+ */
+function scanFileForAudit(filePath, content) {
+  const format = extensionToFormat[path.extname(filePath).slice(1).toLowerCase()];
+  if (format === 'html' || format === 'css') {
+    return scanHtmlForImages(content);
+  }
+  return format === 'code' ? scanCodeForImages(content) : scanTextForImages(content);
+}
+
+/**
+ * Audit the images embedded in the HTML, CSS, JavaScript and JSON files of a web project
+ * `node_modules` and hidden directories are skipped. Every occurrence is reported, so an image
+ * embedded in several places appears once per place, marked as a duplicate.
+ * @param {string} root - Project directory, or a single file
+ * @param {Object} options - Audit options
+ * @param {number} options.maxInlineSize - Decoded size in bytes above which an image is over budget
+ * @returns {Promise<{files: string[], images: Object[], duplicates: Object[]}>} - The files scanned; one
+ *   entry per occurrence with `file`, `line`, `column`, `location`, `mimeType`, `size` (decoded),
+ *   `encodedSize` (characters in the file), `overhead`, `sha256`, `occurrences`, `duplicate` and
+ *   `overBudget`, or `error` when it cannot be decoded; and one entry per image embedded more than
+ *   once with `sha256`, `mimeType`, `size`, `occurrences` (`{file, line, column}`) and `wastedSize`
+ *   (the inline characters of all copies but the first)
+ * @throws {B64icError} - If the root does not exist
+ */
+async function auditEmbeddedImages(root, options = {}) {
+  const { maxInlineSize = Infinity } = options;
+  const stats = await fs.stat(root).catch(() => null);
+  if (!stats) {
+    throw new B64icError(`No such file or directory: ${root}`);
+  }
+  const files = stats.isDirectory()
+    ? (await walkDirectory(root, name => name === 'node_modules' || name.startsWith('.')))
+      .filter(file => AUDIT_EXTENSIONS.includes(path.extname(file).slice(1).toLowerCase()))
+      .sort()
+    : [root];
+  
+  const images = [];
+  for (const file of files) {
+    const content = await fs.readFile(file, 'utf8');
+    for (const hit of scanFileForAudit(file, content)) {
+      const entry = {
+        file,
+        line: hit.line,
+        column: hit.column,
+        location: describeImageLocation({ ...hit, line: null }),
+        encodedSize: hit.end - hit.start
+      };
+      try {
+        const { mimeType, size, sha256 } = decodeImage(hit.dataUrl);
+        images.push({ ...entry, mimeType, size, overhead: entry.encodedSize - size, sha256, overBudget: size > maxInlineSize });
+      } catch (error) {
+        images.push({ ...entry, error: error.message });
+      }
+    }
+  }
+  
+  const groups = new Map();
+  images.filter(image => !image.error).forEach(image => {
+    groups.set(image.sha256, [...groups.get(image.sha256) || [], image]);
+  });
+  const duplicates = [];
+  for (const [sha256, group] of groups) {
+    group.forEach(image => {
+      image.occurrences = group.length;
+      image.duplicate = group.length > 1;
+    });
+    if (group.length > 1) {
+      duplicates.push({
+        sha256,
+        mimeType: group[0].mimeType,
+        size: group[0].size,
+        occurrences: group.map(({ file, line, column }) => ({ file, line, column })),
+        wastedSize: group.slice(1).reduce((sum, image) => sum + image.encodedSize, 0)
+      });
+    }
+  }
+  return { files, images, duplicates };
+}
+
+// Signatures too weak to trust from the first bytes of an unlabelled base64 string
+const WEAK_SIGNATURES = ['image/bmp', 'image/x-icon', 'image/x-win-bitmap', 'image/jxl'];
+
+// Number of base64 characters sniffed before a quoted string is treated as an image
+const STREAM_SNIFF_LENGTH = 24;
+
+/**
+ * Create an incremental extractor that finds base64 images in text chunks and
+ * decodes them straight to files. Data URLs and quoted raw base64 strings with an
+ * image signature (as in JSON and HAR files) are recognized across chunk boundaries.
+ * Memory use is bounded by the chunk size, not by the input or image size.
+ * @param {Object} options - Extraction options
+ * @param {string} options.outputDir - Directory for the extracted images
+ * @param {string} options.baseName - File name prefix, files are named `<baseName>_<n>.<ext>`
+ * @param {string} options.onConflict - One of ON_CONFLICT_MODES, for an existing file (default `rename`)
+ * @param {Function} options.onImage - Called with a result record for every finished image
+ * @returns {{write: Function, end: Function, stats: Object}} - Feed text with `await write(chunk)`, then `await end()`
+ */
+function createStreamExtractor(options) {
+  const { outputDir, baseName, onConflict = 'rename', onImage = () => {} } = options;
+  const stats = { images: 0, failed: 0, charsProcessed: 0 };
+  
+  // A bare base64 string at the very start of the input is sniffed like a quoted one
+  let state = 'start';
+  let carry = '';
+  let header = '';
+  let candidate = '';
+  let escape = false;
+  let wrap = null;
+  let image = null;
+  
+  const startImage = declaredType => {
+    image = {
+      declaredType,
+      pending: '',
+      chars: 0,
+      padded: false,
+      head: [],
+      headLength: 0,
+      size: 0,
+      hash: createHash('sha256'),
+      stream: null,
+      outputPath: null,
+      skipped: false,
+      mimeType: null
+    };
+  };
+  
+  const writeBytes = async bytes => {
+    if (bytes.length === 0) {
+      return;
+    }
+    image.size += bytes.length;
+    image.hash.update(bytes);
+    if (image.skipped) {
+      return;
+    }
+    if (!image.stream) {
+      // Hold back the first bytes until the real type can be detected
+      image.head.push(bytes);
+      image.headLength += bytes.length;
+      if (image.headLength < 64) {
+        return;
+      }
+      await openImageStream();
+      return;
+    }
+    if (!image.stream.write(bytes)) {
+      await new Promise(resolve => image.stream.once('drain', resolve));
+    }
+  };
+  
+  const openImageStream = async () => {
+    const head = Buffer.concat(image.head);
+    image.head = [];
+    const detectedType = detectImageTypeFromBuffer(head);
+    image.mismatch = isMimeTypeMismatch(image.declaredType, detectedType);
+    image.mimeType = image.mismatch ? detectedType : (image.declaredType || detectedType);
+    const extension = mimeToExtension[image.mimeType] || 'bin';
+    const opened = await openFileOnConflict(path.join(outputDir, `${baseName}_${stats.images + stats.failed + 1}.${extension}`), onConflict);
+    image.outputPath = opened.outputPath;
+    image.skipped = opened.skipped;
+    if (opened.skipped) {
+      return;
+    }
+    image.stream = opened.handle.createWriteStream();
+    if (!image.stream.write(head)) {
+      await new Promise(resolve => image.stream.once('drain', resolve));
+    }
+  };
+  
+  const flushPending = async final => {
+    const usable = final ? image.pending.length : image.pending.length - (image.pending.length % 4);
+    const chunk = image.pending.slice(0, usable).replace(/-/g, '+').replace(/_/g, '/');
+    image.pending = image.pending.slice(usable);
+    await writeBytes(Buffer.from(chunk, 'base64'));
+  };
+  
+  /**
+   * Finish the current image; `stopChar` is the character that ended its payload, if any
+   */
+  const finishImage = async (stopChar = null) => {
+    // Errors match those of decodeImageData for the same payload
+    let error = null;
+    if (image.chars % 4 === 1 || (image.padded && image.chars % 4 !== 0)) {
+      error = 'Malformed base64 payload: invalid length or padding (data may be truncated)';
+    } else {
+      await flushPending(true);
+      if (image.size === 0) {
+        error = image.chars === 0 && stopChar && !/[\s"'(),;<>\\]/.test(stopChar)
+          ? `Malformed base64 payload: invalid character "${stopChar}" at position 0`
+          : 'Malformed base64 payload: empty data';
+      } else if (!image.stream && !image.skipped) {
+        await openImageStream();
+      }
+    }
+    
+    const current = image;
+    image = null;
+    if (current.stream) {
+      await new Promise((resolve, reject) => current.stream.end(error => error ? reject(error) : resolve()));
+    }
+    if (error) {
+      stats.failed++;
+      if (current.stream) {
+        await fs.unlink(current.outputPath).catch(() => {});
+      }
+      onImage({ index: stats.images + stats.failed, error, declaredType: current.declaredType });
+      return;
+    }
+    stats.images++;
+    onImage({
+      index: stats.images + stats.failed,
+      outputPath: current.outputPath,
+      skipped: current.skipped,
+      mimeType: current.mimeType,
+      declaredType: current.declaredType,
+      mismatch: current.mismatch,
+      size: current.size,
+      sha256: current.hash.digest('hex')
+    });
+  };
+  
+  const addPayload = async text => {
+    image.pending += text;
+    image.chars += text.length;
+    if (image.pending.length >= 65536) {
+      await flushPending(false);
+    }
+  };
+  
+  const payloadRun = /[A-Za-z0-9+/_-]+/y;
+  const headerPattern = /^data:image(?:\\)?\/([\w.+-]+)(?:;[^;,]*)*;base64$/i;
+  
+  /**
+   * Process one chunk of text. Returns once all resulting bytes are written.
+   */
+  const write = async chunk => {
+    const text = carry + chunk;
+    carry = '';
+    stats.charsProcessed += chunk.length;
+    let i = 0;
+    
+    while (i < text.length) {
+      if (state === 'start') {
+        i = text.slice(i).search(/\S|$/) + i;
+        if (i < text.length) {
+          state = 'candidate';
+          candidate = '';
+        }
+      } else if (state === 'scan') {
+        const markerAt = text.indexOf('data:image', i);
+        let quoteAt = -1;
+        for (let k = i; k < (markerAt === -1 ? text.length : markerAt); k++) {
+          if (text[k] === '"' || text[k] === "'") {
+            quoteAt = k;
+            break;
+          }
+        }
+        if (quoteAt !== -1) {
+          state = 'candidate';
+          candidate = '';
+          i = quoteAt + 1;
+        } else if (markerAt !== -1) {
+          state = 'header';
+          header = '';
+          i = markerAt;
+        } else {
+          // Keep a possible partial marker for the next chunk
+          const keep = Math.min(text.length - i, 'data:image'.length - 1);
+          carry = text.slice(text.length - keep);
+          i = text.length;
+        }
+      } else if (state === 'header') {
+        const comma = text.indexOf(',', i);
+        const end = comma === -1 ? text.length : comma;
+        const invalid = text.slice(i, end).search(/[\s"'<>()]/);
+        if (invalid !== -1 || header.length + (end - i) > 256) {
+          // Not a data URL header after all, keep scanning from the offending character
+          state = 'scan';
+          i = invalid !== -1 ? i + invalid : end;
+          continue;
+        }
+        header += text.slice(i, end);
+        if (comma === -1) {
+          i = text.length;
+          continue;
+        }
+        const match = header.match(headerPattern);
+        i = comma + 1;
+        if (match) {
+          startImage(`image/${match[1].toLowerCase()}`);
+          state = 'payload';
+        } else {
+          // Plain (non-base64) payloads are not streamed
+          state = 'scan';
+        }
+      } else if (state === 'candidate') {
+        payloadRun.lastIndex = i;
+        const run = payloadRun.exec(text);
+        const taken = run ? run[0].slice(0, STREAM_SNIFF_LENGTH - candidate.length) : '';
+        candidate += taken;
+        i += taken.length;
+        if (candidate.length >= STREAM_SNIFF_LENGTH) {
+          const head = Buffer.from(candidate.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+          const detectedType = detectImageTypeFromBuffer(head);
+          if (detectedType && detectedType.startsWith('image/') && !WEAK_SIGNATURES.includes(detectedType)) {
+            startImage(null);
+            await addPayload(candidate);
+            state = 'payload';
+          } else {
+            state = 'scan';
+          }
+        } else if (i < text.length) {
+          // String ended (or contains other characters) before it could be sniffed;
+          // a quoted data URL continues as a header
+          if (candidate === 'data' && text[i] === ':') {
+            state = 'header';
+            header = candidate;
+          } else {
+            state = 'scan';
+          }
+        }
+      } else if (state === 'payload') {
+        if (escape) {
+          escape = false;
+          const escaped = text[i];
+          if (escaped === '/') {
+            await addPayload('/');
+          } else if (!'nrt'.includes(escaped)) {
+            await finishImage();
+            state = 'scan';
+            continue;
+          }
+          i++;
+          continue;
+        }
+        
+        payloadRun.lastIndex = i;
+        const run = payloadRun.exec(text);
+        if (run && !image.padded) {
+          await addPayload(run[0]);
+          i += run[0].length;
+          continue;
+        }
+        const char = text[i];
+        if (char === '=') {
+          image.padded = true;
+          image.pending += '=';
+          image.chars++;
+          i++;
+        } else if (char === '\\' && !image.padded) {
+          escape = true;
+          i++;
+        } else if ((char === '\r' || char === '\n') && !image.padded) {
+          // Possibly a wrapped line, kept only if the next line is all base64
+          wrap = { run: '', trailing: false };
+          state = 'wrap';
+          i++;
+        } else {
+          await finishImage(char);
+          state = 'scan';
+        }
+      } else if (state === 'wrap') {
+        const char = text[i];
+        if (/[A-Za-z0-9+/=_-]/.test(char) && !wrap.trailing) {
+          wrap.run += char;
+          i++;
+          if (wrap.run.length >= 1024) {
+            await commitWrap();
+          }
+        } else if (char === ' ' || char === '\t' || (!wrap.run && (char === '\r' || char === '\n'))) {
+          wrap.trailing = wrap.run.length > 0;
+          i++;
+        } else if (wrap.run && '\r\n"\'),;<'.includes(char)) {
+          await commitWrap();
+        } else {
+          wrap = null;
+          await finishImage();
+          state = 'scan';
+        }
+      }
+    }
+  };
+  
+  const commitWrap = async () => {
+    const match = /^([A-Za-z0-9+/_-]*)(=*)$/.exec(wrap.run);
+    wrap = null;
+    if (!match) {
+      await finishImage();
+      state = 'scan';
+      return;
+    }
+    await addPayload(match[1]);
+    if (match[2]) {
+      image.padded = true;
+      image.pending += match[2];
+      image.chars += match[2].length;
+    }
+    state = 'payload';
+  };
+  
+  const end = async () => {
+    if (state === 'wrap' && wrap.run) {
+      await commitWrap();
+    }
+    if ((state === 'payload' || state === 'wrap') && image) {
+      await finishImage();
+    }
+    wrap = null;
+    state = 'scan';
+  };
+  
+  return { write, end, stats };
+}
+
+/**
+ * Open a file, URL or stdin (`-`) as a readable stream
+ * @param {string} source - File path, http(s) URL or `-`
+ * @param {Object} fetchOptions - Options of fetchUrl for a URL
+ * @returns {Promise<{stream: Readable, totalBytes: number|null}>} - The stream and its size, if known
+ */
+async function openInputStream(source, fetchOptions = {}) {
+  if (source === '-') {
+    return { stream: process.stdin, totalBytes: null };
+  }
+  if (/^https?:\/\//i.test(source)) {
+    const { body, totalBytes } = await fetchUrlStream(source, fetchOptions);
+    return { stream: body, totalBytes };
+  }
+  const stats = await fs.stat(source);
+  return { stream: createReadStream(source), totalBytes: stats.size };
+}
+
+/**
+ * Extract every base64 image of a file, URL or stdin to files with bounded memory
+ * @param {string} source - File path, http(s) URL or `-` for stdin
+ * @param {Object} options - Extraction options
+ * @param {string} options.outputDir - Directory for the extracted images
+ * @param {string} options.baseName - File name prefix
+ * @param {string} options.onConflict - One of ON_CONFLICT_MODES, for an existing file (default `rename`)
+ * @param {Function} options.onImage - Called with a result record for every finished image; a file kept
+ *   by the `skip` mode is reported with `skipped`
+ * @param {Function} options.onProgress - Called with `{bytesRead, totalBytes, images, done}` after every chunk
+ * @param {Object} options.fetch - Options of fetchUrl for a URL source (headers, timeout, maxBytes, retries, ...)
+ * @returns {Promise<{images: number, failed: number}>} - Counts of written (or kept) and rejected images
+ * @throws {FetchError} - If a URL source cannot be fetched
+ */
+async function streamExtractImages(source, options) {
+  const { outputDir, baseName, onConflict = 'rename', onImage, onProgress = () => {}, fetch: fetchOptions = {} } = options;
+  const { stream, totalBytes } = await openInputStream(source, fetchOptions);
+  await fs.mkdir(outputDir, { recursive: true });
+  
+  const extractor = createStreamExtractor({ outputDir, baseName, onConflict, onImage });
+  const reportProgress = done => onProgress({
+    bytesRead: stream.bytesRead ?? extractor.stats.charsProcessed,
+    totalBytes,
+    images: extractor.stats.images,
+    done
+  });
+  
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    await extractor.write(chunk);
+    reportProgress(false);
+  }
+  await extractor.end();
+  reportProgress(true);
+  
+  return { images: extractor.stats.images, failed: extractor.stats.failed };
+}
+
+// Host names the HTTP service listens on and answers to; anything else could expose it to the network
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+// Largest request body of the HTTP service by default
+const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Request the HTTP service rejects; `status` is the HTTP status of the response
+ */
+class ServiceRequestError extends B64icError {
+  /**
+   * @param {string} message - The error message
+   * @param {number} status - HTTP status code
+   */
+  constructor(message, status) {
+    super(message, 'ERR_REQUEST');
+    this.status = status;
+  }
+}
+
+/**
+ * Read a request body, stopping as soon as it exceeds the limit
+ * @param {http.IncomingMessage} request - The request
+ * @param {number} maxBodySize - Largest accepted body in bytes
+ * @returns {Promise<Buffer>} - The body
+ * @throws {ServiceRequestError} - 413 if the body is too large
+ */
+async function readRequestBody(request, maxBodySize) {
+  const tooLarge = () => new ServiceRequestError(`Request body larger than ${maxBodySize} bytes`, 413);
+  if (Number(request.headers['content-length']) > maxBodySize) {
+    throw tooLarge();
+  }
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of request) {
+    received += chunk.length;
+    if (received > maxBodySize) {
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Take the image of a decode or detect request: `{"data": "..."}` as JSON, or the body as text
+ * @param {http.IncomingMessage} request - The request
+ * @param {Buffer} body - Its body
+ * @returns {string} - The data URL, raw base64 or SVG markup
+ * @throws {ServiceRequestError} - 400 if there is no data
+ */
+function requestImageData(request, body) {
+  let data = body.toString('utf8');
+  if (/\bjson\b/i.test(request.headers['content-type'] || '')) {
+    const parsed = parseRequestJson(body);
+    data = typeof parsed.data === 'string' ? parsed.data : '';
+  }
+  const normalized = normalizeInputData(data);
+  if (!normalized) {
+    throw new ServiceRequestError('No base64 data in the request', 400);
+  }
+  return normalized;
+}
+
+/**
+ * Parse a JSON request body
+ * @param {Buffer} body - The body
+ * @returns {Object} - The parsed object
+ * @throws {ServiceRequestError} - 400 if the body is not a JSON object
+ */
+function parseRequestJson(body) {
+  let parsed;
+  try {
+    parsed = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new ServiceRequestError(`Invalid JSON body: ${error.message}`, 400);
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    throw new ServiceRequestError('Expected a JSON object', 400);
+  }
+  return parsed;
+}
+
+/**
+ * Scan a posted document: `{"content": "...", "format": "html"}` as JSON, or the body as the document
+ * with the format from the `format` query parameter, the Content-Type or the content
+ * @param {http.IncomingMessage} request - The request
+ * @param {Buffer} body - Its body
+ * @param {URLSearchParams} query - The query parameters
+ * @returns {{format: string, images: Object[], failed: Object[]}} - The distinct images with their
+ *   location, context, metadata and data URL, and the ones that could not be decoded
+ */
+function scanRequestDocument(request, body, query) {
+  const contentType = request.headers['content-type'] || '';
+  let content = body.toString('utf8');
+  let format = query.get('format');
+  if (/\bjson\b/i.test(contentType) && !format) {
+    const parsed = parseRequestJson(body);
+    content = typeof parsed.content === 'string' ? parsed.content : '';
+    format = parsed.format;
+  } else if (!format) {
+    format = /\bhtml\b/i.test(contentType) ? 'html' : /\bcss\b/i.test(contentType) ? 'css' : null;
+  }
+  format = format || detectInputFormat('', content);
+  if (!INPUT_FORMATS.includes(format) || format === 'archive') {
+    throw new ServiceRequestError(`Unknown format "${format}"`, 400);
+  }
+  
+  const images = [];
+  const failed = [];
+  for (const image of firstOccurrences(scanContentForImages(content, format))) {
+    try {
+      const { mimeType, extension, size, sha256 } = decodeImage(image.input);
+      images.push({ index: images.length + 1, location: image.location, context: image.context, mimeType, extension, size, sha256, dataUrl: image.input });
+    } catch (error) {
+      failed.push({ location: image.location, error: error.message });
+    }
+  }
+  return { format, images, failed };
+}
+
+/**
+ * Create the b64ic HTTP service (not yet listening)
+ * Endpoints, all answering JSON:
+ * - `GET /health`: `{status: "ok"}`
+ * - `POST /decode`: a data URL or raw base64 (`{"data": ...}` or the body) to its metadata and standard
+ *   base64 `data`; with `Accept: application/octet-stream` the decoded bytes themselves
+ * - `POST /detect`: the inspection of an image (see inspectImage)
+ * - `POST /scan`: the images of an HTML, CSS, JSON, ... or text document
+ * - `POST /encode`: image bytes to a data URL (`?format=base64|dataurl|css|img`, `wrap`, `alt`)
+ * Requests whose Host is not a loopback name are refused, so other sites cannot reach the
+ * service through DNS rebinding
+ * @param {Object} options - Service options
+ * @param {number|string} options.maxBodySize - Largest request body, e.g. `10MB` (default 10 MB)
+ * @param {Function} options.onRequest - Called with `{method, path, status, duration}` after each response
+ * @returns {http.Server} - The server
+ */
+function createService(options = {}) {
+  const maxBodySize = options.maxBodySize != null ? parseSize(options.maxBodySize) : DEFAULT_MAX_BODY_SIZE;
+  const onRequest = options.onRequest || (() => {});
+  
+  const routes = {
+    'GET /health': async () => ({ status: 'ok' }),
+    'POST /decode': async (request, body, query, response) => {
+      const { buffer, ...image } = decodeImage(requestImageData(request, body));
+      if (/application\/octet-stream/i.test(request.headers.accept || '')) {
+        response.writeHead(200, { 'Content-Type': image.mimeType, 'X-Image-Sha256': image.sha256 });
+        response.end(buffer);
+        return null;
+      }
+      return { ...image, data: buffer.toString('base64') };
+    },
+    'POST /detect': async (request, body) => inspectImage(requestImageData(request, body)),
+    'POST /scan': async (request, body, query) => scanRequestDocument(request, body, query),
+    'POST /encode': async (request, body, query) => {
+      if (body.length === 0) {
+        throw new ServiceRequestError('No image in the request body', 400);
+      }
+      const declared = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const mimeType = detectImageTypeFromBuffer(body) || (declared.startsWith('image/') ? declared : null);
+      if (!mimeType) {
+        throw new UnsupportedImageError('Unknown image type: send the image bytes with an image/* Content-Type');
+      }
+      const output = encodeImageBuffer(body, mimeType, {
+        format: query.get('format') || 'dataurl',
+        wrap: Number(query.get('wrap')) || 0,
+        alt: query.get('alt') || ''
+      });
+      return { mimeType, size: body.length, sha256: createHash('sha256').update(body).digest('hex'), output };
+    }
+  };
+  
+  return http.createServer(async (request, response) => {
+    const started = Date.now();
+    const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+    const send = (status, payload) => {
+      response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+      response.end(JSON.stringify(payload));
+    };
+    
+    try {
+      const host = (request.headers.host || '').replace(/:\d+$/, '').replace(/^\[|\]$/g, '');
+      if (!LOOPBACK_HOSTS.includes(host)) {
+        throw new ServiceRequestError(`Host "${host}" is not allowed, use localhost`, 403);
+      }
+      const route = routes[`${request.method} ${pathname}`];
+      if (!route) {
+        const methods = Object.keys(routes).filter(key => key.endsWith(` ${pathname}`)).map(key => key.split(' ')[0]);
+        if (methods.length > 0) {
+          response.setHeader('Allow', methods.join(', '));
+          throw new ServiceRequestError(`Method ${request.method} not allowed on ${pathname}`, 405);
+        }
+        throw new ServiceRequestError(`Unknown endpoint ${pathname}`, 404);
+      }
+      const body = request.method === 'POST' ? await readRequestBody(request, maxBodySize) : Buffer.alloc(0);
+      const result = await route(request, body, searchParams, response);
+      if (result) {
+        send(200, result);
+      }
+    } catch (error) {
+      // Library errors are the client's fault, anything else is ours
+      const status = error instanceof ServiceRequestError ? error.status
+        : error instanceof UnsupportedImageError ? 422
+          : error instanceof B64icError ? 400 : 500;
+      if (status === 413) {
+        // The rest of the body is not read, so the connection cannot be reused
+        response.setHeader('Connection', 'close');
+      }
+      send(status, { error: status === 500 ? 'Internal error' : error.message, code: error.code || 'ERR_INTERNAL' });
+    }
+    onRequest({ method: request.method, path: pathname, status: response.statusCode, duration: Date.now() - started });
+  });
+}
+
+export {
+  // Errors
+  B64icError,
+  MalformedDataError,
+  UnsupportedImageError,
+  NoImagesFoundError,
+  FetchError,
+  InvalidOptionError,
+  ArchiveLimitError,
+  // Decoding and conversion
+  mimeToExtension,
+  parseDataUrl,
+  decodeImageData,
+  normalizeInputData,
+  extractBase64Data,
+  decodeImage,
+  ON_CONFLICT_MODES,
+  NAME_TEMPLATE_FIELDS,
+  validateNameTemplate,
+  renderNameTemplate,
+  writeImage,
+  saveImage,
+  // Transcoding
+  TRANSCODE_FORMATS,
+  normalizeTranscodeOptions,
+  decodePixels,
+  encodePixels,
+  stripImageMetadata,
+  transcodeImage,
+  // SVG sanitization
+  sanitizeSvg,
+  sanitizeSvgImage,
+  // Type detection and inspection
+  detectImageType,
+  detectImageTypeFromBuffer,
+  analyzeImageData,
+  isMimeTypeMismatch,
+  inspectImage,
+  inspectImageMetadata,
+  // Scanning
+  INPUT_FORMATS,
+  scanForBase64Data,
+  scanHtmlForImages,
+  scanHtmlForBase64Data,
+  describeImageLocation,
+  describeImageContext,
+  detectInputFormat,
+  scanContentForImages,
+  scanMimeForImages,
+  findDocumentImages,
+  scanFile,
+  detectArchiveType,
+  scanArchiveForImages,
+  fetchUrl,
+  fetchUrlStream,
+  fetchUrlImages,
+  fetchAndScanUrl,
+  // Crawling
+  parseRobotsTxt,
+  isAllowedByRobots,
+  findPageLinks,
+  crawlSite,
+  // Encoding, inlining and extraction
+  expandInputPaths,
+  encodeImageBuffer,
+  encodeImageFile,
+  parseSize,
+  inlineLocalImages,
+  extractAndRewriteDocument,
+  extractMimeDocument,
+  // Manifests
+  MANIFEST_FIELDS,
+  manifestFormat,
+  formatManifest,
+  parseManifest,
+  writeManifest,
+  verifyManifest,
+  // Galleries and output archives
+  renderGallery,
+  writeGallery,
+  OUTPUT_ARCHIVE_FORMATS,
+  outputArchiveFormat,
+  createZipArchive,
+  createTarArchive,
+  createOutputArchive,
+  // Auditing
+  AUDIT_EXTENSIONS,
+  auditEmbeddedImages,
+  // Watching
+  watchFiles,
+  // Streaming
+  createStreamExtractor,
+  streamExtractImages,
+  // HTTP service
+  LOOPBACK_HOSTS,
+  createService
+};
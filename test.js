@@ -1,7 +1,13 @@
 #!/usr/bin/env node
 
 import fs from 'fs/promises';
-import { execSync } from 'child_process';
+import { rmSync, mkdirSync } from 'fs';
+import { execSync, spawnSync, execFile } from 'child_process';
+import { promisify } from 'util';
+import http from 'http';
+import path from 'path';
+import zlib from 'zlib';
+import { decodeImage, detectImageType, extractBase64Data, scanHtmlForBase64Data, parseManifest, scanContentForImages, detectInputFormat, scanArchiveForImages, fetchUrl, createService, sanitizeSvg, encodePixels, inspectImage, MalformedDataError } from './index.js';
 
 // Sample base64 data for testing
 const testData = {
@@ -39,6 +45,38 @@ async function createTestFiles() {
   await fs.writeFile('test_png_data.txt', testData.png.dataUrl);
   await fs.writeFile('test_jpeg_data.txt', testData.jpeg.dataUrl);
   await fs.writeFile('test_raw_png.txt', testData.png.raw);
+  await fs.writeFile('test_json_data.txt', JSON.stringify({ image: testData.png.dataUrl.replace(/(.{40})/g, '$1\n') })
+    .replace(/\//g, '\\/'));
+  await fs.writeFile('test_capture.har', JSON.stringify({
+    log: {
+      entries: [
+        { request: { url: 'https://example.com/logo.png' }, response: { content: { mimeType: 'image/png', encoding: 'base64', text: testData.png.raw } } },
+        { request: { url: 'https://example.com/' }, response: { content: { mimeType: 'text/html', text: `<img src="${testData.jpeg.dataUrl}">` } } }
+      ]
+    }
+  }));
+  await fs.writeFile('test_notebook.ipynb', JSON.stringify({
+    nbformat: 4,
+    cells: [{ cell_type: 'code', source: ['plot()'], outputs: [{ data: { 'image/png': testData.png.raw + '\n', 'text/plain': ['<Figure>'] } }] }]
+  }));
+  await fs.writeFile('test_api_response.json', JSON.stringify({ user: { avatar: testData.jpeg.raw, banner: testData.png.dataUrl, token: 'abcdefghijklmnopqrstuvwx' } }));
+  await fs.writeFile('test_encode.png', Buffer.from(testData.png.raw, 'base64'));
+  await fs.writeFile('test_inline.html', '<html><head><link rel="icon" href="test_encode.png"></head>' +
+    '<body><img src="test_encode.png" srcset="test_encode.png 1x, test_encode.png?v=2 2x">' +
+    '<div style="background: url(\'test_encode.png\')"></div></body></html>');
+  const entityEncodedPng = testData.png.dataUrl.replace('data:', 'data&colon;').replace(';base64,', '&semi;base64&comma;');
+  await fs.writeFile('test_tokenizer.html', [
+    '<html><head><style>@font-face { src: url( "' + testData.png.dataUrl + '" ) }',
+    '.logo { background: #fff url(' + testData.png.dataUrl + ') no-repeat; }</style></head><body>',
+    '<picture><source srcset="' + testData.png.dataUrl + ' 1x, ' + testData.png.dataUrl + ' 2x"></picture>',
+    '<svg><image xlink:href="' + testData.png.dataUrl + '"/></svg>',
+    '<input type="image" src="' + entityEncodedPng + '">',
+    '<!-- <img src="' + testData.png.dataUrl + '"> -->',
+    '</body></html>'
+  ].join('\n'));
+  await fs.writeFile('test_partial.html', `<img src="${testData.png.dataUrl}"><img src="${testData.png.dataUrl.slice(0, 60)}=">`);
+  await fs.writeFile('test_no_images.html', '<html><body><p>No images here</p></body></html>');
+  await fs.writeFile('test_named.html', `<img alt="Company Logo" src="${testData.png.dataUrl}"><div style="background: url(data:image/png;name=copy;base64,${testData.png.raw}) #fff"></div>`);
   
   console.log('✅ Test files created successfully!');
 }
@@ -50,10 +88,30 @@ async function cleanupTestFiles() {
     'test_png_data.txt',
     'test_jpeg_data.txt', 
     'test_raw_png.txt',
-    'converted_image_*.png',
-    'converted_image_*.jpg',
+    'test_encode.png',
+    'test_encoded.txt',
+    'test_encode_wrap.gif',
+    'test_inline.html',
+    'test_inlined.html',
+    'test_extracted.html',
+    'test_tokenizer.html',
+    'image_*.png',
+    'image_*.jpg',
     'test_output.png',
-    'test_output.jpg'
+    'test_output.jpg',
+    'test_output.svg',
+    // --on-conflict rename numbers the outputs of the tests that write test_output.* again
+    'test_output_*',
+    'test_json_data.txt',
+    'test_capture.har',
+    'test_notebook.ipynb',
+    'test_api_response.json',
+    'test_partial.html',
+    'test_no_images.html',
+    'test_named.html',
+    'test_svg.html',
+    'test_transcode.html',
+    'test_padding.html'
   ];
   
   for (const pattern of filesToDelete) {
@@ -76,6 +134,30 @@ async function cleanupTestFiles() {
     }
   }
   
+  const directoriesToDelete = [
+    'test_padding',
+    'test_assets',
+    'test_stream',
+    'test_parity',
+    'test_batch',
+    'test_batch_input',
+    'test_named',
+    'test_manifest',
+    'test_transcode',
+    'test_audit',
+    'test_svg',
+    'test_fetch',
+    'test_crawl',
+    'test_email',
+    'test_archive',
+    'test_watch',
+    'test_gallery'
+  ];
+  
+  for (const dir of directoriesToDelete) {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  
   console.log('✅ Cleanup completed!');
 }
 
@@ -90,46 +172,1145 @@ async function runAllTests() {
   
   // Test 1: Help command
   totalTests++;
-  if (await runTest('Help Command', 'node index.js --help')) passedTests++;
+  if (await runTest('Help Command', 'node cli.js --help')) passedTests++;
   
   // Test 2: Detect PNG from data URL
   totalTests++;
-  if (await runTest('Detect PNG from Data URL', `node index.js detect "${testData.png.dataUrl}"`)) passedTests++;
+  if (await runTest('Detect PNG from Data URL', `node cli.js detect "${testData.png.dataUrl}"`)) passedTests++;
   
   // Test 3: Detect JPEG from data URL
   totalTests++;
-  if (await runTest('Detect JPEG from Data URL', `node index.js detect "${testData.jpeg.dataUrl}"`)) passedTests++;
+  if (await runTest('Detect JPEG from Data URL', `node cli.js detect "${testData.jpeg.dataUrl}"`)) passedTests++;
   
   // Test 4: Detect PNG from file
   totalTests++;
-  if (await runTest('Detect PNG from File', 'node index.js detect -f test_png_data.txt')) passedTests++;
+  if (await runTest('Detect PNG from File', 'node cli.js detect -f test_png_data.txt')) passedTests++;
   
   // Test 5: Convert PNG from data URL
   totalTests++;
-  if (await runTest('Convert PNG from Data URL', `node index.js convert "${testData.png.dataUrl}"`)) passedTests++;
+  if (await runTest('Convert PNG from Data URL', `node cli.js convert "${testData.png.dataUrl}"`)) passedTests++;
   
   // Test 6: Convert JPEG from data URL with custom output
   totalTests++;
-  if (await runTest('Convert JPEG with Custom Output', `node index.js convert "${testData.jpeg.dataUrl}" -o test_output.jpg`)) passedTests++;
+  if (await runTest('Convert JPEG with Custom Output', `node cli.js convert "${testData.jpeg.dataUrl}" -o test_output.jpg`)) passedTests++;
   
   // Test 7: Convert PNG from file
   totalTests++;
-  if (await runTest('Convert PNG from File', 'node index.js convert -f test_png_data.txt -o test_output.png')) passedTests++;
+  if (await runTest('Convert PNG from File', 'node cli.js convert -f test_png_data.txt -o test_output.png')) passedTests++;
   
   // Test 8: Convert raw base64 PNG
   totalTests++;
-  if (await runTest('Convert Raw Base64 PNG', 'node index.js convert -f test_raw_png.txt')) passedTests++;
+  if (await runTest('Convert Raw Base64 PNG', 'node cli.js convert -f test_raw_png.txt')) passedTests++;
   
   // Test 9: Error handling - invalid data (expected to fail with proper error)
   totalTests++;
-  const invalidDataResult = await runTest('Error Handling - Invalid Data', 'node index.js convert "invalid_base64_data"');
+  const invalidDataResult = await runTest('Error Handling - Invalid Data', 'node cli.js convert "invalid_base64_data"');
   if (!invalidDataResult) passedTests++; // This test should fail, so we count it as passed if it fails
   
   // Test 10: Error handling - missing input (expected to fail with proper error)
   totalTests++;
-  const missingInputResult = await runTest('Error Handling - Missing Input', 'node index.js convert');
+  const missingInputResult = await runTest('Error Handling - Missing Input', 'node cli.js convert');
   if (!missingInputResult) passedTests++; // This test should fail, so we count it as passed if it fails
   
+  // Test 11: Encode PNG file to data URL
+  totalTests++;
+  if (await runTest('Encode PNG to Data URL', 'node cli.js encode test_encode.png')) passedTests++;
+  
+  // Test 12: Encode PNG file as wrapped <img> tag written to a file
+  totalTests++;
+  if (await runTest('Encode PNG to Wrapped IMG Tag', 'node cli.js encode test_encode.png --format img --wrap 76 -o test_encoded.txt')) passedTests++;
+  
+  // Test 13: Encode round trip - the encoded data URL converts back to a PNG
+  totalTests++;
+  const encodedDataUrl = execSync('node cli.js encode test_encode.png', { encoding: 'utf8' }).trim();
+  if (encodedDataUrl === testData.png.dataUrl &&
+      await runTest('Encode Round Trip', `node cli.js convert "${encodedDataUrl}" -o test_output.png`)) passedTests++;
+  
+  // Test 14: Error handling - encode a missing file (expected to fail with proper error)
+  totalTests++;
+  const missingEncodeResult = await runTest('Error Handling - Encode Missing File', 'node cli.js encode missing_image.png');
+  if (!missingEncodeResult) passedTests++; // This test should fail, so we count it as passed if it fails
+  
+  // Test 15: Inline linked local images of an HTML file as data URLs
+  totalTests++;
+  if (await runTest('Inline Local Images', 'node cli.js inline test_inline.html -o test_inlined.html') &&
+      !(await fs.readFile('test_inlined.html', 'utf8')).includes('"test_encode.png')) passedTests++;
+  
+  // Test 16: Inline with --max-size leaves larger images linked
+  totalTests++;
+  if (await runTest('Inline With Max Size', 'node cli.js inline test_inline.html -o test_inlined.html --max-size 10') &&
+      !(await fs.readFile('test_inlined.html', 'utf8')).includes('data:image/')) passedTests++;
+  
+  // Test 17: Extract embedded images and rewrite the document with relative paths
+  totalTests++;
+  if (await runTest('Extract and Rewrite HTML', 'node cli.js extract --rewrite test.html -d test_assets -o test_extracted.html')) {
+    const rewritten = await fs.readFile('test_extracted.html', 'utf8');
+    if (!rewritten.includes('data:image/') && rewritten.includes('src="test_assets/image_1.png"')) passedTests++;
+  }
+  
+  // Test 18: Tokenizer finds srcset, SVG, entity-encoded, commented and CSS shorthand images
+  totalTests++;
+  if (await runTest('Tokenizer Edge Cases', 'node cli.js extract --rewrite test_tokenizer.html -d test_assets/tokenizer -o test_extracted.html')) {
+    const rewritten = await fs.readFile('test_extracted.html', 'utf8');
+    if (!rewritten.includes('base64') && rewritten.split('test_assets/tokenizer/image_1.png').length === 8) passedTests++;
+  }
+  
+  // Test 19: Data URL with extra parameters before ;base64
+  totalTests++;
+  if (await runTest('Convert Data URL with Parameters', `node cli.js convert "${testData.png.dataUrl.replace(';base64', ';charset=utf-8;base64')}" -o test_output.png`)) passedTests++;
+  
+  // Test 20: URL-safe base64 without padding
+  totalTests++;
+  const urlSafePng = testData.png.raw.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  if (await runTest('Convert URL-safe Base64', `node cli.js convert "${urlSafePng}" -o test_output.png`)) passedTests++;
+  
+  // Test 21: Percent-encoded SVG data URL
+  totalTests++;
+  if (await runTest('Convert Percent-encoded SVG', 'node cli.js convert "data:image/svg+xml,%3Csvg xmlns=%27http://www.w3.org/2000/svg%27%3E%3C/svg%3E" -o test_output.svg')) passedTests++;
+  
+  // Test 22: Line-wrapped, JSON-escaped data URL in a file
+  totalTests++;
+  if (await runTest('Convert JSON-escaped Wrapped Data URL', 'node cli.js -f test_json_data.txt -o test_output.png')) passedTests++;
+  
+  // Test 23: Error handling - malformed padding (expected to fail with proper error)
+  totalTests++;
+  const malformedResult = await runTest('Error Handling - Malformed Padding', `node cli.js convert "${testData.png.dataUrl.slice(0, -1)}"`);
+  if (!malformedResult) passedTests++; // This test should fail, so we count it as passed if it fails
+  
+  // Test 24: HAR capture with base64 response bodies and data URLs in HTML responses
+  totalTests++;
+  await fs.mkdir('test_assets', { recursive: true });
+  if (await runTest('Extract from HAR Capture', 'node cli.js -f test_capture.har -d test_assets')) passedTests++;
+  
+  // Test 25: Jupyter notebook image outputs
+  totalTests++;
+  if (await runTest('Extract from Jupyter Notebook', 'node cli.js -f test_notebook.ipynb -o test_output.png')) passedTests++;
+  
+  // Test 26: JSON with raw base64 detected by magic bytes, reported with JSON paths
+  totalTests++;
+  try {
+    const output = execSync('node cli.js -f test_api_response.json -d test_assets', { encoding: 'utf8' });
+    console.log(`\n🧪 Running test: Extract from JSON with Paths\n📤 Output:\n${output}`);
+    if (output.includes('$.user.avatar') && output.includes('$.user.banner') && (await fs.readdir('test_assets')).length >= 2) passedTests++;
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 27: Declared MIME type that contradicts the bytes is flagged
+  totalTests++;
+  try {
+    const mislabelled = testData.jpeg.dataUrl.replace('image/jpeg', 'image/png');
+    const output = execSync(`node cli.js detect "${mislabelled}"`, { encoding: 'utf8' });
+    console.log(`\n🧪 Running test: Detect MIME Type Mismatch\n📤 Output:\n${output}`);
+    if (output.includes('mismatch') && output.includes('image/jpeg')) passedTests++;
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 28: Mislabelled data URL is saved with the extension of its content
+  totalTests++;
+  if (await runTest('Convert Mislabelled Data URL', `node cli.js convert "${testData.jpeg.dataUrl.replace('image/jpeg', 'image/gif')}" -o test_output`)) {
+    try {
+      await fs.access('test_output.jpg');
+      passedTests++;
+    } catch (error) {
+      console.log('❌ Expected test_output.jpg to be written');
+    }
+  }
+  
+  // Test 29: Raw SVG, PDF and AVIF payloads are identified by signature
+  totalTests++;
+  const signatureSamples = {
+    'image/svg+xml': Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>'),
+    'application/pdf': Buffer.from('%PDF-1.7\n%âãÏÓ\n'),
+    'image/avif': Buffer.from('0000001c667479706176696600000000617669666d6966316d696166', 'hex')
+  };
+  let signaturesDetected = true;
+  for (const [mimeType, bytes] of Object.entries(signatureSamples)) {
+    const output = execSync(`node cli.js detect "${bytes.toString('base64')}"`, { encoding: 'utf8' });
+    if (!output.includes(mimeType)) {
+      console.log(`❌ Expected ${mimeType}, got:\n${output}`);
+      signaturesDetected = false;
+    }
+  }
+  if (signaturesDetected) passedTests++;
+  
+  // Test 30: Metadata inspection as JSON (dimensions, depth, color type, alpha)
+  totalTests++;
+  try {
+    const [record] = JSON.parse(execSync(`node cli.js detect "${testData.png.dataUrl}" --json`, { encoding: 'utf8' }));
+    console.log(`\n🧪 Running test: Detect Metadata as JSON\n📤 Output:\n${JSON.stringify(record)}`);
+    if (record.width === 1 && record.height === 1 && record.bitDepth === 8 && record.colorType === 'RGBA' &&
+        record.hasAlpha === true && record.issues.length === 0) passedTests++;
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 31: Truncated PNG is flagged
+  totalTests++;
+  try {
+    const truncated = Buffer.from(testData.png.raw, 'base64').subarray(0, 50).toString('base64');
+    const [record] = JSON.parse(execSync(`node cli.js detect "${truncated}" --json`, { encoding: 'utf8' }));
+    console.log(`\n🧪 Running test: Detect Truncated PNG\n📤 Output:\n${record.issues.join('\n')}`);
+    if (record.issues.some(issue => issue.includes('IEND'))) passedTests++;
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 32: Every image of an HTML file is inspected in a table
+  totalTests++;
+  if (await runTest('Detect Table for HTML File', 'node cli.js detect -f test.html')) passedTests++;
+  
+  // Test 33: Wrapped, JSON-escaped data URL piped through stdin is stream-decoded
+  totalTests++;
+  try {
+    await fs.mkdir('test_stream', { recursive: true });
+    const output = execSync('node cli.js - -d test_stream -o piped.png < test_json_data.txt', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] });
+    console.log(`\n🧪 Running test: Stream from stdin\n📤 Output:\n${output}`);
+    const decoded = await fs.readFile('test_stream/piped_1.png');
+    if (decoded.equals(Buffer.from(testData.png.raw, 'base64'))) passedTests++;
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 34: Stream command finds data URLs and quoted raw base64 in a HAR capture
+  totalTests++;
+  try {
+    await fs.rm('test_stream', { recursive: true, force: true });
+    await fs.mkdir('test_stream');
+    const output = execSync('node cli.js stream test_capture.har -d test_stream --no-progress', { encoding: 'utf8' });
+    console.log(`\n🧪 Running test: Stream Command on HAR Capture\n📤 Output:\n${output}`);
+    const streamed = await fs.readdir('test_stream');
+    const buffered = execSync('node cli.js detect -f test_capture.har --json', { encoding: 'utf8' });
+    if (streamed.length === JSON.parse(buffered).length) passedTests++;
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 35: NDJSON output has one record per image with output path and hash
+  totalTests++;
+  try {
+    await fs.rm('test_stream', { recursive: true, force: true });
+    await fs.mkdir('test_stream');
+    const output = execSync('node cli.js -f test_capture.har -d test_stream --ndjson', { encoding: 'utf8' });
+    console.log(`\n🧪 Running test: NDJSON Records\n📤 Output:\n${output}`);
+    const records = output.trim().split('\n').map(line => JSON.parse(line));
+    const complete = records.every(record => record.source === 'test_capture.har' && record.mimeType.startsWith('image/') &&
+      record.size > 0 && /^[0-9a-f]{64}$/.test(record.sha256) && record.output.startsWith('test_stream/'));
+    if (records.length > 1 && complete) passedTests++;
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 36: Distinct exit codes for "no images found" and "partial failure"
+  totalTests++;
+  const exitCode = command => {
+    try {
+      execSync(command, { encoding: 'utf8', stdio: 'pipe' });
+      return 0;
+    } catch (error) {
+      return error.status;
+    }
+  };
+  const noImagesCode = exitCode('node cli.js -f test_no_images.html --json');
+  const partialCode = exitCode('node cli.js -f test_partial.html -d test_stream --quiet');
+  console.log(`\n🧪 Running test: Exit Codes\n📤 No images: ${noImagesCode}, partial failure: ${partialCode}`);
+  if (noImagesCode === 2 && partialCode === 3) passedTests++;
+  
+  // Test 37: Library API decodes in-process without printing, writing or exiting
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Library API');
+    const html = await fs.readFile('test.html', 'utf8');
+    const image = decodeImage(scanHtmlForBase64Data(html)[0]);
+    let malformed = null;
+    try {
+      decodeImage(testData.png.dataUrl.slice(0, -1));
+    } catch (error) {
+      malformed = error;
+    }
+    if (Buffer.isBuffer(image.buffer) && /^[0-9a-f]{64}$/.test(image.sha256) &&
+      detectImageType(testData.jpeg.raw) === 'image/jpeg' && extractBase64Data(testData.png.dataUrl) === testData.png.raw &&
+      malformed instanceof MalformedDataError && malformed.code === 'ERR_MALFORMED_DATA') {
+      console.log('✅ Test passed!');
+      passedTests++;
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Tests 38-46: The bare form is an alias of convert with the same records, messages and exit codes
+  await fs.mkdir('test_parity', { recursive: true });
+  const parityCases = [
+    ['Data URL', `"${testData.png.dataUrl}" -o test_parity/single.png`],
+    ['Raw Base64 with Output Directory', `"${testData.jpeg.raw}" -d test_parity -o nested/raw`],
+    ['HTML File', '-f test.html -d test_parity'],
+    ['HAR File with Format', '-f test_capture.har --format har -d test_parity -o har.png'],
+    ['No Images', '-f test_no_images.html -d test_parity'],
+    ['Partial Failure', '-f test_partial.html -d test_parity'],
+    ['Invalid Data', '"invalid_base64_data" -d test_parity'],
+    ['Unknown Option', `--bogus "${testData.png.dataUrl}"`],
+    ['Unknown Format', '-f test.html --format pdf']
+  ];
+  // Each form starts from an empty directory, so neither sees the files of the other
+  const runForm = args => {
+    rmSync('test_parity', { recursive: true, force: true });
+    mkdirSync('test_parity');
+    return spawnSync(`node cli.js ${args} --ndjson`, { shell: true, encoding: 'utf8' });
+  };
+  const normalize = output => output.replace(/\d{13}/g, '<timestamp>');
+  for (const [name, args] of parityCases) {
+    totalTests++;
+    const bare = runForm(args);
+    const convert = runForm(`convert ${args}`);
+    console.log(`\n🧪 Running test: Default Mode Parity - ${name}`);
+    console.log(`📤 Exit codes: ${bare.status} / ${convert.status}\n${bare.stdout}${bare.stderr}`);
+    if (bare.status === convert.status && normalize(bare.stdout) === normalize(convert.stdout) &&
+      normalize(bare.stderr) === normalize(convert.stderr)) {
+      passedTests++;
+    } else {
+      console.log(`❌ Test failed: convert form printed\n${convert.stdout}${convert.stderr}`);
+    }
+  }
+  
+  // Test 47: A glob --file converts every match into its own subdirectory
+  await fs.mkdir('test_batch_input/pages', { recursive: true });
+  await fs.copyFile('test.html', 'test_batch_input/pages/index.html');
+  await fs.copyFile('test_capture.har', 'test_batch_input/capture.har');
+  await fs.copyFile('test_partial.html', 'test_batch_input/broken.html');
+  await fs.writeFile('test_batch_input/notes.txt', 'Plain notes without any images');
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Batch Glob with Jobs');
+    const output = execSync('node cli.js convert -f "test_batch_input/**/*.{html,har}" -d test_batch --jobs 2 --ndjson', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+    console.log(`❌ Test failed: expected a partial failure, got ${output.split('\n').length} records`);
+  } catch (error) {
+    // The broken input makes the batch a partial failure, the other inputs are still converted
+    const records = error.stdout.trim().split('\n').map(line => JSON.parse(line));
+    const written = (await fs.readdir('test_batch', { recursive: true, withFileTypes: true })).filter(entry => entry.isFile()).length;
+    const distinct = new Set(records.filter(record => record.sha256).map(record => record.sha256)).size;
+    console.log(`📤 Exit code: ${error.status}, files: ${written}, distinct images: ${distinct}`);
+    // Images shared by the inputs are written once, in the subdirectory of the first input in path order
+    const files = [...new Set(records.map(record => record.source))].sort();
+    const owner = new Map(records.filter(record => record.output).map(record => [record.sha256, record.source]));
+    const inOrder = records.filter(record => record.duplicateOf).every(record => files.indexOf(owner.get(record.sha256)) <= files.indexOf(record.source));
+    if (error.status === 3 && written === distinct && records.filter(record => record.output).length === written && inOrder &&
+      records.some(record => record.source === 'test_batch_input/broken.html' && record.error) &&
+      records.some(record => record.source === 'test_batch_input/pages/index.html' && (record.output || record.duplicateOf))) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected batch output');
+    }
+  }
+  
+  // Test 48: --recursive walks a directory and summarizes every source
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Batch Recursive Summary');
+    await fs.rm('test_batch_input/broken.html');
+    const output = execSync('node cli.js convert --recursive test_batch_input -d test_batch', { encoding: 'utf8' });
+    console.log(`📤 Output: ${output}`);
+    if (/3 input\(s\): \d+ image\(s\) converted, \d+ duplicate\(s\), 0 failure\(s\), 1 input\(s\) without images/.test(output) &&
+      output.includes('test_batch_input/pages/index.html')) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected summary');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 49: --name renders placeholders and images with the same content are written once
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Name Template and Deduplication');
+    const records = execSync('node cli.js -f test_named.html -d test_named -n "{context}_{width}x{height}_{hash:8}" --ndjson', { encoding: 'utf8' })
+      .trim().split('\n').map(line => JSON.parse(line));
+    const files = await fs.readdir('test_named');
+    console.log(`📤 Files: ${files.join(', ')}`);
+    if (files.length === 1 && files[0] === 'Company-Logo_1x1_49779094.png' &&
+      records.length === 2 && records[1].duplicateOf === records[0].output && !records[1].output) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected names or duplicates');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 50: --on-conflict keeps, replaces or renames an existing file
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Conflict Modes');
+    const runNamed = mode => JSON.parse(execSync(`node cli.js "${testData.png.dataUrl}" -d test_named -n "{context}_{width}x{height}_{hash:8}" --on-conflict ${mode} --ndjson`, { encoding: 'utf8' }));
+    const first = runNamed('rename');
+    const skipped = runNamed('skip');
+    const overwritten = runNamed('overwrite');
+    const renamed = runNamed('rename');
+    const files = await fs.readdir('test_named');
+    console.log(`📤 Outputs: ${skipped.output}, ${overwritten.output}, ${renamed.output}`);
+    if (first.output === 'test_named/unknown_1x1_49779094.png' && skipped.skipped && skipped.output === first.output && !overwritten.skipped &&
+      overwritten.output === skipped.output && renamed.output === 'test_named/unknown_1x1_49779094_2.png' && files.length === 3) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected conflict handling');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 51: --manifest lists every image and verify detects changed files
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Manifest and Verify');
+    execSync('node cli.js -f test.html -d test_manifest --manifest test_manifest/manifest.csv --quiet', { encoding: 'utf8' });
+    const [header, ...rows] = (await fs.readFile('test_manifest/manifest.csv', 'utf8')).trim().split('\n');
+    const intactCode = exitCode('node cli.js verify test_manifest/manifest.csv --quiet');
+    const manifestRows = parseManifest(await fs.readFile('test_manifest/manifest.csv', 'utf8'), 'csv');
+    await fs.appendFile(path.join('test_manifest', manifestRows[0].output), 'tampered');
+    const verify = spawnSync('node cli.js verify test_manifest/manifest.csv --ndjson', { shell: true, encoding: 'utf8' });
+    const statuses = verify.stdout.trim().split('\n').map(line => JSON.parse(line).status);
+    console.log(`📤 Rows: ${rows.length}, intact: ${intactCode}, tampered: ${verify.status} (${statuses.join(', ')})`);
+    if (header.startsWith('source,index,location,declaredType,detectedType') && rows.length === 4 &&
+      manifestRows.every(row => row.width === 1 && /^[0-9a-f]{64}$/.test(row.sha256) && row.duplicate === false) &&
+      intactCode === 0 && verify.status === 3 && statuses.filter(status => status === 'modified').length === 1) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected manifest or verification');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 52: The stream command writes a JSON manifest that verifies
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Stream Manifest');
+    execSync('node cli.js stream test_capture.har -d test_manifest/stream --no-progress --quiet --manifest test_manifest/stream.json', { encoding: 'utf8' });
+    const rows = JSON.parse(await fs.readFile('test_manifest/stream.json', 'utf8'));
+    const verifyCode = exitCode('node cli.js verify test_manifest/stream.json');
+    console.log(`📤 Rows: ${rows.length}, verify: ${verifyCode}`);
+    if (rows.length > 0 && rows.every(row => row.source === 'test_capture.har' && row.output.startsWith('stream/')) && verifyCode === 0) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected stream manifest');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 53: --to and --max-width transcode PNG and BMP images and report the size before and after
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Transcode and Resize');
+    const gradient = new Uint8Array(300 * 120 * 4).map((value, i) => i % 4 === 3 ? 255 : (i * 7) % 256);
+    const png = await encodePixels({ data: gradient, width: 300, height: 120 }, 'png');
+    // 40x20 24-bit BMP, rows padded to 4 bytes
+    const bmp = Buffer.alloc(54 + 120 * 20, 0x80);
+    bmp.write('BM', 0, 'latin1');
+    bmp.writeUInt32LE(bmp.length, 2);
+    bmp.writeUInt32LE(54, 10);
+    bmp.writeUInt32LE(40, 14);
+    bmp.writeInt32LE(40, 18);
+    bmp.writeInt32LE(20, 22);
+    bmp.writeUInt16LE(1, 26);
+    bmp.writeUInt16LE(24, 28);
+    bmp.writeUInt32LE(0, 30);
+    bmp.writeUInt32LE(120 * 20, 34);
+    await fs.writeFile('test_transcode.html', `<img src="data:image/png;base64,${png.toString('base64')}"><img src="data:image/bmp;base64,${bmp.toString('base64')}">`);
+    const records = execSync('node cli.js -f test_transcode.html -d test_transcode --to jpeg --max-width 100 --quality 80 --ndjson', { encoding: 'utf8' })
+      .trim().split('\n').map(line => JSON.parse(line));
+    const sizes = await Promise.all(records.map(async record => inspectImage((await fs.readFile(record.output)).toString('base64'))));
+    console.log(`📤 ${records.map((record, i) => `${record.originalMimeType} ${record.originalSize} → ${record.mimeType} ${record.size} (${sizes[i].width}x${sizes[i].height})`).join(', ')}`);
+    if (records.length === 2 && records.every(record => record.mimeType === 'image/jpeg' && record.output.endsWith('.jpg')) &&
+      records[0].originalMimeType === 'image/png' && records[1].originalMimeType === 'image/bmp' && records[1].size < records[1].originalSize &&
+      sizes[0].width === 100 && sizes[0].height === 40 && sizes[1].width === 40 && sizes[1].height === 20) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected transcoding results');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 54: --strip-metadata removes text chunks without re-encoding
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Strip Metadata');
+    const png = Buffer.from(testData.png.raw, 'base64');
+    const text = Buffer.from('tEXtComment\0created by a test', 'latin1');
+    const chunk = Buffer.alloc(text.length + 8);
+    chunk.writeUInt32BE(text.length - 4, 0);
+    text.copy(chunk, 4);
+    // IHDR ends at byte 33; the CRC of the text chunk is not checked when stripping
+    const tagged = Buffer.concat([png.subarray(0, 33), chunk, png.subarray(33)]);
+    const record = JSON.parse(execSync(`node cli.js "data:image/png;base64,${tagged.toString('base64')}" -d test_transcode --strip-metadata --ndjson`, { encoding: 'utf8' }));
+    const written = await fs.readFile(record.output);
+    console.log(`📤 ${record.originalSize} → ${record.size} bytes`);
+    if (record.mimeType === 'image/png' && record.originalSize === tagged.length && written.equals(png)) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: metadata was not stripped');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 55: audit reports every embedded occurrence, its duplicates and the inline budget
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Embedded Image Audit');
+    mkdirSync('test_audit/src', { recursive: true });
+    mkdirSync('test_audit/node_modules/lib', { recursive: true });
+    await fs.writeFile('test_audit/index.html', `<html>\n<body>\n<img src="${testData.png.dataUrl}">\n</body></html>`);
+    await fs.writeFile('test_audit/src/app.css', `.logo {\n  background: url(${testData.png.dataUrl});\n}`);
+    await fs.writeFile('test_audit/src/app.js', `export const photo = '${testData.jpeg.dataUrl}';`);
+    await fs.writeFile('test_audit/node_modules/lib/index.js', `export const icon = '${testData.png.dataUrl}';`);
+    const records = JSON.parse(execSync('node cli.js audit test_audit --json', { encoding: 'utf8' }));
+    const overBudgetCode = exitCode('node cli.js audit test_audit --max-inline-size 100 -q');
+    const withinBudgetCode = exitCode('node cli.js audit test_audit --max-inline-size 1k');
+    console.log(`📤 ${records.map(record => `${record.file}:${record.line} ${record.mimeType} ${record.size}/${record.encodedSize} x${record.occurrences}`).join(', ')}; exit codes ${overBudgetCode}, ${withinBudgetCode}`);
+    const [html, css, js] = records;
+    if (records.length === 3 && html.line === 3 && css.line === 2 && js.mimeType === 'image/jpeg' &&
+      html.duplicate && css.duplicate && !js.duplicate && html.occurrences === 2 &&
+      html.encodedSize === testData.png.dataUrl.length && html.overhead === html.encodedSize - html.size &&
+      overBudgetCode === 4 && withinBudgetCode === 0) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected audit results');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 56: plain and percent-encoded SVG data URLs and raw SVG markup are extracted, --sanitize-svg cleans them
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: SVG Extraction and Sanitization');
+    const svg = `<svg xmlns='http://www.w3.org/2000/svg' onload='alert(1)'><script>alert(2)</script><image href='https://example.com/t.png'/><a href='javascript:alert(3)'><rect fill='%23f00'/></a></svg>`;
+    await fs.writeFile('test_svg.html', `<img src="data:image/svg+xml;utf8,${svg}">\n<div style="background: url('data:image/svg+xml,${encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg"><use href="#a"/></svg>')}')"></div>`);
+    const records = execSync('node cli.js -f test_svg.html -d test_svg --sanitize-svg --ndjson', { encoding: 'utf8' })
+      .trim().split('\n').map(line => JSON.parse(line));
+    const cleaned = await fs.readFile(records[0].output, 'utf8');
+    const raw = JSON.parse(execSync(`node cli.js "<svg xmlns='http://www.w3.org/2000/svg' width='4' height='4'/>" -d test_svg --json`, { encoding: 'utf8' }));
+    console.log(`📤 Removed: ${records[0].sanitized.join('; ')}; raw: ${raw[0].mimeType}`);
+    if (records.length === 2 && records.every(record => record.mimeType === 'image/svg+xml' && record.output.endsWith('.svg')) &&
+      records[0].sanitized.length === 4 && records[1].sanitized.length === 0 &&
+      !/script|onload|javascript|example\.com/.test(cleaned) && cleaned.includes("fill='#f00'") &&
+      detectImageType('<?xml version="1.0"?>\n<svg></svg>') === 'image/svg+xml' && raw[0].mimeType === 'image/svg+xml') {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected SVG extraction or sanitization');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Tests 57-59 and 73 fetch from a local HTTP server, so the CLI runs without blocking the event loop
+  const gif = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+  const site = {
+    '/robots.txt': 'User-agent: *\nDisallow: /site/private/\n',
+    '/site/': `<a href="a.html">A</a> <a href="/site/b.html#top">B</a> <a href="private/x.html">X</a> <a href="old/y.html">Y</a>` +
+      `<a href="http://localhost:1/">External</a><img src="${testData.png.dataUrl}">`,
+    '/site/a.html': `<a href="c.html">C</a> <a href="/site/">Home</a><img alt="Logo" src="${testData.png.dataUrl}">`,
+    '/site/b.html': `<div style="background: url(${gif})"></div>`,
+    '/site/c.html': `<img src="${testData.jpeg.dataUrl}">`,
+    '/site/private/x.html': `<img src="${testData.jpeg.dataUrl}">`,
+    '/site/old/y.html': `<img src="${testData.jpeg.dataUrl}">`
+  };
+  const requests = [];
+  let flakyRequests = 0;
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers, time: Date.now() });
+    if (req.url === '/private/page.html') {
+      if (req.headers['x-api-key'] !== 'secret' || req.headers.cookie !== 'session=abc; theme=dark') {
+        res.writeHead(401).end();
+        return;
+      }
+      res.setHeader('content-type', 'text/html');
+      res.end(`<html><head><link rel="stylesheet" href="/private/style.css"><script src="app.js"></script>` +
+        `<script src="http://localhost:1/cdn.js"></script></head><body><img src="${testData.png.dataUrl}"></body></html>`);
+    } else if (req.url === '/private/style.css') {
+      res.setHeader('content-type', 'text/css');
+      res.end(`.logo {\n  background: url(${gif});\n}`);
+    } else if (req.url === '/private/app.js') {
+      res.setHeader('content-type', 'text/javascript');
+      res.end(`const photo = '${testData.jpeg.raw}';`);
+    } else if (site[req.url]) {
+      res.setHeader('content-type', req.url.endsWith('.txt') ? 'text/plain' : 'text/html');
+      res.end(site[req.url]);
+    } else if (req.url === '/moved') {
+      res.writeHead(302, { location: '/private/page.html' }).end();
+    } else if (req.url === '/flaky') {
+      res.writeHead(flakyRequests++ < 2 ? 503 : 200).end(flakyRequests > 2 ? `<img src="${testData.png.dataUrl}">` : '');
+    } else if (req.url === '/slow') {
+      setTimeout(() => res.end(testData.png.dataUrl), 5000);
+    } else if (req.url === '/large') {
+      res.end(' '.repeat(4096) + testData.png.dataUrl);
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const runCli = async args => {
+    try {
+      const { stdout } = await promisify(execFile)('node', ['cli.js', ...args], { encoding: 'utf8' });
+      return { code: 0, stdout };
+    } catch (error) {
+      return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+    }
+  };
+  
+  // Test 57: --header, --cookie and --user-agent are sent, redirects are followed and --follow-assets scans linked CSS and JS
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: URL Headers and Linked Assets');
+    const { code, stdout } = await runCli(['-u', `${baseUrl}/moved`, '-d', 'test_fetch', '--follow-assets', '--json',
+      '-H', 'X-Api-Key: secret', '--cookie', 'session=abc', '--cookie', 'theme=dark', '--user-agent', 'b64ic-test/1.0']);
+    const records = JSON.parse(stdout);
+    const withoutAssets = await runCli(['-u', `${baseUrl}/private/page.html`, '-d', 'test_fetch', '--json', '-H', 'X-Api-Key: secret', '--cookie', 'session=abc; theme=dark']);
+    console.log(`📤 ${records.map(record => `${record.mimeType} @ ${record.location}`).join(', ')}; without assets: ${JSON.parse(withoutAssets.stdout).length}`);
+    const page = requests.find(request => request.url === '/private/page.html');
+    if (code === 0 && records.length === 3 && records.map(record => record.mimeType).join() === 'image/png,image/gif,image/jpeg' &&
+      records[1].location === `${baseUrl}/private/style.css, line 2, column 19: .logo { background }` &&
+      page.headers['user-agent'] === 'b64ic-test/1.0' && JSON.parse(withoutAssets.stdout).length === 1 &&
+      !requests.some(request => request.url === '/cdn.js')) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected fetch results');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 58: failed requests are retried with backoff, and --timeout and --max-bytes stop a request
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: URL Retries, Timeouts and Size Limits');
+    const flaky = await runCli(['-u', `${baseUrl}/flaky`, '-d', 'test_fetch', '--retry-delay', '10', '--ndjson']);
+    flakyRequests = 0;
+    const noRetries = await runCli(['-u', `${baseUrl}/flaky`, '-d', 'test_fetch', '--retries', '0']);
+    const started = Date.now();
+    const slow = await runCli(['-u', `${baseUrl}/slow`, '-d', 'test_fetch', '--timeout', '0.3', '--retries', '0']);
+    const elapsed = Date.now() - started;
+    const large = await runCli(['-u', `${baseUrl}/large`, '-d', 'test_fetch', '--max-bytes', '1k']);
+    console.log(`📤 flaky: ${flaky.code}, ${requests.filter(request => request.url === '/flaky').length} requests; slow: ${slow.code} after ${elapsed} ms; large: ${large.code}`);
+    if (flaky.code === 0 && JSON.parse(flaky.stdout).mimeType === 'image/png' && requests.filter(request => request.url === '/flaky').length === 4 &&
+      noRetries.code === 1 && slow.code === 1 && /timed out after 300 ms/.test(slow.stderr) && elapsed < 4000 &&
+      large.code === 1 && /larger than 1024 bytes/.test(large.stderr)) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected retry, timeout or size limit behavior');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  // Test 59: crawl follows same-origin links up to --depth, honours robots.txt and --exclude, and writes each image once
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Crawl');
+    const shallow = await runCli(['crawl', `${baseUrl}/site/`, '-d', 'test_crawl/shallow', '--depth', '1', '--exclude', '/site/old/**', '--delay', '0', '--json']);
+    const records = JSON.parse(shallow.stdout);
+    const deep = await runCli(['crawl', `${baseUrl}/site/`, '-d', 'test_crawl/deep', '--exclude', '/site/old/**', '--delay', '0', '--json', '--manifest', 'test_crawl/deep/manifest.json']);
+    const rows = JSON.parse(await fs.readFile('test_crawl/deep/manifest.json', 'utf8'));
+    const limited = await runCli(['crawl', `${baseUrl}/site/`, '-d', 'test_crawl/limited', '--max-pages', '1', '--json']);
+    const crawled = requests.map(request => request.url);
+    console.log(`📤 ${records.map(record => `${record.mimeType} on ${record.pages.length} page(s)`).join(', ')}; deep: ${JSON.parse(deep.stdout).length} image(s), ${rows.length} row(s)`);
+    const png = records.find(record => record.mimeType === 'image/png');
+    if (shallow.code === 0 && records.length === 2 && png.pages.map(page => page.url).sort().join() === `${baseUrl}/site/,${baseUrl}/site/a.html` &&
+      (await fs.readdir('test_crawl/shallow')).length === 2 && JSON.parse(deep.stdout).length === 3 && rows.length === 4 &&
+      rows.filter(row => row.duplicate).length === 1 && JSON.parse(limited.stdout).length === 1 &&
+      !crawled.includes('/site/private/x.html') && !crawled.includes('/site/old/y.html')) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected crawl results');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 73: robots.txt is read before the start page, and --delay spaces the requests of all workers together
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Crawl Politeness');
+    requests.length = 0;
+    const disallowed = await runCli(['crawl', `${baseUrl}/site/private/x.html`, '-d', 'test_crawl/disallowed', '--delay', '0']);
+    const seed = requests.map(request => request.url);
+    requests.length = 0;
+    const parallel = await runCli(['crawl', `${baseUrl}/site/`, '-d', 'test_crawl/parallel', '--depth', '1', '--concurrency', '3', '--delay', '200', '--json']);
+    const times = requests.filter(request => request.url.startsWith('/site/')).map(request => request.time);
+    const gaps = times.slice(1).map((time, i) => time - times[i]);
+    console.log(`📤 seed: ${seed.join(', ')} (exit ${disallowed.code}); gaps: ${gaps.join(', ')} ms`);
+    if (seed.join() === '/robots.txt' && disallowed.code === 2 && /Disallowed by robots\.txt/.test(disallowed.stdout) &&
+      parallel.code === 0 && times.length === 4 && gaps.every(gap => gap >= 180)) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected robots.txt order or request spacing');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  server.closeAllConnections();
+  server.close();
+  
+  // Test 60: email parts are decoded and named after their file name or Content-ID, extract --rewrite resolves cid: references
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Email Extraction');
+    const base64 = dataUrl => dataUrl.split(',')[1];
+    const email = [
+      'From: Alice <alice@example.com>',
+      'MIME-Version: 1.0',
+      'Content-Type: multipart/related; boundary="rel"',
+      '',
+      '--rel',
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      '<p>Hi</p><img src=3D"cid:logo@example.com"><img alt=3D"Dot" src=3D"data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7">',
+      '--rel',
+      'Content-Type: image/png',
+      'Content-Transfer-Encoding: base64',
+      'Content-ID: <logo@example.com>',
+      '',
+      base64(testData.png.dataUrl).replace(/(.{40})/g, '$1\n'),
+      '--rel',
+      'Content-Type: application/octet-stream',
+      'Content-Disposition: attachment;',
+      ' filename="=?UTF-8?B?UGhvdG8uanBn?="',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64(testData.jpeg.dataUrl),
+      '--rel--',
+      ''
+    ].join('\r\n');
+    await fs.mkdir('test_email', { recursive: true });
+    await fs.writeFile('test_email/message.eml', email);
+    await fs.writeFile('test_email/inbox.mbox', `From alice@example.com Mon Jan  1 00:00:00 2024\n${email}\nFrom bob@example.com Tue Jan  2 00:00:00 2024\n${email}`);
+    const records = JSON.parse(execSync(`node cli.js -f test_email/message.eml -d test_email/out -n '{context}' --json`, { encoding: 'utf8' }));
+    execSync('node cli.js extract test_email/message.eml --rewrite', { encoding: 'utf8' });
+    const body = await fs.readFile('test_email/message.extracted.html', 'utf8');
+    const mailbox = scanContentForImages(await fs.readFile('test_email/inbox.mbox', 'utf8'), 'mbox');
+    console.log(`📤 ${records.map(record => `${record.output} (${record.location})`).join(', ')}`);
+    if (records.length === 3 && records.map(record => path.basename(record.output)).join() === 'Dot.gif,logo.png,Photo.jpg' &&
+      records[1].location === 'line 11: part 2 <logo@example.com>' &&
+      body === '<p>Hi</p><img src="message_assets/logo.png"><img alt="Dot" src="message_assets/image_3.gif">' &&
+      mailbox.length === 6 && mailbox[5].path === 'message 2, part 3 (Photo.jpg)' &&
+      detectInputFormat('message', email) === 'eml' && detectInputFormat('inbox', `From alice@example.com Mon Jan  1\n${email}`) === 'mbox') {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected email extraction');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 61: archives are opened in memory, nested ones up to --max-archive-depth, and --max-archive-size stops zip bombs
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Archive Scanning');
+    // Minimal deflated ZIP and ustar writers
+    const zipArchive = files => {
+      const local = [];
+      const central = [];
+      let offset = 0;
+      for (const [name, content] of Object.entries(files)) {
+        const data = zlib.deflateRawSync(Buffer.from(content));
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt32LE(data.length, 18);
+        header.writeUInt32LE(Buffer.byteLength(content), 22);
+        header.writeUInt16LE(Buffer.byteLength(name), 26);
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt32LE(data.length, 20);
+        entry.writeUInt32LE(Buffer.byteLength(content), 24);
+        entry.writeUInt16LE(Buffer.byteLength(name), 28);
+        entry.writeUInt32LE(offset, 42);
+        local.push(header, Buffer.from(name), data);
+        central.push(entry, Buffer.from(name));
+        offset += 30 + Buffer.byteLength(name) + data.length;
+      }
+      const directory = Buffer.concat(central);
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(central.length / 2, 8);
+      end.writeUInt16LE(central.length / 2, 10);
+      end.writeUInt32LE(directory.length, 12);
+      end.writeUInt32LE(offset, 16);
+      return Buffer.concat([...local, directory, end]);
+    };
+    const tarArchive = files => Buffer.concat([...Object.entries(files).flatMap(([name, content]) => {
+      const data = Buffer.from(content);
+      const header = Buffer.alloc(512);
+      header.write(name, 0);
+      header.write(data.length.toString(8).padStart(11, '0'), 124);
+      header.write('0', 156);
+      header.write('ustar', 257);
+      header.fill(' ', 148, 156);
+      const checksum = header.reduce((sum, byte) => sum + byte, 0);
+      header.write(`${checksum.toString(8).padStart(6, '0')}\0`, 148);
+      return [header, data, Buffer.alloc((512 - data.length % 512) % 512)];
+    }), Buffer.alloc(1024)]);
+    
+    const epub = zipArchive({
+      mimetype: 'application/epub+zip',
+      'OEBPS/ch1.xhtml': `<html><body><img alt="Cover" src="${testData.png.dataUrl}"/></body></html>`,
+      'OEBPS/data.json': JSON.stringify({ icon: gif })
+    });
+    await fs.mkdir('test_archive', { recursive: true });
+    await fs.writeFile('test_archive/export.tar.gz', zlib.gzipSync(tarArchive({ 'site/index.html': `<img src="${testData.jpeg.dataUrl}">`, 'site/book.epub': epub })));
+    await fs.writeFile('test_archive/bomb.zip', zipArchive({ 'zeros.txt': '0'.repeat(2 * 1024 * 1024) }));
+    const records = JSON.parse(execSync('node cli.js -f test_archive/export.tar.gz -d test_archive/out --json', { encoding: 'utf8' }));
+    const shallow = JSON.parse(execSync('node cli.js -f test_archive/export.tar.gz -d test_archive/shallow --max-archive-depth 1 --json', { encoding: 'utf8' }));
+    const bomb = spawnSync('node cli.js -f test_archive/bomb.zip -d test_archive/bomb --max-archive-size 1MB', { shell: true, encoding: 'utf8' });
+    console.log(`📤 ${records.map(record => record.location).join(' | ')}`);
+    if (records.length === 3 && shallow.length === 1 && bomb.status === 1 && bomb.stderr.includes('Archive limit exceeded') &&
+      records[0].location === 'export.tar.gz!/site/index.html, line 1, column 11: <img src>' &&
+      records[1].location === 'export.tar.gz!/site/book.epub!/OEBPS/ch1.xhtml, line 1, column 35: <img src>' &&
+      records[2].location === 'export.tar.gz!/site/book.epub!/OEBPS/data.json, $.icon') {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected archive scan');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 62: the HTTP service decodes, detects, scans and encodes, and refuses large bodies and foreign hosts
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: HTTP Service');
+    const service = createService({ maxBodySize: '1k' });
+    await new Promise(resolve => service.listen(0, '127.0.0.1', resolve));
+    const serviceUrl = `http://127.0.0.1:${service.address().port}`;
+    const post = async (endpoint, body, headers = {}) => {
+      const response = await fetch(`${serviceUrl}${endpoint}`, { method: 'POST', body, headers });
+      return { status: response.status, json: await response.json() };
+    };
+    const health = await (await fetch(`${serviceUrl}/health`)).json();
+    const decoded = await post('/decode', JSON.stringify({ data: gif }), { 'Content-Type': 'application/json' });
+    const detected = await post('/detect', testData.png.dataUrl.split(',')[1]);
+    const scanned = await post('/scan', `<p><img alt="Dot" src="${gif}"></p>`, { 'Content-Type': 'text/html' });
+    const encoded = await post('/encode?format=base64', Buffer.from(gif.split(',')[1], 'base64'));
+    const malformed = await post('/decode', 'data:image/png;base64,@@@@');
+    const tooLarge = await post('/scan', 'x'.repeat(2048));
+    const wrongMethod = await fetch(`${serviceUrl}/encode`);
+    const foreignHost = await new Promise(resolve => http.get(`${serviceUrl}/health`, { headers: { Host: 'attacker.example' } }, resolve));
+    foreignHost.resume();
+    service.closeAllConnections();
+    service.close();
+    console.log(`📤 decode: ${decoded.json.mimeType}, detect: ${detected.json.mimeType}, scan: ${scanned.json.images.length} image(s), errors: ${malformed.status}, ${tooLarge.status}, ${wrongMethod.status}, ${foreignHost.statusCode}`);
+    if (health.status === 'ok' && decoded.json.mimeType === 'image/gif' && decoded.json.data === gif.split(',')[1] &&
+      detected.json.mimeType === 'image/png' && detected.json.width > 0 &&
+      scanned.json.images[0].context === 'Dot' && scanned.json.images[0].dataUrl === gif &&
+      encoded.json.output === gif.split(',')[1] && encoded.json.mimeType === 'image/gif' &&
+      malformed.status === 400 && malformed.json.code === 'ERR_MALFORMED_DATA' && tooLarge.status === 413 &&
+      wrongMethod.status === 405 && foreignHost.statusCode === 403) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected service responses');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 63: watch scans new and changed files once they settle, writes each image once and skips its output directory
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Watch Mode');
+    await fs.mkdir('test_watch/in', { recursive: true });
+    await fs.writeFile('test_watch/in/existing.html', `<img src="${gif}">`);
+    const watching = promisify(execFile)('node', ['cli.js', 'watch', 'test_watch/in', '-d', 'test_watch/in/out', '--interval', '50', '--debounce', '300', '--ndjson'],
+      { encoding: 'utf8', timeout: 4000, killSignal: 'SIGINT' });
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    // Written in two steps inside the debounce window, then a file removed before it settles
+    await fs.writeFile('test_watch/in/snapshot.html', `<img src="${gif}">`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await fs.appendFile('test_watch/in/snapshot.html', `<img src="${testData.jpeg.dataUrl}">`);
+    await fs.writeFile('test_watch/in/gone.html', `<img src="${testData.png.dataUrl}">`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await fs.unlink('test_watch/in/gone.html');
+    const { stdout } = await watching;
+    const records = stdout.trim().split('\n').map(line => JSON.parse(line));
+    console.log(`📤 ${records.map(record => `${record.source}#${record.index}${record.duplicateOf ? ' (known)' : ''}`).join(', ')}`);
+    if (records.length === 3 && records.filter(record => record.output && !record.duplicateOf).length === 2 &&
+      records.filter(record => record.source.endsWith('snapshot.html')).length === 2 && records[1].duplicateOf &&
+      !records.some(record => record.source.includes('gone') || record.source.includes('/out/'))) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected watch results');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 64: --gallery writes a contact sheet next to the images, --archive packages both into one file
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Gallery and Archive Output');
+    await fs.mkdir('test_gallery/in', { recursive: true });
+    await fs.writeFile('test_gallery/in/a.html', `<img alt="Dot & co" src="${gif}"><img src="${testData.png.dataUrl}">`);
+    await fs.writeFile('test_gallery/in/b.html', `<img src="${gif}">`);
+    execSync('node cli.js -f "test_gallery/in/*.html" -d test_gallery/out -j 1 --gallery -q');
+    const gallery = await fs.readFile('test_gallery/out/index.html', 'utf8');
+    const records = JSON.parse(execSync('node cli.js -f test_gallery/in/a.html --archive test_gallery/images.zip --json', { encoding: 'utf8' }));
+    // Only the gallery is a text file in the archive; the images must not be written as loose files
+    const { entries } = scanArchiveForImages(await fs.readFile('test_gallery/images.zip'), { name: 'images.zip' });
+    const loose = await Promise.all(records.map(record => fs.stat(path.basename(record.output)).then(() => true, () => false)));
+    const cards = (gallery.match(/<figure>/g) || []).length;
+    console.log(`📤 ${cards} card(s), archived: ${records.map(record => record.output).join(', ')}`);
+    if (cards === 2 && gallery.includes('<img src="a_html/image_1.gif"') && gallery.includes('&lt;img src&gt;') &&
+      gallery.includes('<dt>Duplicates</dt><dd>1</dd>') && records.every(record => record.output.startsWith('test_gallery/images.zip!/')) &&
+      records.length === 2 && entries === 1 && !loose.includes(true)) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected gallery or archive');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 65: without --to, GIF keeps its format and SVG passes through --strip-metadata and --max-width
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Transcoding Keeps Undecodable and Unencodable Formats');
+    const svg = 'data:image/svg+xml;base64,' + Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400"/>').toString('base64');
+    await fs.mkdir('test_transcode', { recursive: true });
+    await fs.writeFile('test_transcode/mixed.html', `<img src="${gif}"><img src="${svg}">`);
+    const run = options => spawnSync(`node cli.js -f test_transcode/mixed.html -d test_transcode/kept ${options} --no-dedupe --ndjson`, { shell: true, encoding: 'utf8' });
+    const stripped = run('--strip-metadata');
+    const limited = run('--max-width 10');
+    const records = [stripped, limited].flatMap(result => result.stdout.trim().split('\n').map(line => JSON.parse(line)));
+    const written = await Promise.all(records.map(record => fs.readFile(record.output)));
+    console.log(`📤 ${records.map(record => `${record.mimeType} → ${path.extname(record.output)}`).join(', ')}; exit codes ${stripped.status}, ${limited.status}`);
+    if (stripped.status === 0 && limited.status === 0 && records.length === 4 &&
+      records.map(record => record.mimeType).join() === 'image/gif,image/svg+xml,image/gif,image/svg+xml' &&
+      written[0].equals(Buffer.from(gif.split(',')[1], 'base64')) && written[2].equals(written[0]) && !records.some(record => record.originalMimeType)) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: images were re-encoded or rejected');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 66: streaming rejects payloads without base64 data and never replaces an existing file by default
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Stream Rejects Empty Payloads and Keeps Existing Files');
+    await fs.mkdir('test_stream/conflict', { recursive: true });
+    await fs.writeFile('test_stream/invalid.txt', 'data:image/png;base64,@@@@');
+    await fs.writeFile('test_stream/same.json', JSON.stringify({ icon: gif }));
+    await fs.writeFile('test_stream/conflict/same_1.gif', 'existing');
+    const invalid = spawnSync('node cli.js stream test_stream/invalid.txt -d test_stream/invalid --ndjson', { shell: true, encoding: 'utf8' });
+    const renamed = JSON.parse(execSync('node cli.js stream test_stream/same.json -d test_stream/conflict -o same --ndjson', { encoding: 'utf8' }));
+    const skipped = JSON.parse(execSync('node cli.js stream test_stream/same.json -d test_stream/conflict -o same --on-conflict skip --ndjson', { encoding: 'utf8' }));
+    const invalidFiles = await fs.readdir('test_stream/invalid').catch(() => []);
+    const existing = await fs.readFile('test_stream/conflict/same_1.gif', 'utf8');
+    console.log(`📤 invalid: exit ${invalid.status}, ${invalidFiles.length} file(s); renamed to ${renamed.output}; skipped: ${skipped.skipped}`);
+    if (invalid.status === 1 && invalid.stdout.includes('invalid character \\"@\\"') && invalidFiles.length === 0 &&
+      existing === 'existing' && renamed.output.endsWith('same_1_2.gif') && skipped.skipped && skipped.output.endsWith('same_1.gif')) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected streaming results');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 67: stream sends the URL options and fails on a stalled or oversized response instead of hanging
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Stream URL Options');
+    const streamServer = http.createServer((req, res) => {
+      if (req.url === '/export.json') {
+        res.end(req.headers['x-api-key'] === 'secret' ? JSON.stringify({ icon: gif }) : '{}');
+      } else if (req.url === '/stalled.json') {
+        res.writeHead(200).write('{"icon": "');
+      } else {
+        res.end(' '.repeat(4096) + gif);
+      }
+    });
+    await new Promise(resolve => streamServer.listen(0, '127.0.0.1', resolve));
+    const streamUrl = `http://127.0.0.1:${streamServer.address().port}`;
+    const stream = async args => {
+      try {
+        const { stdout } = await promisify(execFile)('node', ['cli.js', 'stream', ...args, '-d', 'test_stream/url', '--no-progress'], { encoding: 'utf8', timeout: 10000 });
+        return { code: 0, stdout };
+      } catch (error) {
+        return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+      }
+    };
+    const withHeader = await stream([`${streamUrl}/export.json`, '-H', 'X-Api-Key: secret', '--ndjson']);
+    const started = Date.now();
+    const stalled = await stream([`${streamUrl}/stalled.json`, '--timeout', '0.5']);
+    const elapsed = Date.now() - started;
+    const large = await stream([`${streamUrl}/large.json`, '--max-bytes', '1k']);
+    streamServer.closeAllConnections();
+    streamServer.close();
+    console.log(`📤 header: ${withHeader.code}; stalled: ${stalled.code} after ${elapsed} ms; large: ${large.code}`);
+    if (withHeader.code === 0 && JSON.parse(withHeader.stdout).mimeType === 'image/gif' &&
+      stalled.code === 1 && /no data received for 500 ms/.test(stalled.stderr) && elapsed < 5000 &&
+      large.code === 1 && /larger than 1024 bytes/.test(large.stderr)) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected streamed URL results');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 68: invalid URLs and unsupported protocols fail at once, refused connections are retried
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Fetch Retries Only Network Errors');
+    const retriesOf = async url => {
+      let retries = 0;
+      const error = await fetchUrl(url, { retryDelay: 10, onRetry: () => retries++ }).then(() => null, error => error);
+      return { retries, message: error && error.message };
+    };
+    const invalid = await retriesOf('http://');
+    const unsupported = await retriesOf('ftp://example.com/image.png');
+    const refused = await retriesOf('http://127.0.0.1:1/');
+    console.log(`📤 retries: invalid ${invalid.retries}, unsupported ${unsupported.retries}, refused ${refused.retries}`);
+    if (invalid.message && invalid.retries === 0 && unsupported.message && unsupported.retries === 0 &&
+      /ECONNREFUSED/.test(refused.message) && refused.retries === 2) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected retries');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 69: wrapped CSS output escapes its line breaks, so the string stays valid
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Encode Wrapped CSS');
+    await fs.writeFile('test_encode_wrap.gif', Buffer.from(gif.split(',')[1], 'base64'));
+    const wrapped = execSync('node cli.js encode test_encode_wrap.gif --format css --wrap 20', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+    const lines = wrapped.split('\n');
+    console.log(`📤 ${lines.length} line(s): ${lines[0]}`);
+    if (lines.length > 1 && lines.slice(0, -1).every(line => line.endsWith('\\')) &&
+      wrapped.replace(/\\\n/g, '') === `url("${gif}")`) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: line breaks of the CSS string are not escaped');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 70: documents extracted into a shared assets directory keep their own images
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Extract into a Shared Assets Directory');
+    await fs.mkdir('test_assets/shared', { recursive: true });
+    await fs.writeFile('test_assets/shared/first.html', `<img src="${testData.png.dataUrl}">`);
+    const redDot = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==';
+    await fs.writeFile('test_assets/shared/second.html', `<img src="data:image/png;base64,${redDot}">`);
+    execSync('node cli.js extract --rewrite test_assets/shared/first.html -d test_assets/shared/assets');
+    execSync('node cli.js extract --rewrite test_assets/shared/second.html -d test_assets/shared/assets');
+    const first = await fs.readFile('test_assets/shared/first.extracted.html', 'utf8');
+    const second = await fs.readFile('test_assets/shared/second.extracted.html', 'utf8');
+    const firstImage = await fs.readFile('test_assets/shared/assets/image_1.png');
+    const secondImage = await fs.readFile('test_assets/shared/assets/image_1_2.png');
+    console.log(`📤 ${first.match(/src="([^"]*)"/)[1]}, ${second.match(/src="([^"]*)"/)[1]}`);
+    if (first.includes('src="assets/image_1.png"') && second.includes('src="assets/image_1_2.png"') &&
+      firstImage.equals(Buffer.from(testData.png.raw, 'base64')) && secondImage.equals(Buffer.from(redDot, 'base64'))) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: the first document lost its image');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 71: --sanitize-svg decodes padded character references and removes HTML and entities that carry script
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: SVG Sanitization of Hidden Script');
+    const payloads = [
+      '<svg xmlns="http://www.w3.org/2000/svg"><a href="&#0000000106;avascript:alert(1)"><text>x</text></a><a href="data:text/html,x">y</a></svg>',
+      '<svg xmlns="http://www.w3.org/2000/svg"><foreignObject><iframe srcdoc="&lt;script&gt;alert(1)&lt;/script&gt;"></iframe></foreignObject></svg>',
+      '<!DOCTYPE svg [<!ENTITY x "&#60;script&#62;alert(1)&#60;/script&#62;">]><svg xmlns="http://www.w3.org/2000/svg">&x;</svg>'
+    ];
+    const results = payloads.map(payload => sanitizeSvg(payload));
+    console.log(`📤 Removed: ${results.map(result => result.removed.join(', ')).join('; ')}`);
+    if (results.every(result => result.removed.length > 0 && !/javascript|srcdoc|iframe|ENTITY|script/i.test(result.svg)) &&
+      results[0].svg.includes('<text>x</text>') && results[2].svg.startsWith('<!DOCTYPE svg>')) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: script survived sanitization');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 72: a padded payload ends at its padding, so a following comment close is not read as URL-safe base64
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Padding Ends a Data URL');
+    await fs.writeFile('test_padding.html', `<!-- ${testData.png.dataUrl}-->\n<p>${testData.png.dataUrl.replace(/=/g, '%3D')}--</p>`);
+    const records = JSON.parse(execSync('node cli.js -f test_padding.html -d test_padding --json', { encoding: 'utf8' }));
+    console.log(`📤 ${records.map(record => record.error || `${record.mimeType} ${record.size} bytes`).join(', ')}`);
+    if (records.length === 2 && records.every(record => record.mimeType === 'image/png' && !record.error)) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: the payload ran into the text after its padding');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
+  // Test 74: detect reports missing, unreadable and empty input through the shared error path, keeping --json output valid
+  totalTests++;
+  try {
+    console.log('\n🧪 Running test: Detect Input Errors');
+    const runs = [['detect', '--json'], ['detect', '-f', 'test_missing_input.txt', '--json'], ['detect', '   ', '--json']]
+      .map(args => spawnSync('node', ['cli.js', ...args], { encoding: 'utf8' }));
+    console.log(`📤 ${runs.map(run => `${run.status}: ${run.stderr.trim()}`).join('; ')}`);
+    if (runs.every(run => run.status === 1 && JSON.parse(run.stdout).length === 0 && run.stderr.startsWith('❌ Error:'))) {
+      console.log('✅ Test passed!');
+      passedTests++;
+    } else {
+      console.log('❌ Test failed: unexpected detect errors');
+    }
+  } catch (error) {
+    console.log(`❌ Test failed: ${error.message}`);
+  }
+  
   // Summary
   console.log('\n📊 Test Summary');
   console.log(`✅ Passed: ${passedTests}/${totalTests}`);